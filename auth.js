@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+import { CONFIG } from './config/constants.js';
+import { logger } from './utils/logger.js';
+import { authorizeGmailAccount } from './src/auth/gmailAuth.js';
+
+/**
+ * Authorize one Gmail account, or every configured account when none is given.
+ * Usage: npm run auth -- <accountId>
+ */
+async function runAuthorization() {
+  const requested = process.argv.slice(2).map(arg => arg.trim()).filter(Boolean);
+  const accounts = requested.length > 0 ? requested : CONFIG.GMAIL_ACCOUNTS;
+
+  logger.separator('Gmail OAuth Authorization');
+
+  for (const accountId of accounts) {
+    logger.info(`Starting authorization for account: ${accountId}`);
+    await authorizeGmailAccount(accountId);
+  }
+
+  logger.success(`Authorized ${accounts.length} account(s)`);
+}
+
+runAuthorization()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Authorization failed:', error.message);
+    process.exit(1);
+  });
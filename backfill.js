@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+import { CONFIG } from './config/constants.js';
+import { logger } from './utils/logger.js';
+import { runBackfill } from './src/processors/backfillProcessor.js';
+
+const USAGE = 'Usage: npm run backfill -- --account <id> --from YYYY-MM-DD --to YYYY-MM-DD [--restart]';
+
+/**
+ * Parse "--name value", "--name=value" and "--flag" arguments
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} - Option values
+ */
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument "${args[i]}". ${USAGE}`);
+    }
+
+    const [, name, inlineValue] = match;
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (args[i + 1] && !args[i + 1].startsWith('--')) {
+      options[name] = args[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Import past months of bank emails.
+ * Usage: npm run backfill -- --account fara --from 2025-01-01 --to 2025-06-30
+ */
+async function backfill() {
+  const options = parseArgs(process.argv.slice(2));
+  const accounts = CONFIG.GMAIL_ACCOUNTS.filter(Boolean);
+  const accountId = options.account || (accounts.length === 1 ? accounts[0] : null);
+
+  if (!accountId || !/^\d{4}-\d{2}-\d{2}$/.test(options.from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(options.to || '')) {
+    throw new Error(USAGE);
+  }
+
+  if (options.from > options.to) {
+    throw new Error('--from must not be after --to');
+  }
+
+  await runBackfill({ accountId, from: options.from, to: options.to, restart: options.restart === true });
+}
+
+backfill()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Backfill failed:', error.message);
+    process.exit(1);
+  });
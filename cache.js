@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+import { CONFIG } from './config/constants.js';
+import { logger } from './utils/logger.js';
+import { listCachedParses, clearLlmCache } from './src/services/llmCacheService.js';
+
+/**
+ * LLM parse cache commands.
+ * Usage:
+ *   npm run cache                        List cached parses
+ *   npm run cache -- show <key>          Print one cached result (a key prefix is enough)
+ *   npm run cache -- clear [--expired]   Remove every entry, or only expired ones
+ *   npm run cache -- delete <key>        Remove one entry so the email is parsed again
+ */
+async function runCache() {
+  const [command = 'list', argument] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list': {
+      const entries = listCachedParses();
+      logger.separator(`Cached LLM parses (${entries.length}) in ${CONFIG.LLM_CACHE_FILE}`);
+      for (const entry of entries) {
+        const { date, amount, bank, description } = entry.result;
+        const status = entry.expired ? '  [expired]' : '';
+        console.log(`${entry.key.substring(0, 12)}  ${entry.createdAt}  ${entry.provider}/${entry.model}  ${date}  ${amount}  ${bank || '-'}  ${description}${status}`);
+      }
+      break;
+    }
+
+    case 'show': {
+      if (!argument) throw new Error('Usage: npm run cache -- show <key>');
+      const matches = listCachedParses().filter(entry => entry.key.startsWith(argument));
+      if (matches.length !== 1) {
+        throw new Error(`${matches.length} cache entries match "${argument}"`);
+      }
+      console.log(JSON.stringify(matches[0], null, 2));
+      break;
+    }
+
+    case 'clear': {
+      const removed = clearLlmCache({ expiredOnly: argument === '--expired' });
+      logger.success(`Removed ${removed} cached parses`);
+      break;
+    }
+
+    case 'delete': {
+      if (!argument) throw new Error('Usage: npm run cache -- delete <key>');
+      const removed = clearLlmCache({ key: argument });
+      logger.success(`Removed ${removed} cached parses`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use list, show, clear or delete.`);
+  }
+}
+
+runCache()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Cache command failed:', error.message);
+    process.exit(1);
+  });
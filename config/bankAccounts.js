@@ -0,0 +1,208 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { CONFIG } from './constants.js';
+import { logger } from '../utils/logger.js';
+
+// Used when BANK_ACCOUNTS_FILE is not set
+const DEFAULT_BANK_ACCOUNTS = [
+  { owner: 'Wimboro', type: 'Mandiri', senders: ['@bankmandiri.co.id'] },
+  { owner: 'Fara', type: 'Mandiri', senders: ['@bankmandiri.co.id'] },
+  { owner: 'Fara', type: 'Seabank', senders: ['@seabank.co.id'] },
+  { owner: 'Fara', type: 'Jago', senders: ['@jago.com'] },
+  { owner: 'Wimboro', type: 'Jago', senders: ['@jago.com'] },
+  { owner: 'Fara', type: 'Blu', senders: ['@bcadigital.co.id'] },
+  { owner: 'Wimboro', type: 'Blu', senders: ['@bcadigital.co.id'] },
+  { owner: 'Fara', type: 'Neobank', senders: ['@bankneocommerce.co.id'] },
+  { owner: 'Wimboro', type: 'Neobank', senders: ['@bankneocommerce.co.id'] }
+];
+
+let accounts = null;
+let loadedFile = null;
+let loadedMtime = 0;
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsPhrase(text, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.toLowerCase())}($|[^a-z0-9])`).test(text);
+}
+
+/**
+ * Validate and normalize bank account definitions
+ * @param {Array<Object>|Object} config - List of accounts, or { accounts: [...] }
+ * @returns {Array<Object>} - Accounts with name, owner, type, senders, last4 and aliases
+ */
+export function normalizeBankAccounts(config) {
+  const list = Array.isArray(config) ? config : config?.accounts;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Bank account config must contain a non-empty "accounts" list');
+  }
+
+  const normalized = list.map((account, index) => {
+    const type = String(account?.type || account?.bank || '').trim();
+    const owner = String(account?.owner || '').trim();
+    if (!type || !owner) {
+      throw new Error(`Bank account #${index + 1} needs both "type" and "owner"`);
+    }
+
+    const last4 = toList(account.last4);
+    const invalidDigits = last4.filter(digits => !/^\d{4}$/.test(digits));
+    if (invalidDigits.length > 0) {
+      throw new Error(`Bank account #${index + 1} has invalid last4 values: ${invalidDigits.join(', ')}`);
+    }
+
+    return {
+      name: String(account.name || `${type} ${owner}`).trim(),
+      owner,
+      type,
+      senders: toList(account.senders).map(sender => sender.toLowerCase()),
+      last4,
+      aliases: toList(account.aliases)
+    };
+  });
+
+  const names = normalized.map(account => account.name.toLowerCase());
+  const duplicated = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicated.length > 0) {
+    throw new Error(`Bank account names must be unique: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Read bank accounts from a YAML or JSON file
+ * @param {string} file - Path to the file
+ * @returns {Array<Object>} - Normalized accounts
+ */
+export function loadBankAccountsFile(file) {
+  // YAML is a superset of JSON, so one parser reads both
+  return normalizeBankAccounts(YAML.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Get the configured bank accounts. With BANK_ACCOUNTS_FILE, the file is read
+ * again whenever it changes; an invalid edit is logged and the previous
+ * accounts stay in use. Only the first load throws.
+ * @returns {Array<Object>} - Accounts with name, owner, type, senders, last4 and aliases
+ */
+export function getBankAccounts() {
+  const file = CONFIG.BANK_ACCOUNTS_FILE;
+
+  if (!file) {
+    if (!accounts || loadedFile !== null) {
+      accounts = normalizeBankAccounts(DEFAULT_BANK_ACCOUNTS);
+      loadedFile = null;
+    }
+    return accounts;
+  }
+
+  let mtime;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (!accounts || loadedFile !== file) {
+      throw new Error(`Cannot read BANK_ACCOUNTS_FILE ${file}: ${error.message}`);
+    }
+    return accounts;
+  }
+
+  if (accounts && loadedFile === file && mtime === loadedMtime) {
+    return accounts;
+  }
+
+  try {
+    const reloading = loadedFile === file;
+    accounts = loadBankAccountsFile(file);
+    if (reloading) {
+      logger.info(`🏦 Reloaded ${accounts.length} bank accounts from ${file}`);
+    }
+  } catch (error) {
+    if (!accounts || loadedFile !== file) {
+      throw new Error(`Invalid BANK_ACCOUNTS_FILE ${file}: ${error.message}`);
+    }
+    logger.error(`Ignoring invalid change to ${file}, keeping previous bank accounts:`, error.message);
+  }
+
+  loadedFile = file;
+  loadedMtime = mtime;
+  return accounts;
+}
+
+/**
+ * Get every configured account name (e.g. 'Jago Fara')
+ * @returns {Array<string>} - Account names
+ */
+export function getBankNames() {
+  return getBankAccounts().map(account => account.name);
+}
+
+/**
+ * Get the distinct bank types (e.g. 'Jago')
+ * @returns {Array<string>} - Bank types
+ */
+export function getBankTypes() {
+  return [...new Set(getBankAccounts().map(account => account.type))];
+}
+
+/**
+ * Get the distinct account owners
+ * @returns {Array<string>} - Owner names
+ */
+export function getBankOwners() {
+  return [...new Set(getBankAccounts().map(account => account.owner))];
+}
+
+/**
+ * Find an account by its exact name
+ * @param {string} name - Account name as stored in the sheet
+ * @returns {Object|null} - Account or null
+ */
+export function getBankAccount(name) {
+  return getBankAccounts().find(account => account.name === name) || null;
+}
+
+/**
+ * Map a bank name as written by a person or an LLM to a configured account name,
+ * matching account names and aliases case-insensitively
+ * @param {string} name - Bank name to resolve
+ * @returns {string|null} - Account name or null if nothing matches
+ */
+export function resolveBankName(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  if (!lower) return null;
+
+  const match = getBankAccounts().find(account =>
+    [account.name, ...account.aliases].some(candidate => candidate.toLowerCase() === lower)
+  );
+  return match ? match.name : null;
+}
+
+/**
+ * Find accounts whose notification senders match a From header
+ * @param {string} from - From header (e.g. 'Jago <noreply@jago.com>')
+ * @returns {Array<Object>} - Matching accounts (several when the bank is shared)
+ */
+export function findBankAccountsBySender(from) {
+  const lower = String(from || '').toLowerCase();
+  if (!lower) return [];
+  return getBankAccounts().filter(account => account.senders.some(sender => lower.includes(sender)));
+}
+
+/**
+ * Find accounts whose full name or an alias appears in a text as a whole phrase
+ * @param {string} text - Email or message text
+ * @returns {Array<Object>} - Matching accounts
+ */
+export function findBankAccountsInText(text) {
+  const lower = String(text || '').toLowerCase();
+  return getBankAccounts().filter(account =>
+    [account.name, ...account.aliases].some(phrase => containsPhrase(lower, phrase))
+  );
+}
@@ -17,8 +17,9 @@ export const SHEETS_SCOPES = [
 // File paths
 export const CREDENTIALS_FILE = 'credentials.json';
 export const SA_CREDENTIALS_FILE = 'sa-credentials.json';
-const TOKEN_DIRECTORY = process.env.TOKEN_DIRECTORY || '.';
+export const TOKEN_DIRECTORY = process.env.TOKEN_DIRECTORY || '.';
 export const TOKEN_FILE_TEMPLATE = path.join(TOKEN_DIRECTORY, 'token_{}.json');
+export const DATA_DIRECTORY = process.env.DATA_DIRECTORY || './data';
 
 // Environment variables with defaults
 export const CONFIG = {
@@ -27,14 +28,64 @@ export const CONFIG = {
   GMAIL_SEARCH_QUERY: process.env.GMAIL_SEARCH_QUERY || 
     'subject:(Transfer OR Pembayaran OR Transaksi OR payment OR transaction) is:unread newer_than:1d',
   
+  // Incremental sync through Gmail history; GMAIL_SEARCH_QUERY is only used for the first sync
+  ENABLE_GMAIL_HISTORY_SYNC: process.env.ENABLE_GMAIL_HISTORY_SYNC !== 'false',
+  GMAIL_SYNC_STATE_FILE: process.env.GMAIL_SYNC_STATE_FILE || path.join(DATA_DIRECTORY, 'gmail-sync.json'),
+  
+  // Historical backfill (npm run backfill)
+  BACKFILL_PAGE_SIZE: Math.min(parseInt(process.env.BACKFILL_PAGE_SIZE) || 50, 500),
+  BACKFILL_DELAY_MS: parseInt(process.env.BACKFILL_DELAY_MS) || 1000,
+  BACKFILL_CHECKPOINT_FILE: process.env.BACKFILL_CHECKPOINT_FILE || path.join(DATA_DIRECTORY, 'backfill-checkpoints.json'),
+  
+  // Gmail push notifications through Cloud Pub/Sub (empty topic keeps polling only)
+  GMAIL_PUBSUB_TOPIC: process.env.GMAIL_PUBSUB_TOPIC || '',
+  GMAIL_PUSH_TOKEN: process.env.GMAIL_PUSH_TOKEN || '',
+  
   // Google Sheets
   SPREADSHEET_ID: process.env.SPREADSHEET_ID || '',
   SHEET_RANGE: 'Sheet1!A1',
   
+  // Main sheet columns, in order (see SHEET_COLUMN_NAMES); empty uses all of them
+  SHEET_COLUMNS: (process.env.SHEET_COLUMNS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  // Add configured columns the sheet's header lacks instead of refusing to write
+  SHEET_AUTO_REPAIR: process.env.SHEET_AUTO_REPAIR !== 'false',
+  // 'single' writes every transaction to SHEET_RANGE's tab, 'monthly' to one tab per month (YYYY-MM)
+  SHEET_TAB_MODE: (process.env.SHEET_TAB_MODE || 'single').toLowerCase(),
+  // Tab rebuilt with category × month and per-owner totals after each change (empty disables)
+  SUMMARY_SHEET_NAME: process.env.SUMMARY_SHEET_NAME || '',
+  // Changes within this many seconds share one rebuild of the summary tab
+  SUMMARY_REFRESH_DELAY_SECONDS: parseInt(process.env.SUMMARY_REFRESH_DELAY_SECONDS) || 60,
+  
+  // Transaction storage: comma-separated list of sheets, sqlite, csv. The first one is read from
+  STORAGE_BACKENDS: (process.env.STORAGE_BACKENDS || 'sheets').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  SQLITE_DB_FILE: process.env.SQLITE_DB_FILE || path.join(DATA_DIRECTORY, 'transactions.db'),
+  CSV_FILE: process.env.CSV_FILE || path.join(DATA_DIRECTORY, 'transactions.csv'),
+  
+  // LLM providers tried in order when parsing (gemini, openai); the next one is used when a provider fails
+  LLM_PROVIDERS: (process.env.LLM_PROVIDERS || 'gemini').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  
   // Gemini AI
   GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
   GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
   
+  // OpenAI-compatible chat completions server, e.g. a local Ollama or llama.cpp
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  OPENAI_MODEL: process.env.OPENAI_MODEL || '',
+  OPENAI_TIMEOUT_MS: parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000,
+  
+  // Parsed emails are cached by content hash so a retried email is not sent to the LLM again
+  ENABLE_LLM_CACHE: process.env.ENABLE_LLM_CACHE !== 'false',
+  LLM_CACHE_FILE: process.env.LLM_CACHE_FILE || path.join(DATA_DIRECTORY, 'llm-cache.json'),
+  LLM_CACHE_TTL_DAYS: parseInt(process.env.LLM_CACHE_TTL_DAYS) || 30,
+  
+  // Merchant → category memory learned from categories fixed in the sheet
+  ENABLE_CATEGORY_LEARNING: process.env.ENABLE_CATEGORY_LEARNING !== 'false',
+  CATEGORY_MEMORY_FILE: process.env.CATEGORY_MEMORY_FILE || path.join(DATA_DIRECTORY, 'category-memory.json'),
+  
+  // Deterministic bank templates run before Gemini
+  ENABLE_BANK_TEMPLATES: process.env.ENABLE_BANK_TEMPLATES !== 'false',
+  
   // WhatsApp
   WHATSAPP_PHONE_NUMBERS: process.env.WHATSAPP_PHONE_NUMBERS?.split(',').map(num => num.trim()) || [],
   WHATSAPP_GROUP_ID: process.env.WHATSAPP_GROUP_ID || '',
@@ -44,94 +95,138 @@ export const CONFIG = {
   WAHA_API_KEY: process.env.WAHA_API_KEY || '',
   WAHA_SESSION_NAME: process.env.WAHA_SESSION_NAME || 'gmail-wa-bot',
   
+  // WhatsApp bot commands (WAHA posts incoming messages to our webhook server)
+  ENABLE_WHATSAPP_COMMANDS: process.env.ENABLE_WHATSAPP_COMMANDS === 'true',
+  ENABLE_WHATSAPP_MANUAL_ENTRY: process.env.ENABLE_WHATSAPP_MANUAL_ENTRY === 'true',
+  WAHA_WEBHOOK_URL: process.env.WAHA_WEBHOOK_URL || '',
+  WAHA_WEBHOOK_SECRET: process.env.WAHA_WEBHOOK_SECRET || '',
+  
+  // Local webhook HTTP server
+  WEBHOOK_HOST: process.env.WEBHOOK_HOST || '0.0.0.0',
+  WEBHOOK_PORT: parseInt(process.env.WEBHOOK_PORT) || 8080,
+  
+  // Review queue for low-confidence parses (0 disables the queue)
+  REVIEW_CONFIDENCE_THRESHOLD: parseInt(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0,
+  REVIEW_SHEET_NAME: process.env.REVIEW_SHEET_NAME || 'Review',
+  
+  // WhatsApp digests (HH:MM local time; empty disables). Weekly day: 0 = Sunday
+  DIGEST_DAILY_TIME: process.env.DIGEST_DAILY_TIME || '',
+  DIGEST_WEEKLY_TIME: process.env.DIGEST_WEEKLY_TIME || '',
+  DIGEST_WEEKLY_DAY: parseInt(process.env.DIGEST_WEEKLY_DAY) || 0,
+  DIGEST_MONTHLY_TIME: process.env.DIGEST_MONTHLY_TIME || '',
+  DIGEST_MONTHLY_DAY: parseInt(process.env.DIGEST_MONTHLY_DAY) || 1,
+  SCHEDULER_STATE_FILE: process.env.SCHEDULER_STATE_FILE || path.join(DATA_DIRECTORY, 'scheduler-state.json'),
+  
+  // Monthly budgets ("Kategori:jumlah,..."), optionally overridden by a sheet tab
+  BUDGETS: process.env.BUDGETS || '',
+  BUDGET_SHEET_NAME: process.env.BUDGET_SHEET_NAME || '',
+  BUDGET_ALERT_THRESHOLDS: (process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100')
+    .split(',').map(value => parseInt(value.trim())).filter(value => value > 0),
+  BUDGET_ALERT_STATE_FILE: process.env.BUDGET_ALERT_STATE_FILE || path.join(DATA_DIRECTORY, 'budget-alerts.json'),
+  
+  // Deduplication ledger
+  LEDGER_FILE: process.env.LEDGER_FILE || path.join(DATA_DIRECTORY, 'ledger.json'),
+  MANUAL_ENTRIES_FILE: process.env.MANUAL_ENTRIES_FILE || path.join(DATA_DIRECTORY, 'manual-entries.json'),
+  DEDUP_FUZZY_WINDOW_MINUTES: parseInt(process.env.DEDUP_FUZZY_WINDOW_MINUTES) || 10,
+  
+  // Pair the two emails of a transfer between our own accounts
+  ENABLE_INTERNAL_TRANSFER_DETECTION: process.env.ENABLE_INTERNAL_TRANSFER_DETECTION !== 'false',
+  INTERNAL_TRANSFER_WINDOW_MINUTES: parseInt(process.env.INTERNAL_TRANSFER_WINDOW_MINUTES) || 60,
+  
+  // OAuth consent flow (npm run auth)
+  OAUTH_CALLBACK_PORT: parseInt(process.env.OAUTH_CALLBACK_PORT) || 0,
+  OAUTH_CALLBACK_TIMEOUT_MINUTES: parseInt(process.env.OAUTH_CALLBACK_TIMEOUT_MINUTES) || 5,
+  
+  // Bank accounts and owners (YAML or JSON, see config/bank-accounts.example.yaml); empty uses the built-in list
+  BANK_ACCOUNTS_FILE: process.env.BANK_ACCOUNTS_FILE || '',
+  
+  // Extra debit/credit rules (YAML or JSON), tried before the built-in ones
+  TRANSACTION_TYPE_RULES_FILE: process.env.TRANSACTION_TYPE_RULES_FILE || '',
+  
+  // Rupiah per unit of foreign currencies ("USD:16250,SGD:12100"); the file (YAML or JSON) overrides them
+  EXCHANGE_RATES: process.env.EXCHANGE_RATES || '',
+  EXCHANGE_RATES_FILE: process.env.EXCHANGE_RATES_FILE || '',
+  
   // Application
   PROCESSOR_USER_ID: process.env.PROCESSOR_USER_ID || 'email-processor-main',
   NODE_ENV: process.env.NODE_ENV || 'development',
+  TIMEZONE: process.env.TIMEZONE || 'Asia/Jakarta',
   
   // Continuous Mode
   EMAIL_CHECK_INTERVAL_MINUTES: parseInt(process.env.EMAIL_CHECK_INTERVAL_MINUTES) || 5
 };
 
-// Bank Configuration
-export const BANK_ACCOUNTS = {
-  'Mandiri Wimboro': { owner: 'Wimboro', type: 'Mandiri' },
-  'Mandiri Fara': { owner: 'Fara', type: 'Mandiri' },
-  'Seabank Fara': { owner: 'Fara', type: 'Seabank' },
-  'Jago Fara': { owner: 'Fara', type: 'Jago' },
-  'Jago Wimboro': { owner: 'Wimboro', type: 'Jago' },
-  'Blu Fara': { owner: 'Fara', type: 'Blu' },
-  'Blu Wimboro': { owner: 'Wimboro', type: 'Blu' },
-  'Neobank Fara': { owner: 'Fara', type: 'Neobank' },
-  'Neobank Wimboro': { owner: 'Wimboro', type: 'Neobank' }
+// Transaction categories offered to Gemini and used for validation
+export const INCOME_CATEGORIES = {
+  'Gaji': 'untuk gaji bulanan/harian',
+  'Bonus': 'untuk bonus kerja, THR, insentif',
+  'Komisi': 'untuk komisi penjualan, marketing',
+  'Dividen': 'untuk dividen investasi, saham',
+  'Bunga': 'untuk bunga bank, deposito',
+  'Hadiah': 'untuk hadiah dari orang lain',
+  'Warisan': 'untuk warisan, hibah',
+  'Penjualan': 'untuk hasil penjualan barang',
+  'Refund': 'untuk pengembalian uang',
+  'Kembalian': 'untuk uang kembalian, pengembalian',
+  'Cashback': 'untuk cashback, reward'
+};
+
+export const EXPENSE_CATEGORIES = {
+  'Makanan': 'untuk makanan, minuman, restoran',
+  'Transportasi': 'untuk bensin, parkir, ojek, taksi, bus',
+  'Reimburse': 'untuk pengeluaran yang akan direimburse',
+  'Sedekah': 'untuk zakat, sedekah, donasi',
+  'Hiburan': 'untuk bioskop, game, rekreasi',
+  'Pengembangan Keluarga': 'untuk pendidikan, kursus, buku',
+  'Rumah Tangga': 'untuk belanja rumah tangga, listrik, air',
+  'Pakaian': 'untuk pakaian, sepatu, aksesoris',
+  'Kecantikan': 'untuk kosmetik, salon, perawatan',
+  'Kesehatan': 'untuk obat, dokter, rumah sakit'
 };
 
-// Get list of all bank names
-export const BANK_NAMES = Object.keys(BANK_ACCOUNTS);
+// Both halves of a transfer between our own accounts; left out of income and expense totals
+export const INTERNAL_TRANSFER_CATEGORY = 'Transfer Internal';
 
+// Validation
 /**
- * Determine if transaction is income or expense based on bank context
- * @param {string} bankName - Name of the bank
- * @param {string} transactionText - Transaction description text
- * @returns {string} - 'income' or 'expense'
+ * Check whether any enabled feature needs the Google spreadsheet
+ * @returns {boolean} - True if Sheets must be configured
  */
-export function determineBankTransactionType(bankName, transactionText) {
-  const lowerText = transactionText.toLowerCase();
-  
-  // Income indicators when money comes TO our bank
-  const incomeKeywords = [
-    'terima', 'dapat', 'pemasukan', 'masuk', 'diterima', 'gaji', 'bonus',
-    'transfer masuk', 'kredit', 'setoran', 'received', 'credit', 'deposit', 'hadiah'
-  ];
-  
-  // Expense indicators when money goes FROM our bank
-  const expenseKeywords = [
-    'beli', 'bayar', 'belanja', 'pengeluaran', 'keluar', 'dibayar',
-    'transfer keluar', 'debit', 'tarik', 'withdraw', 'payment', 'purchase'
-  ];
-  
-  // Special cases that need context-based interpretation
-  // "pembayaran" could be income (receiving payment) or expense (making payment)
-  if (lowerText.includes('pembayaran')) {
-    // These are typically expenses (making payments)
-    if (lowerText.includes('kartu kredit') || lowerText.includes('credit card') ||
-        lowerText.includes('qris') || lowerText.includes('untuk') || 
-        lowerText.includes('tagihan') || lowerText.includes('bayar')) {
-      return 'expense';
-    }
-    // Otherwise could be receiving payment, so default to income
-    return 'income';
-  }
+export const usesGoogleSheets = () =>
+  CONFIG.STORAGE_BACKENDS.includes('sheets') ||
+  CONFIG.REVIEW_CONFIDENCE_THRESHOLD > 0 ||
+  Boolean(CONFIG.BUDGET_SHEET_NAME) ||
+  Boolean(CONFIG.SUMMARY_SHEET_NAME);
+
+export const STORAGE_BACKEND_NAMES = ['sheets', 'sqlite', 'csv'];
+
+export const SHEET_TAB_MODES = ['single', 'monthly'];
+
+export const LLM_PROVIDER_NAMES = ['gemini', 'openai'];
+
+// Every column the main sheet can hold; the first six are the original layout
+export const SHEET_COLUMN_NAMES = [
+  'date', 'amount', 'category', 'description', 'bank', 'timestamp',
+  'transaction_type', 'confidence', 'recipient', 'sender', 'reference_number', 'merchant', 'location',
+  'account', 'message_id', 'transfer_link', 'original_amount', 'original_currency', 'exchange_rate'
+];
+
+export const validateConfig = () => {
+  const required = [];
   
-  // "penjualan" is typically income (selling something = receiving money)
-  if (lowerText.includes('penjualan') || lowerText.includes('jual')) {
-    return 'income';
+  if (CONFIG.LLM_PROVIDERS.includes('gemini')) {
+    required.push('GEMINI_API_KEY');
   }
   
-  // Check for income indicators
-  for (const keyword of incomeKeywords) {
-    if (lowerText.includes(keyword)) {
-      return 'income';
-    }
+  if (CONFIG.LLM_PROVIDERS.includes('openai')) {
+    required.push('OPENAI_MODEL');
   }
   
-  // Check for expense indicators  
-  for (const keyword of expenseKeywords) {
-    if (lowerText.includes(keyword)) {
-      return 'expense';
-    }
+  // The review tab, budget tab and bot commands live in the spreadsheet too
+  if (usesGoogleSheets()) {
+    required.push('SPREADSHEET_ID');
   }
   
-  // Default to expense if unclear
-  return 'expense';
-}
-
-// Validation
-export const validateConfig = () => {
-  const required = [
-    'GEMINI_API_KEY',
-    'SPREADSHEET_ID'
-  ];
-  
   const missing = required.filter(key => !CONFIG[key]);
   
   if (missing.length > 0) {
@@ -153,6 +248,48 @@ export const validateConfig = () => {
     }
   }
 
+  if (CONFIG.ENABLE_WHATSAPP_COMMANDS && !CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
+    throw new Error('ENABLE_WHATSAPP_COMMANDS requires ENABLE_WHATSAPP_NOTIFICATIONS=true (replies use the WAHA session)');
+  }
+
+  // Unsigned webhook requests could pose as an allowed chat and delete transactions
+  if (CONFIG.ENABLE_WHATSAPP_COMMANDS && !CONFIG.WAHA_WEBHOOK_SECRET) {
+    throw new Error('ENABLE_WHATSAPP_COMMANDS requires WAHA_WEBHOOK_SECRET (WAHA signs webhook requests with it)');
+  }
+
+  const unknownBackends = CONFIG.STORAGE_BACKENDS.filter(name => !STORAGE_BACKEND_NAMES.includes(name));
+  if (unknownBackends.length > 0) {
+    throw new Error(`Unknown STORAGE_BACKENDS: ${unknownBackends.join(', ')} (use ${STORAGE_BACKEND_NAMES.join(', ')})`);
+  }
+
+  if (CONFIG.LLM_PROVIDERS.length === 0) {
+    throw new Error('LLM_PROVIDERS must name at least one provider');
+  }
+
+  const unknownProviders = CONFIG.LLM_PROVIDERS.filter(name => !LLM_PROVIDER_NAMES.includes(name));
+  if (unknownProviders.length > 0) {
+    throw new Error(`Unknown LLM_PROVIDERS: ${unknownProviders.join(', ')} (use ${LLM_PROVIDER_NAMES.join(', ')})`);
+  }
+
+  const unknownColumns = CONFIG.SHEET_COLUMNS.filter(name => !SHEET_COLUMN_NAMES.includes(name));
+  if (unknownColumns.length > 0) {
+    throw new Error(`Unknown SHEET_COLUMNS: ${unknownColumns.join(', ')} (available: ${SHEET_COLUMN_NAMES.join(', ')})`);
+  }
+
+  // Digests, budgets, bot commands and undo codes rely on the original six columns
+  const missingColumns = SHEET_COLUMN_NAMES.slice(0, 6).filter(name => !CONFIG.SHEET_COLUMNS.includes(name));
+  if (CONFIG.SHEET_COLUMNS.length > 0 && missingColumns.length > 0) {
+    throw new Error(`SHEET_COLUMNS must include ${missingColumns.join(', ')}`);
+  }
+
+  if (!SHEET_TAB_MODES.includes(CONFIG.SHEET_TAB_MODE)) {
+    throw new Error(`Unknown SHEET_TAB_MODE: ${CONFIG.SHEET_TAB_MODE} (use ${SHEET_TAB_MODES.join(' or ')})`);
+  }
+
+  if (CONFIG.GMAIL_PUBSUB_TOPIC && !CONFIG.ENABLE_GMAIL_HISTORY_SYNC) {
+    throw new Error('GMAIL_PUBSUB_TOPIC requires ENABLE_GMAIL_HISTORY_SYNC (push notifications only carry a history ID)');
+  }
+
   console.log('✅ Configuration validated successfully');
   return true;
 };
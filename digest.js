@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+import { logger } from './utils/logger.js';
+import { sendDigest } from './src/processors/digestProcessor.js';
+
+/**
+ * Send a spending digest right away.
+ * Usage: npm run digest -- <daily|weekly|monthly>
+ */
+async function runDigest() {
+  const type = process.argv[2] || 'daily';
+  const message = await sendDigest(type);
+  console.log(message);
+}
+
+runDigest()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Digest failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './utils/logger.js';
+import { runEval, formatEvalReport } from './src/processors/evalProcessor.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'tests', 'fixtures', 'eval');
+const USAGE = 'Usage: npm run eval -- [--dir <fixtures>] [--mode replay|live|record] [--llm-only]';
+
+/**
+ * Measure parsing accuracy on labelled emails.
+ * Usage:
+ *   npm run eval                            Replay recorded LLM answers (offline)
+ *   npm run eval -- --mode live             Ask the configured LLM providers
+ *   npm run eval -- --mode record           Ask them and save their answers for replay
+ *   npm run eval -- --llm-only              Skip bank templates, so every email goes to the LLM
+ *   npm run eval -- --dir tests/fixtures/emails
+ */
+async function evaluate() {
+  const args = process.argv.slice(2);
+  const options = { dir: DEFAULT_DIR, mode: 'replay', useTemplates: true };
+
+  for (let i = 0; i < args.length; i++) {
+    const [name, inlineValue] = args[i].split('=');
+    if (name === '--llm-only') {
+      options.useTemplates = false;
+    } else if (name === '--dir' || name === '--mode') {
+      const value = inlineValue ?? args[++i];
+      if (!value) throw new Error(USAGE);
+      options[name.substring(2)] = value;
+    } else {
+      throw new Error(`Unexpected argument "${args[i]}". ${USAGE}`);
+    }
+  }
+
+  const { summary, results, skipped } = await runEval(options);
+
+  logger.separator(`Parser eval: ${path.relative(process.cwd(), options.dir) || '.'}`);
+  console.log(formatEvalReport(summary, results));
+  if (skipped > 0) {
+    console.log(`\n${skipped} fixtures without an expected transaction were skipped`);
+  }
+}
+
+evaluate()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Eval failed:', error.message);
+    process.exit(1);
+  });
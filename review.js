@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+import { CONFIG } from './config/constants.js';
+import { logger } from './utils/logger.js';
+import { authenticateSheets, getSheetsService } from './src/auth/sheetsAuth.js';
+import { getReviewItems, approveReview, rejectReview } from './src/services/reviewService.js';
+import { checkBudgetAlerts } from './src/services/budgetService.js';
+import { refreshSummarySheet } from './src/services/summaryService.js';
+
+const EDITABLE_FIELDS = ['date', 'amount', 'category', 'description', 'bank'];
+
+/**
+ * Parse "--field=value" options into an edits object
+ * @param {Array<string>} args - Remaining command-line arguments
+ * @returns {Object} - Field overrides
+ */
+function parseEdits(args) {
+  const edits = {};
+
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (!match || !EDITABLE_FIELDS.includes(match[1])) {
+      throw new Error(`Unknown option "${arg}". Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+    edits[match[1]] = match[2];
+  }
+
+  return edits;
+}
+
+/**
+ * Review queue commands.
+ * Usage:
+ *   npm run review                                   List pending items
+ *   npm run review -- approve <id> [--category=X]    Move an item into the main sheet
+ *   npm run review -- reject <id>                    Drop an item
+ */
+async function runReview() {
+  const [command = 'list', reviewId, ...rest] = process.argv.slice(2);
+
+  const sheetsAuth = await authenticateSheets();
+  const sheetsService = await getSheetsService(sheetsAuth);
+
+  switch (command) {
+    case 'list': {
+      const items = await getReviewItems(sheetsService, CONFIG.SPREADSHEET_ID);
+      logger.separator(`Pending Reviews (${items.length})`);
+      for (const item of items) {
+        console.log(`${item.reviewId}  ${item.date}  ${item.amount}  ${item.category}  ${item.bank}  ${item.description}  (${item.confidence}%)`);
+      }
+      break;
+    }
+
+    case 'approve':
+      if (!reviewId) throw new Error('Usage: npm run review -- approve <id> [--field=value]');
+      await approveReview(sheetsService, CONFIG.SPREADSHEET_ID, reviewId, parseEdits(rest));
+      await checkBudgetAlerts(sheetsService, CONFIG.SPREADSHEET_ID);
+      await refreshSummarySheet(sheetsService, CONFIG.SPREADSHEET_ID);
+      break;
+
+    case 'reject':
+      if (!reviewId) throw new Error('Usage: npm run review -- reject <id>');
+      await rejectReview(sheetsService, CONFIG.SPREADSHEET_ID, reviewId);
+      break;
+
+    default:
+      throw new Error(`Unknown command "${command}". Use list, approve or reject.`);
+  }
+}
+
+runReview()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Review command failed:', error.message);
+    process.exit(1);
+  });
@@ -57,6 +57,7 @@ const checklist = [
   '□ Set SPREADSHEET_ID in .env file',
   '□ Set WHATSAPP_PHONE_NUMBERS in .env file',
   '□ Share your Google Spreadsheet with the service account email',
+  '□ Run "npm run auth -- <account>" for each Gmail account',
   '□ Run "npm start" to begin processing'
 ];
 
@@ -1,9 +1,65 @@
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
+import crypto from 'crypto';
 import { google } from 'googleapis';
-import { GMAIL_SCOPES, CREDENTIALS_FILE, TOKEN_FILE_TEMPLATE } from '../../config/constants.js';
+import { CONFIG, GMAIL_SCOPES, CREDENTIALS_FILE, TOKEN_FILE_TEMPLATE } from '../../config/constants.js';
 import { logger } from '../../utils/logger.js';
 
+/**
+ * Load the OAuth client credentials downloaded from Google Cloud Console
+ * @returns {Object} - Client ID, secret and registered redirect URIs
+ */
+function loadClientCredentials() {
+  if (!fs.existsSync(CREDENTIALS_FILE)) {
+    throw new Error(`Credentials file '${CREDENTIALS_FILE}' not found. Please download it from Google Cloud Console.`);
+  }
+  
+  const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+  const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
+  
+  return { client_secret, client_id, redirect_uris: redirect_uris || [] };
+}
+
+/**
+ * Read a previously stored token for an account
+ * @param {string} accountId - Account identifier
+ * @returns {Object|null} - Stored token or null if none exists
+ */
+function loadStoredToken(accountId) {
+  const tokenFile = TOKEN_FILE_TEMPLATE.replace('{}', accountId);
+  
+  if (!fs.existsSync(tokenFile)) {
+    return null;
+  }
+  
+  return JSON.parse(fs.readFileSync(tokenFile, 'utf8'));
+}
+
+/**
+ * Persist refreshed tokens whenever the OAuth2 client receives new ones.
+ * Google only sends refresh_token on first consent (or when it rotates it),
+ * so new values are merged over the stored token instead of replacing it.
+ * @param {google.auth.OAuth2} oAuth2Client - OAuth2 client to watch
+ * @param {string} accountId - Account identifier
+ */
+function persistTokenUpdates(oAuth2Client, accountId) {
+  oAuth2Client.on('tokens', (tokens) => {
+    try {
+      const storedToken = loadStoredToken(accountId) || {};
+      saveToken(accountId, { ...storedToken, ...tokens });
+      
+      if (tokens.refresh_token) {
+        logger.info(`Refresh token rotated for account: ${accountId}`);
+      } else {
+        logger.debug(`Access token refreshed for account: ${accountId}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to persist refreshed token for account ${accountId}:`, error.message);
+    }
+  });
+}
+
 /**
  * Authenticate with Gmail using OAuth 2.0 for a specific account
  * @param {string} accountId - Identifier for the account (used in token filename)
@@ -11,21 +67,14 @@ import { logger } from '../../utils/logger.js';
  */
 export async function authenticateGmail(accountId = 'default') {
   try {
-    const tokenFile = TOKEN_FILE_TEMPLATE.replace('{}', accountId);
-    
-    // Load client credentials
-    if (!fs.existsSync(CREDENTIALS_FILE)) {
-      throw new Error(`Credentials file '${CREDENTIALS_FILE}' not found. Please download it from Google Cloud Console.`);
-    }
-    
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
-    const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
+    const { client_secret, client_id, redirect_uris } = loadClientCredentials();
     
     const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+    persistTokenUpdates(oAuth2Client, accountId);
     
     // Check if we have previously stored a token
-    if (fs.existsSync(tokenFile)) {
-      const token = JSON.parse(fs.readFileSync(tokenFile, 'utf8'));
+    const token = loadStoredToken(accountId);
+    if (token) {
       oAuth2Client.setCredentials(token);
       
       // Check if token is still valid
@@ -34,26 +83,130 @@ export async function authenticateGmail(accountId = 'default') {
         logger.success(`Gmail authenticated successfully for account: ${accountId}`);
         return oAuth2Client;
       } catch (error) {
-        logger.warning(`Stored token is invalid for account ${accountId}, re-authenticating...`);
+        logger.warning(`Stored token is invalid for account ${accountId}: ${error.message}`);
       }
     }
     
-    // Get new token
+    throw new Error(`Authorization required for account ${accountId}. Run "npm run auth -- ${accountId}" to complete the OAuth consent flow.`);
+    
+  } catch (error) {
+    logger.error(`Error authenticating Gmail for account ${accountId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Wait for the OAuth redirect on a local loopback listener
+ * @param {http.Server} server - Listening HTTP server
+ * @param {string} expectedState - State value sent with the auth URL
+ * @param {number} timeoutMs - How long to wait for the redirect
+ * @returns {Promise<string>} - Authorization code from the redirect
+ */
+function waitForAuthorizationCode(server, expectedState, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Timed out after ${Math.round(timeoutMs / 60000)} minute(s) waiting for OAuth authorization`));
+    }, timeoutMs);
+    
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(code);
+      }
+    };
+    
+    server.on('request', (req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const code = url.searchParams.get('code');
+      const error = url.searchParams.get('error');
+      
+      // Ignore favicon and other stray requests from the browser
+      if (!code && !error) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      
+      if (error) {
+        res.end(`Authorization failed: ${error}. You can close this window.`);
+        finish(new Error(`Authorization denied: ${error}`));
+        return;
+      }
+      
+      if (url.searchParams.get('state') !== expectedState) {
+        res.end('Authorization failed: state mismatch. You can close this window.');
+        finish(new Error('OAuth state mismatch, possible forged redirect'));
+        return;
+      }
+      
+      res.end('Authorization complete. You can close this window and return to the terminal.');
+      finish(null, code);
+    });
+  });
+}
+
+/**
+ * Run the interactive OAuth consent flow for an account. Starts a loopback
+ * HTTP listener, prints the consent URL, exchanges the returned code and
+ * stores the token in TOKEN_DIRECTORY.
+ * @param {string} accountId - Identifier for the account (used in token filename)
+ * @returns {Promise<google.auth.OAuth2>} - Authorized OAuth2 client
+ */
+export async function authorizeGmailAccount(accountId = 'default') {
+  const { client_secret, client_id } = loadClientCredentials();
+  
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(CONFIG.OAUTH_CALLBACK_PORT, '127.0.0.1', resolve);
+  });
+  
+  try {
+    const { port } = server.address();
+    const redirectUri = `http://127.0.0.1:${port}`;
+    const state = crypto.randomBytes(16).toString('hex');
+    
+    const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirectUri);
+    
+    // prompt=consent makes Google issue a refresh token even on re-authorization
     const authUrl = oAuth2Client.generateAuthUrl({
       access_type: 'offline',
+      prompt: 'consent',
       scope: GMAIL_SCOPES,
+      state
     });
     
     logger.info(`Authorize this app by visiting this URL for account ${accountId}:`);
     console.log(authUrl);
+    logger.info(`Waiting for the OAuth redirect on ${redirectUri} ...`);
     
-    // In a real application, you'd want to handle this more gracefully
-    // For now, we'll throw an error to indicate manual intervention is needed
-    throw new Error(`Manual authorization required for account ${accountId}. Please visit the URL above and follow the setup instructions.`);
+    const code = await waitForAuthorizationCode(
+      server,
+      state,
+      CONFIG.OAUTH_CALLBACK_TIMEOUT_MINUTES * 60 * 1000
+    );
     
-  } catch (error) {
-    logger.error(`Error authenticating Gmail for account ${accountId}:`, error.message);
-    throw error;
+    const { tokens } = await oAuth2Client.getToken(code);
+    
+    if (!tokens.refresh_token) {
+      logger.warning('No refresh token returned; the account may need to be re-authorized when the access token expires');
+    }
+    
+    const storedToken = loadStoredToken(accountId) || {};
+    saveToken(accountId, { ...storedToken, ...tokens });
+    
+    oAuth2Client.setCredentials(tokens);
+    persistTokenUpdates(oAuth2Client, accountId);
+    
+    logger.success(`Gmail authorization completed for account: ${accountId}`);
+    return oAuth2Client;
+    
+  } finally {
+    server.close();
   }
 }
 
@@ -71,7 +224,8 @@ export function saveToken(accountId, token) {
     account_id: accountId
   };
   
-  fs.writeFileSync(tokenFile, JSON.stringify(tokenWithAccount, null, 2));
+  fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+  fs.writeFileSync(tokenFile, JSON.stringify(tokenWithAccount, null, 2), { mode: 0o600 });
   logger.success(`Token saved for account: ${accountId}`);
 }
 
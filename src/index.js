@@ -1,12 +1,23 @@
 #!/usr/bin/env node
 
 import { CONFIG, validateConfig } from '../config/constants.js';
+import { getBankAccounts } from '../config/bankAccounts.js';
 import { logger } from '../utils/logger.js';
-import { initializeGemini, testGeminiConnection } from './services/geminiService.js';
+import { validateLlmProviders } from './llm/index.js';
+import { getTransactionTypeRules } from './parsers/transactionTypeRules.js';
+import { getExchangeRates } from './services/exchangeRateService.js';
 import { initializeWhatsApp, testWhatsAppConnection, closeWhatsApp } from './services/whatsappService.js';
 import { processAllAccounts } from './processors/emailProcessor.js';
+import { handleWAHAWebhook } from './processors/commandProcessor.js';
+import { scheduleDigests } from './processors/digestProcessor.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
+import { createGmailPushHandler } from './services/gmailSyncService.js';
+import { validateStorage } from './storage/index.js';
+import { flushSummaryRefresh } from './services/summaryService.js';
+import { registerWebhookRoute, startWebhookServer, stopWebhookServer } from './services/webhookServer.js';
 
 let isProcessing = false;
+let syncRequested = false;
 let emailCheckInterval = null;
 let whatsappReady = false;
 
@@ -32,6 +43,8 @@ async function processEmailsOnce() {
     const totalProcessed = summaries.reduce((sum, s) => sum + s.processed, 0);
     const totalErrors = summaries.reduce((sum, s) => sum + s.errors, 0);
     const totalDuplicates = summaries.reduce((sum, s) => sum + s.duplicates, 0);
+    const totalFlagged = summaries.reduce((sum, s) => sum + s.flagged, 0);
+    const totalQueued = summaries.reduce((sum, s) => sum + s.queued, 0);
     
     if (totalProcessed > 0) {
       logger.success(`✅ Processed ${totalProcessed} new transactions!`);
@@ -47,6 +60,14 @@ async function processEmailsOnce() {
       logger.info(`⏭️  Skipped ${totalDuplicates} duplicate transactions`);
     }
     
+    if (totalQueued > 0) {
+      logger.warning(`🔎 ${totalQueued} low-confidence transactions queued in the ${CONFIG.REVIEW_SHEET_NAME} tab`);
+    }
+    
+    if (totalFlagged > 0) {
+      logger.warning(`🔍 ${totalFlagged} possible duplicate transactions were recorded; please review them`);
+    }
+    
     if (totalErrors > 0) {
       logger.warning(`⚠️  ${totalErrors} errors occurred during processing`);
     }
@@ -57,7 +78,24 @@ async function processEmailsOnce() {
     logger.error('Error during email processing cycle:', error.message);
   } finally {
     isProcessing = false;
+    
+    // A push notification arrived mid-cycle; sync again so it is not left for the next poll
+    if (syncRequested) {
+      syncRequested = false;
+      setImmediate(processEmailsOnce);
+    }
+  }
+}
+
+/**
+ * Run an email processing cycle now, or right after the current one finishes
+ */
+function requestEmailSync() {
+  if (isProcessing) {
+    syncRequested = true;
+    return;
   }
+  processEmailsOnce();
 }
 
 /**
@@ -101,15 +139,25 @@ export async function main() {
     logger.info('Validating configuration...');
     validateConfig();
     
+    // Load bank accounts now so a broken BANK_ACCOUNTS_FILE stops startup (later edits are hot-reloaded)
+    logger.info(`Using ${getBankAccounts().length} bank accounts${CONFIG.BANK_ACCOUNTS_FILE ? ` from ${CONFIG.BANK_ACCOUNTS_FILE}` : ''}`);
+    
+    // Same for the debit/credit rules, which are read once
+    logger.info(`Using ${getTransactionTypeRules().length} debit/credit rules${CONFIG.TRANSACTION_TYPE_RULES_FILE ? ` (with ${CONFIG.TRANSACTION_TYPE_RULES_FILE})` : ''}`);
+    
+    // A broken EXCHANGE_RATES_FILE stops startup too; later edits are picked up
+    const currencies = Object.keys(getExchangeRates()).filter(code => code !== 'IDR');
+    logger.info(`💱 Exchange rates for ${currencies.length > 0 ? currencies.join(', ') : 'no foreign currencies'}`);
+    
+    // Check storage before any email is processed; a drifted sheet layout fails here
+    logger.info('Checking transaction storage...');
+    await validateStorage();
+    
     // Initialize services
     logger.info('Initializing services...');
     
-    // Initialize Gemini AI
-    initializeGemini();
-    const geminiReady = await testGeminiConnection();
-    if (!geminiReady) {
-      throw new Error('Gemini AI connection failed');
-    }
+    // Check the LLM providers; one that answers is enough, the others are fallbacks
+    await validateLlmProviders();
     
     // Initialize WhatsApp (if enabled) and keep it running
     if (CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
@@ -128,6 +176,25 @@ export async function main() {
       logger.info('WhatsApp notifications are disabled');
     }
     
+    // Accept WhatsApp bot commands through WAHA webhooks
+    if (CONFIG.ENABLE_WHATSAPP_COMMANDS) {
+      registerWebhookRoute('/webhooks/waha', handleWAHAWebhook);
+      await startWebhookServer();
+      logger.success('🤖 WhatsApp bot commands enabled (POST /webhooks/waha)');
+    }
+    
+    // Process new mail as soon as Gmail publishes a change to Pub/Sub
+    if (CONFIG.GMAIL_PUBSUB_TOPIC) {
+      registerWebhookRoute('/webhooks/gmail', createGmailPushHandler(() => requestEmailSync()));
+      await startWebhookServer();
+      logger.success('📬 Gmail push notifications enabled (POST /webhooks/gmail)');
+    }
+    
+    // Schedule WhatsApp spending digests
+    if (CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS && scheduleDigests() > 0) {
+      startScheduler();
+    }
+    
     // Start continuous email monitoring
     await startEmailMonitoring();
     
@@ -175,6 +242,12 @@ async function gracefulShutdown(signal) {
   // Stop email monitoring
   stopEmailMonitoring();
   
+  // Stop scheduled digests
+  stopScheduler();
+  
+  // Stop accepting webhooks
+  await stopWebhookServer();
+  
   // Wait for current processing to complete
   if (isProcessing) {
     logger.info('⏳ Waiting for current email processing to complete...');
@@ -183,6 +256,9 @@ async function gracefulShutdown(signal) {
     }
   }
   
+  // Write the Summary tab changes are still waiting for
+  await flushSummaryRefresh();
+  
   // Cleanup WhatsApp
   if (CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
     logger.info('📱 Closing WhatsApp client...');
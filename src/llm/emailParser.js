@@ -0,0 +1,62 @@
+import { logger } from '../../utils/logger.js';
+import { getLlmProviders, runWithFallback } from './index.js';
+import { requestEnhancedParse, postProcessEmailParse, checkParseAgainstEmail } from '../services/enhancedGeminiService.js';
+import { parseEmailWithGemini } from '../services/geminiService.js';
+import { emailCacheKey, getCachedParse, setCachedParse } from '../services/llmCacheService.js';
+
+/**
+ * Parse a bank email with the LLM providers: a cached answer for the same
+ * content from one of the configured models is reused; otherwise each
+ * provider in turn gets the detailed prompt, then the basic one, and the
+ * first answer is cached. Detailed answers are post-processed after the
+ * lookup, so bank accounts, rules and learned categories are always current
+ * @param {string} emailText - Email body
+ * @param {Object} [headers] - Email headers; the sender narrows down the bank
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache=true] - Read and write the parse cache
+ * @returns {Promise<Object|null>} - Parsed data or null if every provider failed
+ */
+export async function parseEmailWithLlm(emailText, headers = {}, { useCache = true } = {}) {
+  const key = emailCacheKey(emailText, headers);
+  const sources = getLlmProviders().map(provider => ({ provider: provider.name, model: provider.model }));
+  const cached = useCache ? getCachedParse(key, sources) : null;
+  if (cached) {
+    logger.info(`♻️ Using cached parse ${key.substring(0, 12)}`);
+    return finishParse(cached, emailText, headers);
+  }
+
+  let source = null;
+  const answer = await runWithFallback(async provider => {
+    source = { provider: provider.name, model: provider.model };
+
+    const detailed = await requestEnhancedParse(emailText, headers, provider);
+    if (detailed) {
+      return { prompt: 'detailed', result: detailed };
+    }
+    logger.info(`Enhanced parsing failed, trying the basic prompt with ${provider.name}...`);
+    const basic = await parseEmailWithGemini(emailText, provider);
+    return basic && { prompt: 'basic', result: basic };
+  });
+
+  if (!answer) {
+    return null;
+  }
+  if (useCache) {
+    setCachedParse(key, answer.result, { ...source, prompt: answer.prompt });
+  }
+  return finishParse(answer, emailText, headers);
+}
+
+/**
+ * Turn a provider's answer into parsed data. Basic answers still have their
+ * amount, currency and date checked against the email
+ * @param {Object} answer - { prompt, result } from a provider or the cache
+ * @param {string} emailText - Email body
+ * @param {Object} headers - Email headers
+ * @returns {Object} - Parsed data
+ */
+function finishParse({ prompt, result }, emailText, headers) {
+  return prompt === 'detailed'
+    ? postProcessEmailParse(result, emailText, headers)
+    : checkParseAgainstEmail(result, emailText, headers);
+}
@@ -0,0 +1,91 @@
+import { GoogleGenAI } from '@google/genai';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Convert a JSON Schema (the subset used by the parsers) to Gemini's schema
+ * format: upper-case types, "nullable" instead of a null type
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Schema for config.responseSchema
+ */
+export function toGeminiSchema(schema) {
+  const types = [].concat(schema.type);
+  const result = { type: types.find(type => type !== 'null').toUpperCase() };
+
+  if (types.includes('null')) result.nullable = true;
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) result.enum = schema.enum.filter(value => value !== null);
+  if (schema.minimum !== undefined) result.minimum = schema.minimum;
+  if (schema.maximum !== undefined) result.maximum = schema.maximum;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.required) result.required = schema.required;
+
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+    );
+    result.propertyOrdering = Object.keys(schema.properties);
+  }
+
+  return result;
+}
+
+/**
+ * Create the Gemini provider (CONFIG.GEMINI_API_KEY, CONFIG.GEMINI_MODEL)
+ * @returns {Object} - LLM provider
+ */
+export function createGeminiProvider() {
+  let genAI = null;
+
+  function client() {
+    if (!genAI) {
+      if (!CONFIG.GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY is not configured');
+      }
+      genAI = new GoogleGenAI({ apiKey: CONFIG.GEMINI_API_KEY });
+      logger.success(`Gemini AI initialized with model: ${CONFIG.GEMINI_MODEL}`);
+    }
+    return genAI;
+  }
+
+  async function generate(messages, config) {
+    const result = await client().models.generateContent({
+      model: CONFIG.GEMINI_MODEL,
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      config
+    });
+    return result.text || '';
+  }
+
+  return {
+    name: 'gemini',
+    model: CONFIG.GEMINI_MODEL,
+
+    /**
+     * Ask for JSON matching a schema
+     * @param {Array<Object>} messages - { role: 'user' | 'assistant', content }
+     * @param {Object} schema - JSON Schema of the answer
+     * @returns {Promise<string>} - Raw response text
+     */
+    async generateJson(messages, schema) {
+      return generate(messages, {
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema)
+      });
+    },
+
+    /**
+     * Check the API key and model answer a trivial prompt
+     * @returns {Promise<boolean>} - True if Gemini answered
+     */
+    async testConnection() {
+      const text = await generate([
+        { role: 'user', content: 'Respond with just the word "OK" if you can understand this message.' }
+      ]);
+      return text.trim().toLowerCase().includes('ok');
+    }
+  };
+}
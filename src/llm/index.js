@@ -0,0 +1,98 @@
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAiProvider } from './openaiProvider.js';
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider
+};
+
+let providers = null;
+
+/**
+ * Get the configured LLM providers (CONFIG.LLM_PROVIDERS), in fallback order
+ * @returns {Array<Object>} - Providers with name, model, generateJson and testConnection
+ */
+export function getLlmProviders() {
+  if (!providers) {
+    if (CONFIG.LLM_PROVIDERS.length === 0) {
+      throw new Error('No LLM provider configured (LLM_PROVIDERS)');
+    }
+
+    providers = CONFIG.LLM_PROVIDERS.map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      return factory();
+    });
+
+    logger.debug(`LLM providers: ${providers.map(provider => provider.name).join(' → ')}`);
+  }
+
+  return providers;
+}
+
+/**
+ * Use specific provider instances instead of the configured ones (tests, scripts)
+ * @param {Array<Object>|null} instances - Providers in fallback order; null resets to config
+ */
+export function setLlmProviders(instances) {
+  providers = instances;
+}
+
+/**
+ * Check every configured provider answers (run once at startup). A provider
+ * that fails only logs a warning while another one works.
+ * @returns {Promise<number>} - Number of providers that answered
+ * @throws {Error} - When none of them did
+ */
+export async function validateLlmProviders() {
+  let ready = 0;
+
+  for (const provider of getLlmProviders()) {
+    try {
+      if (await provider.testConnection()) {
+        logger.success(`LLM provider ${provider.name} (${provider.model}) is ready`);
+        ready++;
+      } else {
+        logger.warning(`LLM provider ${provider.name} did not answer as expected (model ${provider.model})`);
+      }
+    } catch (error) {
+      logger.warning(`LLM provider ${provider.name} is not reachable: ${error.message}`);
+    }
+  }
+
+  if (ready === 0) {
+    throw new Error(`No LLM provider is available (${CONFIG.LLM_PROVIDERS.join(', ')})`);
+  }
+
+  return ready;
+}
+
+/**
+ * Run a parse with each provider in turn until one returns a result
+ * @param {Function} task - async (provider) => result, or null when it could not parse
+ * @returns {Promise<*>} - First result, or null when every provider failed
+ */
+export async function runWithFallback(task) {
+  const chain = getLlmProviders();
+
+  for (const [index, provider] of chain.entries()) {
+    try {
+      const result = await task(provider);
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      logger.error(`LLM provider ${provider.name} failed:`, error.message);
+    }
+
+    if (index < chain.length - 1) {
+      logger.info(`${provider.name} could not parse, falling back to ${chain[index + 1].name}`);
+    }
+  }
+
+  return null;
+}
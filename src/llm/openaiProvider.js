@@ -0,0 +1,77 @@
+import axios from 'axios';
+import { CONFIG } from '../../config/constants.js';
+
+function describeAxiosError(error) {
+  if (error.response) {
+    const { status, data } = error.response;
+    const details = typeof data === 'string' ? data : JSON.stringify(data);
+    return `${status} ${details}`;
+  }
+
+  if (error.request) {
+    return `No response from ${CONFIG.OPENAI_BASE_URL}`;
+  }
+
+  return error.message;
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions server
+ * (OpenAI itself, or a local Ollama or llama.cpp server)
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAiProvider() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (CONFIG.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${CONFIG.OPENAI_API_KEY}`;
+  }
+
+  const client = axios.create({
+    baseURL: CONFIG.OPENAI_BASE_URL.replace(/\/+$/, ''),
+    headers,
+    timeout: CONFIG.OPENAI_TIMEOUT_MS
+  });
+
+  return {
+    name: 'openai',
+    model: CONFIG.OPENAI_MODEL,
+
+    /**
+     * Ask for JSON matching a schema through response_format
+     * @param {Array<Object>} messages - { role: 'user' | 'assistant', content }
+     * @param {Object} schema - JSON Schema of the answer
+     * @returns {Promise<string>} - Raw response text
+     */
+    async generateJson(messages, schema) {
+      try {
+        const response = await client.post('/chat/completions', {
+          model: CONFIG.OPENAI_MODEL,
+          messages,
+          temperature: 0,
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'transaction', schema }
+          }
+        });
+        return response.data?.choices?.[0]?.message?.content || '';
+      } catch (error) {
+        throw new Error(`OpenAI-compatible request failed: ${describeAxiosError(error)}`);
+      }
+    },
+
+    /**
+     * Check the server answers and serves the configured model
+     * @returns {Promise<boolean>} - True if the model is available
+     */
+    async testConnection() {
+      try {
+        const response = await client.get('/models');
+        const models = (response.data?.data || []).map(model => model.id);
+        // Some servers (llama.cpp) serve one model under any name
+        return models.length === 0 || models.includes(CONFIG.OPENAI_MODEL) || models.length === 1;
+      } catch (error) {
+        throw new Error(`OpenAI-compatible server check failed: ${describeAxiosError(error)}`);
+      }
+    }
+  };
+}
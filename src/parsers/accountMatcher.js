@@ -0,0 +1,79 @@
+import { getBankAccounts, findBankAccountsBySender } from '../../config/bankAccounts.js';
+
+// Masked numbers such as ****1234, XXXX-XXXX-1234 or 5264••••••1234
+const MASKED_NUMBER = /(?:[*xX•]{2,}[\s-]*)+(\d{4})(?!\d)/g;
+// "berakhiran 1234", "ending in 1234"
+const ENDING_NUMBER = /\b(?:berakhiran|akhiran|ending(?:\s+in|\s+with)?)\s*:?\s*(\d{4})(?!\d)/gi;
+// Unmasked account or card numbers after a label: "No. Rekening: 1234567890", "Rekening Tujuan 123 456 7890"
+const LABELLED_NUMBER = /\b(?:rekening|rek\.?|account|acc\.?|kartu|card)(?:\s*(?:no\.?|nomor|number|tujuan|sumber|asal))*\s*:?\s*(\d[\d\s-]{5,}\d)/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the last four digits of every account or card number in a text
+ * @param {string} text - Email text
+ * @returns {Array<string>} - Distinct four-digit endings, in order of appearance
+ */
+export function extractAccountDigits(text) {
+  const source = String(text || '');
+  const found = [];
+
+  for (const match of source.matchAll(MASKED_NUMBER)) found.push([match.index, match[1]]);
+  for (const match of source.matchAll(ENDING_NUMBER)) found.push([match.index, match[1]]);
+  for (const match of source.matchAll(LABELLED_NUMBER)) {
+    found.push([match.index, match[1].replace(/\D/g, '').slice(-4)]);
+  }
+
+  return [...new Set(found.sort((a, b) => a[0] - b[0]).map(([, digits]) => digits))];
+}
+
+/**
+ * Check whether a person's name on the email is the account owner's
+ * @param {string} holderName - Name printed on the email (e.g. 'FARA AMALIA')
+ * @param {Object} account - Configured account
+ * @returns {boolean} - True if the owner's name appears as a whole word
+ */
+export function matchesOwnerName(holderName, account) {
+  if (!holderName) return false;
+  return new RegExp(`(^|[^a-z])${escapeRegExp(account.owner.toLowerCase())}($|[^a-z])`).test(holderName.toLowerCase());
+}
+
+/**
+ * Work out which configured account an email is about, without guessing.
+ * The sending bank narrows the candidates; then, in order, an account number
+ * ending, the name of our side of the transaction (recipient for income,
+ * sender for expenses), or the sending bank having a single account decides.
+ * A step only counts when it leaves exactly one account.
+ * @param {Object} email
+ * @param {string} email.text - Email body
+ * @param {string} [email.from] - From header
+ * @param {string} [email.transactionType] - 'income' or 'expense'
+ * @param {string} [email.recipient] - Recipient name found in the email
+ * @param {string} [email.sender] - Sender name found in the email
+ * @returns {Object|null} - { bank, method: 'account_number' | 'holder_name' | 'sender' } or null
+ */
+export function resolveAccountFromEmail({ text, from, transactionType, recipient, sender }) {
+  const senderAccounts = findBankAccountsBySender(from);
+  const candidates = senderAccounts.length > 0 ? senderAccounts : getBankAccounts();
+
+  const digits = extractAccountDigits(text);
+  const byNumber = candidates.filter(account => account.last4.some(last4 => digits.includes(last4)));
+  if (byNumber.length === 1) {
+    return { bank: byNumber[0].name, method: 'account_number' };
+  }
+
+  const holderName = transactionType === 'income' ? recipient : sender;
+  const pool = byNumber.length > 1 ? byNumber : candidates;
+  const byHolder = pool.filter(account => matchesOwnerName(holderName, account));
+  if (byHolder.length === 1) {
+    return { bank: byHolder[0].name, method: 'holder_name' };
+  }
+
+  if (senderAccounts.length === 1) {
+    return { bank: senderAccounts[0].name, method: 'sender' };
+  }
+
+  return null;
+}
@@ -0,0 +1,88 @@
+import { registerTemplate, parseEmailWithTemplates } from './templateRegistry.js';
+
+/**
+ * Built-in templates for the fixed-format notifications sent by our banks.
+ * Labels are matched case-insensitively and may be followed by an optional colon.
+ */
+export const BANK_TEMPLATES = [
+  {
+    id: 'mandiri-livin',
+    bank: 'Mandiri',
+    senders: [/@bankmandiri\.co\.id/i],
+    subjects: [/transfer|pembayaran|top.?up|transaksi|dana masuk/i],
+    fields: {
+      amount: ['Nominal Transaksi', 'Jumlah Transfer', 'Total Transaksi'],
+      date: ['Tanggal Transaksi', 'Tanggal'],
+      reference: ['No. Referensi', 'Nomor Referensi'],
+      merchant: ['Nama Merchant', 'Merchant'],
+      recipient: ['Nama Penerima', 'Penerima'],
+      sender: ['Nama Pengirim', 'Pengirim']
+    },
+    stopLabels: ['Jam', 'Waktu', 'Biaya Transfer', 'Sumber Dana', 'Rekening Tujuan', 'Keterangan'],
+    incomePattern: /dana masuk|transfer masuk|incoming transfer/i
+  },
+  {
+    id: 'jago',
+    bank: 'Jago',
+    senders: [/@jago\.com/i],
+    fields: {
+      amount: ['Jumlah', 'Amount'],
+      date: ['Tanggal', 'Date'],
+      reference: ['ID Transaksi', 'Transaction ID'],
+      merchant: ['Merchant'],
+      recipient: ['Ke', 'To'],
+      sender: ['Dari', 'From']
+    },
+    stopLabels: ['Waktu', 'Time', 'Kantong', 'Pocket', 'Catatan', 'Note'],
+    incomePattern: /uang masuk|money received|kamu menerima|you received/i
+  },
+  {
+    id: 'seabank',
+    bank: 'Seabank',
+    senders: [/@seabank\.co\.id/i],
+    fields: {
+      amount: ['Nominal', 'Jumlah'],
+      date: ['Waktu Transaksi', 'Tanggal'],
+      reference: ['No. Transaksi', 'Nomor Transaksi'],
+      merchant: ['Merchant'],
+      recipient: ['Penerima'],
+      sender: ['Pengirim']
+    },
+    stopLabels: ['Biaya', 'Metode', 'Status'],
+    incomePattern: /dana masuk|transfer masuk|menerima dana/i
+  },
+  {
+    id: 'blu',
+    bank: 'Blu',
+    senders: [/@bcadigital\.co\.id/i, /blu\.co\.id/i],
+    fields: {
+      amount: ['Nominal', 'Jumlah'],
+      date: ['Tanggal'],
+      reference: ['No. Referensi', 'Ref'],
+      merchant: ['Merchant', 'Nama Merchant'],
+      recipient: ['Penerima', 'Ke'],
+      sender: ['Pengirim', 'Dari']
+    },
+    stopLabels: ['Jam', 'Biaya', 'Catatan', 'Rekening'],
+    incomePattern: /dana masuk|transfer masuk|kamu terima/i
+  },
+  {
+    id: 'neobank',
+    bank: 'Neobank',
+    senders: [/@bankneocommerce\.co\.id/i, /neobank/i],
+    fields: {
+      amount: ['Nominal Transaksi', 'Nominal', 'Jumlah'],
+      date: ['Tanggal Transaksi', 'Tanggal'],
+      reference: ['No. Referensi', 'ID Transaksi'],
+      merchant: ['Merchant'],
+      recipient: ['Nama Penerima', 'Penerima'],
+      sender: ['Nama Pengirim', 'Pengirim']
+    },
+    stopLabels: ['Waktu', 'Jam', 'Biaya Admin', 'Status'],
+    incomePattern: /dana masuk|transfer masuk|uang masuk/i
+  }
+];
+
+BANK_TEMPLATES.forEach(registerTemplate);
+
+export { parseEmailWithTemplates };
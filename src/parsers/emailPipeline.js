@@ -0,0 +1,52 @@
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { parseEmailWithTemplates } from './bankTemplates.js';
+import { resolveAccountFromEmail } from './accountMatcher.js';
+import { parseEmailWithLlm } from '../llm/emailParser.js';
+import { convertParsedAmount } from '../services/exchangeRateService.js';
+
+/**
+ * Parse a bank email the way the processor does: deterministic bank templates
+ * first, the LLM providers when no template matches, then the account found
+ * in the email itself settles the bank, and a foreign amount is converted to rupiah
+ * @param {string} emailBody - Email body
+ * @param {Object} [headers] - Email headers (from, subject)
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache=true] - Use the LLM parse cache
+ * @param {boolean} [options.useTemplates=CONFIG.ENABLE_BANK_TEMPLATES] - Try the bank templates
+ * @returns {Promise<Object|null>} - Parsed data or null if nothing could parse it
+ */
+export async function parseTransactionEmail(emailBody, headers = {}, {
+  useCache = true,
+  useTemplates = CONFIG.ENABLE_BANK_TEMPLATES
+} = {}) {
+  // Try deterministic bank templates first; they need no API call
+  let parsedData = useTemplates
+    ? parseEmailWithTemplates(emailBody, headers)
+    : null;
+
+  // When no template matched, ask the LLM providers (or reuse their cached answer)
+  if (!parsedData) {
+    parsedData = await parseEmailWithLlm(emailBody, headers, { useCache });
+  }
+
+  if (!parsedData) {
+    return null;
+  }
+
+  // Account numbers and names in the email settle the bank, whatever the parser guessed
+  const resolvedAccount = resolveAccountFromEmail({
+    text: emailBody,
+    from: headers.from,
+    transactionType: parsedData.transaction_type,
+    recipient: parsedData.additional_info?.recipient,
+    sender: parsedData.additional_info?.sender
+  });
+  if (resolvedAccount && resolvedAccount.bank !== parsedData.bank) {
+    logger.info(`Bank resolved by ${resolvedAccount.method}: ${resolvedAccount.bank} (parser said ${parsedData.bank || 'nothing'})`);
+    parsedData.bank = resolvedAccount.bank;
+  }
+
+  // Foreign amounts are stored in rupiah; the original stays in additional_info
+  return convertParsedAmount(parsedData);
+}
@@ -0,0 +1,112 @@
+import { getBankTypes, findBankAccountsInText } from '../../config/bankAccounts.js';
+import { getLocalDate } from '../../utils/dateUtils.js';
+import { resolveBankAccount, guessCategory } from './templateRegistry.js';
+import { findAmounts, findDates } from './normalizers.js';
+
+export const CASH_BANK = 'Tunai';
+
+const INCOME_WORDS = /\b(gaji|terima|diterima|dapat|masuk|pemasukan|jual|bonus|thr)\b/i;
+const CASH_WORDS = /\b(tunai|cash)\b/i;
+
+// Everyday words that show up in typed notes but not in bank emails
+const MANUAL_CATEGORY_KEYWORDS = [
+  { category: 'Makanan', keywords: ['makan', 'sarapan', 'minum', 'jajan', 'snack', 'bakso', 'nasi', 'sate', 'martabak'] },
+  { category: 'Transportasi', keywords: ['bensin', 'bbm', 'ojek', 'ojol', 'taksi', 'angkot', 'bus', 'tiket kereta'] },
+  { category: 'Rumah Tangga', keywords: ['belanja', 'sayur', 'pasar', 'galon', 'gas', 'sabun', 'deterjen', 'laundry'] },
+  { category: 'Kesehatan', keywords: ['obat', 'dokter', 'vitamin'] },
+  { category: 'Sedekah', keywords: ['sedekah', 'infaq', 'infak', 'zakat', 'donasi', 'kondangan'] },
+  { category: 'Pakaian', keywords: ['baju', 'celana', 'sepatu', 'sandal', 'kaos'] },
+  { category: 'Kecantikan', keywords: ['salon', 'potong rambut', 'cukur', 'skincare'] },
+  { category: 'Pengembangan Keluarga', keywords: ['buku', 'sekolah', 'spp', 'kursus', 'les'] },
+  { category: 'Hiburan', keywords: ['nonton', 'bioskop', 'main', 'wisata'] },
+  { category: 'Gaji', keywords: ['gaji'] }
+];
+
+function findAmount(text) {
+  // Bare small numbers ("2 porsi") are quantities, not amounts; "12 usd" is an amount
+  const match = findAmounts(text, { requireCurrency: false })
+    .find(({ amount, currency, shorthand, text: token }) => amount > 0 &&
+      (currency !== 'IDR' || shorthand || token.replace(/\D/g, '').length >= 3));
+  if (!match) return null;
+
+  // Rupiah is whole; a foreign amount keeps its cents until it is converted
+  const amount = match.currency === 'IDR' ? Math.round(match.amount) : match.amount;
+  return { amount, currency: match.currency, token: match.text };
+}
+
+function findBank(text) {
+  const lowerText = text.toLowerCase();
+
+  const [named, ...others] = findBankAccountsInText(text);
+  if (named && others.length === 0) {
+    const phrase = [named.name, ...named.aliases].find(candidate => lowerText.includes(candidate.toLowerCase()));
+    return { bank: named.name, tokens: phrase.split(' ') };
+  }
+
+  const bankType = getBankTypes().find(type => new RegExp(`\\b${type}\\b`, 'i').test(text));
+  if (bankType) {
+    const bank = resolveBankAccount(bankType, text);
+    return { bank, tokens: bank ? bank.split(' ') : [bankType] };
+  }
+
+  if (CASH_WORDS.test(text)) {
+    return { bank: CASH_BANK, tokens: ['tunai', 'cash'] };
+  }
+
+  return { bank: CASH_BANK, tokens: [] };
+}
+
+function guessManualCategory(text) {
+  const lowerText = text.toLowerCase();
+
+  for (const { category, keywords } of MANUAL_CATEGORY_KEYWORDS) {
+    if (keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerText))) {
+      return category;
+    }
+  }
+
+  return guessCategory(text);
+}
+
+/**
+ * Parse a typed note such as "makan siang 45rb jago fara" with deterministic rules
+ * @param {string} text - Message text
+ * @returns {Object|null} - Parsed entry, or null when no amount is found.
+ *   needsCategory is true when no category keyword matched; currency is the
+ *   ISO code of the amount (IDR unless the note names another currency).
+ */
+export function parseManualEntry(text) {
+  const normalized = (text || '').trim().replace(/\s+/g, ' ');
+  if (!normalized) return null;
+
+  // "kemarin", "2 hari lalu", "17 Okt"; today when no date is given
+  const dateMatch = findDates(normalized)[0];
+  const withoutDate = dateMatch ? normalized.replace(dateMatch.text, ' ') : normalized;
+
+  const amountMatch = findAmount(withoutDate);
+  if (!amountMatch) return null;
+
+  const { bank, tokens } = findBank(normalized);
+  const isIncome = INCOME_WORDS.test(normalized);
+
+  let description = withoutDate.replace(amountMatch.token, ' ');
+  for (const token of tokens) {
+    description = description.replace(new RegExp(`\\b${token}\\b`, 'i'), ' ');
+  }
+  description = description.replace(/\s+/g, ' ').trim();
+  description = description ? description.charAt(0).toUpperCase() + description.slice(1) : 'Catatan manual';
+
+  const category = guessManualCategory(normalized);
+
+  return {
+    amount: isIncome ? amountMatch.amount : -amountMatch.amount,
+    currency: amountMatch.currency,
+    category,
+    description,
+    transaction_type: isIncome ? 'income' : 'expense',
+    date: dateMatch ? dateMatch.date : getLocalDate(),
+    bank,
+    needsCategory: category === 'Lainnya',
+    source: 'manual'
+  };
+}
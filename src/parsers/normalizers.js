@@ -0,0 +1,235 @@
+import { getLocalDate, addDays } from '../../utils/dateUtils.js';
+
+const MONTHS = {
+  jan: 1, januari: 1, january: 1,
+  feb: 2, februari: 2, february: 2, pebruari: 2,
+  mar: 3, maret: 3, march: 3,
+  apr: 4, april: 4,
+  mei: 5, may: 5,
+  jun: 6, juni: 6, june: 6,
+  jul: 7, juli: 7, july: 7,
+  agu: 8, agt: 8, agus: 8, agst: 8, agustus: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  okt: 10, oct: 10, oktober: 10, october: 10,
+  nov: 11, nop: 11, nopember: 11, november: 11,
+  des: 12, dec: 12, desember: 12, december: 12
+};
+
+// Currency markers written before or after an amount, by ISO code
+const CURRENCY_ALIASES = {
+  IDR: ['rp', 'idr', 'rupiah'],
+  USD: ['usd', 'us$', '$'],
+  SGD: ['sgd', 's$'],
+  MYR: ['myr', 'rm'],
+  EUR: ['eur', '€'],
+  GBP: ['gbp', '£'],
+  JPY: ['jpy', '¥'],
+  AUD: ['aud', 'a$']
+};
+
+const SHORTHAND_MULTIPLIERS = { rb: 1e3, ribu: 1e3, k: 1e3, jt: 1e6, juta: 1e6, miliar: 1e9, milyar: 1e9 };
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest markers first so "us$" wins over "$"
+const prefixPattern = Object.values(CURRENCY_ALIASES)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .map(alias => (/^[a-z]/.test(alias) ? `${escapeRegExp(alias)}\\.?` : escapeRegExp(alias)))
+  .join('|');
+
+// After the number only codes and words count ("12.99 USD", "50.000 rupiah"), on the same line
+const suffixPattern = Object.values(CURRENCY_ALIASES)
+  .flat()
+  .filter(alias => /^[a-z]{3,}$/.test(alias))
+  .join('|');
+
+// [-] [currency] number [,-] [shorthand] [currency code]
+const AMOUNT_PATTERN = new RegExp(
+  `(?<![\\w.,])(-\\s*)?(?:(${prefixPattern})\\s*)?(\\d+(?:[.,]\\d+)*)(?:[.,]-)?[ \\t]*` +
+  `(rb|ribu|k|jt|juta|miliar|milyar)?(?:[ \\t]*(${suffixPattern}))?(?![\\w$€£¥])`,
+  'gi'
+);
+
+// Only real month names, longest first so "agustus" wins over "agus"
+const monthPattern = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const DATE_PATTERNS = [
+  // 2026-10-19, 2026/10/19
+  { pattern: /(?<!\d)(\d{4})([-\/.])(\d{1,2})\2(\d{1,2})(?!\d)/g, read: m => [+m[1], +m[3], +m[4]] },
+  // 19/10/2026, 19-10-26 (day first; swapped when only that makes sense)
+  {
+    pattern: /(?<![\d.,])(\d{1,2})([-\/.])(\d{1,2})\2(\d{4}|\d{2})(?![\d:]|[.,]\d)/g,
+    read: m => (+m[3] > 12 && +m[1] <= 12 ? [+m[4], +m[1], +m[3]] : [+m[4], +m[3], +m[1]])
+  },
+  // 19 Okt 2026, 19-Oct-26, 1 Agustus 2026
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})[\\s-]+(${monthPattern})\\.?[\\s-]+(\\d{4}|\\d{2})\\b(?!:)`, 'gi'),
+    read: m => [+m[3], MONTHS[m[2].toLowerCase()], +m[1]]
+  },
+  // Oct 19, 2026 and October 19th 2026
+  {
+    pattern: new RegExp(`\\b(${monthPattern})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+    read: m => [+m[3], MONTHS[m[1].toLowerCase()], +m[2]]
+  },
+  // 19 Okt (the most recent one)
+  { pattern: new RegExp(`\\b(\\d{1,2})\\s+(${monthPattern})\\b`, 'gi'), read: m => [null, MONTHS[m[2].toLowerCase()], +m[1]] }
+];
+
+const RELATIVE_DATE_PATTERNS = [
+  { pattern: /\b(hari ini|today)\b/gi, days: () => 0 },
+  { pattern: /\b(kemarin lusa|2 hari (yang )?lalu)\b/gi, days: () => -2 },
+  { pattern: /\b(kemarin|yesterday)\b/gi, days: () => -1 },
+  { pattern: /\b(\d{1,2}) (hari (yang )?lalu|days? ago)\b/gi, days: m => -parseInt(m[1]) }
+];
+
+/**
+ * Map a currency marker ("Rp", "US$", "usd") to its ISO code
+ * @param {string} marker - Currency symbol, code or word
+ * @returns {string|null} - ISO code (e.g. 'IDR') or null if unknown
+ */
+export function normalizeCurrency(marker) {
+  const alias = String(marker || '').trim().toLowerCase().replace(/\.$/, '');
+  const entry = Object.entries(CURRENCY_ALIASES).find(([code, aliases]) => code.toLowerCase() === alias || aliases.includes(alias));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Read the digits of an amount, working out which separator is the decimal one:
+ * with both, the last one is; a lone separator followed by three digits, or
+ * repeated, groups thousands ("1.250", "1,250,000"); otherwise it is decimal ("12,5")
+ * @param {string} number - Digits with "." and "," separators
+ * @param {boolean} [decimalOnly=false] - Treat a lone separator as decimal ("1,2jt")
+ * @returns {number|null} - Value or null
+ */
+function parseNumber(number, decimalOnly = false) {
+  let digits = number;
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const parts = digits.split(separator);
+    const isThousands = parts.length > 2 || (!decimalOnly && parts[parts.length - 1].length === 3);
+    digits = isThousands ? parts.join('') : parts.join('.');
+  }
+
+  const value = parseFloat(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Find every amount in a text, such as "Rp1.250.000,50", "IDR 1,250,000.50",
+ * "Rp 50.000,-", "45rb", "1,2jt" or "USD 12.99"
+ * @param {string} text - Text to search
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCurrency=true] - Only amounts with a currency marker or shorthand
+ * @returns {Array<Object>} - { amount, currency, text, shorthand } in order of appearance;
+ *   amount is positive unless written with a leading minus, currency defaults to IDR
+ */
+export function findAmounts(text, { requireCurrency = true } = {}) {
+  const amounts = [];
+
+  for (const match of String(text || '').matchAll(AMOUNT_PATTERN)) {
+    const [token, minus, prefix, number, shorthand, suffix] = match;
+    const marker = prefix || suffix;
+    if (requireCurrency && !marker && !shorthand) continue;
+
+    const value = parseNumber(number, Boolean(shorthand));
+    if (value === null) continue;
+
+    const multiplier = shorthand ? SHORTHAND_MULTIPLIERS[shorthand.toLowerCase()] : 1;
+    const amount = Math.round(value * multiplier * 100) / 100;
+    amounts.push({
+      amount: minus ? -amount : amount,
+      currency: marker ? normalizeCurrency(marker) : 'IDR',
+      text: token.trim(),
+      shorthand: shorthand ? shorthand.toLowerCase() : null
+    });
+  }
+
+  return amounts;
+}
+
+/**
+ * Parse a single amount, e.g. a value captured after a label
+ * @param {string} value - Amount text
+ * @returns {Object|null} - { amount, currency, text, shorthand } or null when there is none
+ */
+export function parseAmount(value) {
+  return findAmounts(value, { requireCurrency: false })[0] || null;
+}
+
+function formatDate(year, month, day) {
+  if (!year || !month || !day) return null;
+
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  // Reject dates that roll over, such as 31 Feb
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Find every date in a text: ISO dates, day-first numeric dates, Indonesian and
+ * English month names, and relative dates ("hari ini", "kemarin", "3 hari lalu",
+ * "2 days ago"). A day and month without a year is the most recent such date.
+ * @param {string} text - Text to search
+ * @param {Object} [options]
+ * @param {string} [options.today=getLocalDate()] - Reference date for relative dates, YYYY-MM-DD
+ * @returns {Array<Object>} - { date: 'YYYY-MM-DD', text } in order of appearance
+ */
+export function findDates(text, { today = getLocalDate() } = {}) {
+  const source = String(text || '');
+  const found = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([from, to]) => start < to && end > from);
+
+  const add = (match, date) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (!date || overlaps(start, end)) return;
+    taken.push([start, end]);
+    found.push({ date, text: match[0], index: start });
+  };
+
+  for (const { pattern, read } of DATE_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      const [year, month, day] = read(match);
+      if (year !== null) {
+        add(match, formatDate(year, month, day));
+        continue;
+      }
+
+      const thisYear = parseInt(today.substring(0, 4));
+      const date = formatDate(thisYear, month, day);
+      add(match, date && date > today ? formatDate(thisYear - 1, month, day) : date);
+    }
+  }
+
+  for (const { pattern, days } of RELATIVE_DATE_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      add(match, addDays(today, days(match)));
+    }
+  }
+
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(({ date, text: dateText }) => ({ date, text: dateText }));
+}
+
+/**
+ * Parse a single date, e.g. a value captured after a label or an LLM answer
+ * @param {string} value - Date text
+ * @param {Object} [options] - As for findDates
+ * @returns {string|null} - Date in YYYY-MM-DD format or null
+ */
+export function parseDate(value, options) {
+  return findDates(value, options)[0]?.date || null;
+}
@@ -0,0 +1,212 @@
+import { getBankAccounts } from '../../config/bankAccounts.js';
+import { extractAccountDigits } from './accountMatcher.js';
+import { parseAmount, parseDate } from './normalizers.js';
+import { logger } from '../../utils/logger.js';
+
+const templates = [];
+
+// Keyword → category hints for template matches, which have no LLM to pick a category
+const CATEGORY_KEYWORDS = [
+  { category: 'Transportasi', keywords: ['gojek', 'gocar', 'goride', 'grab', 'maxim', 'pertamina', 'shell', 'parkir', 'tol', 'krl', 'mrt', 'kai'] },
+  { category: 'Makanan', keywords: ['gofood', 'grabfood', 'shopeefood', 'resto', 'restoran', 'kopi', 'coffee', 'cafe', 'bakery', 'mcd', 'kfc'] },
+  { category: 'Rumah Tangga', keywords: ['indomaret', 'alfamart', 'superindo', 'hypermart', 'pln', 'pdam', 'listrik', 'token'] },
+  { category: 'Kesehatan', keywords: ['apotek', 'apotik', 'klinik', 'rumah sakit', 'kimia farma', 'halodoc'] },
+  { category: 'Hiburan', keywords: ['cgv', 'xxi', 'cinema', 'netflix', 'spotify', 'steam'] },
+  { category: 'Gaji', keywords: ['gaji', 'payroll', 'salary'] },
+  { category: 'Bunga', keywords: ['bunga', 'interest'] },
+  { category: 'Cashback', keywords: ['cashback'] },
+  { category: 'Refund', keywords: ['refund', 'pengembalian dana'] }
+];
+
+/**
+ * Register a bank notification template
+ * @param {Object} template - Template definition
+ * @param {string} template.id - Unique template identifier
+ * @param {string} template.bank - Bank type of the configured accounts (e.g. 'Mandiri')
+ * @param {Array<RegExp>} template.senders - Patterns matched against the From header
+ * @param {Array<RegExp>} [template.subjects] - Patterns matched against the Subject header
+ * @param {Object} template.fields - Label lists per field (amount, date, reference, merchant, recipient, sender)
+ * @param {Array<string>} [template.stopLabels] - Extra labels that end a captured value (e.g. 'Jam')
+ * @param {RegExp} [template.incomePattern] - Marks the transaction as income when it matches subject or body
+ */
+export function registerTemplate(template) {
+  if (!template?.id || !template.bank || !Array.isArray(template.senders)) {
+    throw new Error('Bank template requires id, bank and senders');
+  }
+
+  const existingIndex = templates.findIndex(t => t.id === template.id);
+  if (existingIndex >= 0) {
+    templates.splice(existingIndex, 1, template);
+  } else {
+    templates.push(template);
+  }
+}
+
+/**
+ * Get all registered templates
+ * @returns {Array<Object>} - Registered templates in match order
+ */
+export function getTemplates() {
+  return [...templates];
+}
+
+/**
+ * Find templates whose sender and subject patterns match the email headers
+ * @param {Object} headers - Email headers from getEmailHeaders
+ * @returns {Array<Object>} - Matching templates
+ */
+export function findTemplates(headers = {}) {
+  const from = headers.from || '';
+  const subject = headers.subject || '';
+
+  return templates.filter(template => {
+    const senderMatches = template.senders.some(pattern => pattern.test(from));
+    if (!senderMatches) return false;
+
+    if (!template.subjects || template.subjects.length === 0) return true;
+    return template.subjects.some(pattern => pattern.test(subject));
+  });
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Capture the value following one of the labels, up to a line break or the next known label.
+ * Works on both plain text bodies and HTML bodies flattened to a single line.
+ */
+function captureAfterLabel(text, labels, stopLabels) {
+  if (!labels || labels.length === 0) return null;
+
+  // Longest labels first so "Tanggal Transaksi" wins over "Tanggal"
+  const byLength = list => [...list].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const labelPattern = byLength(labels);
+  const stopPattern = byLength(stopLabels);
+  const regex = new RegExp(`\\b(?:${labelPattern})\\b\\s*:?\\s*(.+?)(?=\\s*\\b(?:${stopPattern})(?:\\s|:|$)|\\s*\\n|$)`, 'i');
+
+  const match = text.match(regex);
+  const value = match?.[1]?.trim();
+  return value || null;
+}
+
+/**
+ * Resolve a bank type (e.g. 'Jago') to a configured account name (e.g. 'Jago Fara')
+ * @param {string} bankType - Bank type from the template
+ * @param {string} text - Email text used to find the account number or owner name
+ * @returns {string|null} - Bank account name or null if ambiguous
+ */
+export function resolveBankAccount(bankType, text) {
+  const candidates = getBankAccounts()
+    .filter(account => account.type.toLowerCase() === bankType.toLowerCase());
+
+  if (candidates.length === 1) return candidates[0].name;
+
+  const digits = extractAccountDigits(text);
+  const numbered = candidates.filter(account => account.last4.some(last4 => digits.includes(last4)));
+  if (numbered.length === 1) return numbered[0].name;
+
+  const owned = candidates.filter(account =>
+    [account.owner, ...account.aliases].some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text))
+  );
+
+  return owned.length === 1 ? owned[0].name : null;
+}
+
+/**
+ * Guess a category from merchant/description keywords
+ * @param {string} text - Merchant or description text
+ * @returns {string} - Category name, 'Lainnya' when nothing matches
+ */
+export function guessCategory(text) {
+  const lowerText = (text || '').toLowerCase();
+
+  for (const { category, keywords } of CATEGORY_KEYWORDS) {
+    if (keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`).test(lowerText))) {
+      return category;
+    }
+  }
+
+  return 'Lainnya';
+}
+
+/**
+ * Apply a single template to an email
+ * @param {Object} template - Template definition
+ * @param {string} emailText - Email body
+ * @param {Object} headers - Email headers
+ * @returns {Object|null} - Parsed data in the same shape as the Gemini parsers, or null
+ */
+export function applyTemplate(template, emailText, headers = {}) {
+  const fields = template.fields || {};
+  const stopLabels = [...Object.values(fields).flat(), ...(template.stopLabels || [])];
+  const capture = name => captureAfterLabel(emailText, fields[name], stopLabels);
+
+  const parsedAmount = parseAmount(capture('amount'));
+  if (!parsedAmount) {
+    return null;
+  }
+  const amount = parsedAmount.amount;
+
+  const subject = headers.subject || '';
+  const isIncome = template.incomePattern
+    ? template.incomePattern.test(subject) || template.incomePattern.test(emailText)
+    : false;
+  const transactionType = isIncome ? 'income' : 'expense';
+
+  const merchant = capture('merchant');
+  const recipient = capture('recipient');
+  const sender = capture('sender');
+  const counterpart = merchant || (isIncome ? sender : recipient);
+
+  const description = counterpart
+    ? `${isIncome ? 'Terima dari' : (merchant ? 'Bayar di' : 'Transfer ke')} ${counterpart}`
+    : subject || `Transaksi ${template.bank}`;
+
+  const bank = resolveBankAccount(template.bank, `${headers.to || ''}\n${emailText}`);
+
+  return {
+    amount: isIncome ? Math.abs(amount) : -Math.abs(amount),
+    category: guessCategory(`${counterpart || ''} ${subject}`),
+    description: description.substring(0, 100),
+    transaction_type: transactionType,
+    date: parseDate(capture('date')) || new Date().toISOString().split('T')[0],
+    bank,
+    confidence: bank ? 95 : 80,
+    additional_info: {
+      recipient: recipient || null,
+      sender: sender || null,
+      reference_number: capture('reference'),
+      merchant: merchant || null,
+      location: null
+    },
+    // Card spending abroad; converted to rupiah by the pipeline
+    currency: parsedAmount.currency,
+    source: `template:${template.id}`
+  };
+}
+
+/**
+ * Try every matching template for an email
+ * @param {string} emailText - Email body
+ * @param {Object} headers - Email headers from getEmailHeaders
+ * @returns {Object|null} - Parsed data or null if no template matched
+ */
+export function parseEmailWithTemplates(emailText, headers = {}) {
+  if (!emailText) return null;
+
+  for (const template of findTemplates(headers)) {
+    try {
+      const parsedData = applyTemplate(template, emailText, headers);
+      if (parsedData) {
+        logger.success(`Parsed email with bank template: ${template.id}`);
+        return parsedData;
+      }
+      logger.debug(`Template ${template.id} matched headers but not body`);
+    } catch (error) {
+      logger.warning(`Bank template ${template.id} failed: ${error.message}`);
+    }
+  }
+
+  return null;
+}
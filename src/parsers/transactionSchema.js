@@ -0,0 +1,135 @@
+import { INCOME_CATEGORIES, EXPENSE_CATEGORIES } from '../../config/constants.js';
+import { getBankNames } from '../../config/bankAccounts.js';
+import { logger } from '../../utils/logger.js';
+
+const TRANSACTION_TYPES = ['income', 'expense'];
+const DETAIL_FIELDS = ['recipient', 'sender', 'reference_number', 'merchant', 'location'];
+
+/**
+ * Get every category an LLM may answer with
+ * @returns {Array<string>} - Income and expense categories, then 'Lainnya'
+ */
+export function getTransactionCategories() {
+  return [...Object.keys(INCOME_CATEGORIES), ...Object.keys(EXPENSE_CATEGORIES), 'Lainnya'];
+}
+
+/**
+ * Build the JSON Schema of a parsed transaction. Categories and banks are
+ * enums, so a provider with structured output can only pick configured values.
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Also ask for confidence and additional_info
+ * @returns {Object} - JSON Schema
+ */
+export function buildTransactionResponseSchema({ details = false } = {}) {
+  const properties = {
+    amount: { type: 'number', description: 'Positive for income, negative for expenses, no currency symbols' },
+    category: { type: 'string', enum: getTransactionCategories() },
+    description: { type: 'string' },
+    transaction_type: { type: 'string', enum: TRANSACTION_TYPES },
+    date: { type: 'string', description: 'Transaction date as YYYY-MM-DD' },
+    bank: { type: ['string', 'null'], enum: [...getBankNames(), null] }
+  };
+
+  if (details) {
+    properties.confidence = { type: 'number', minimum: 0, maximum: 100 };
+    properties.additional_info = {
+      type: 'object',
+      properties: Object.fromEntries(DETAIL_FIELDS.map(field => [field, { type: ['string', 'null'] }]))
+    };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(field => field !== 'additional_info')
+  };
+}
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check a parsed transaction against the response schema
+ * @param {Object} data - Parsed JSON from the model
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Also check confidence
+ * @returns {Array<string>} - Problems found, empty when the data is valid
+ */
+export function validateTransactionData(data, { details = false } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['the response must be a single JSON object'];
+  }
+
+  const errors = [];
+
+  if (typeof data.amount !== 'number' || !Number.isFinite(data.amount)) {
+    errors.push(`amount must be a number, got ${JSON.stringify(data.amount)}`);
+  }
+
+  if (!TRANSACTION_TYPES.includes(data.transaction_type)) {
+    errors.push(`transaction_type must be "income" or "expense", got ${JSON.stringify(data.transaction_type)}`);
+  }
+
+  if (!isIsoDate(data.date)) {
+    errors.push(`date must be a real date as YYYY-MM-DD, got ${JSON.stringify(data.date)}`);
+  }
+
+  if (!getTransactionCategories().includes(data.category)) {
+    errors.push(`category must be one of the listed categories, got ${JSON.stringify(data.category)}`);
+  }
+
+  if (data.bank !== null && data.bank !== undefined && !getBankNames().includes(data.bank)) {
+    errors.push(`bank must be null or one of: ${getBankNames().join(', ')}; got ${JSON.stringify(data.bank)}`);
+  }
+
+  if (details && data.confidence !== undefined &&
+      (typeof data.confidence !== 'number' || data.confidence < 0 || data.confidence > 100)) {
+    errors.push(`confidence must be a number from 0 to 100, got ${JSON.stringify(data.confidence)}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Ask an LLM provider for a transaction as structured JSON and validate it.
+ * When the answer is not valid JSON or fails validation, the request is
+ * retried once with the problems fed back.
+ * @param {Object} provider - LLM provider (src/llm)
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Ask for confidence and additional_info too
+ * @returns {Promise<Object>} - Parsed and validated data
+ * @throws {Error} - When the retry is still invalid
+ */
+export async function generateTransactionJson(provider, prompt, { details = false } = {}) {
+  const schema = buildTransactionResponseSchema({ details });
+  const messages = [{ role: 'user', content: prompt }];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const responseText = await provider.generateJson(messages, schema);
+
+    let data = null;
+    try {
+      data = JSON.parse(responseText);
+      errors = validateTransactionData(data, { details });
+    } catch (error) {
+      errors = [`the response is not valid JSON (${error.message})`];
+    }
+
+    if (errors.length === 0) {
+      return data;
+    }
+
+    logger.warning(`${provider.name} response failed validation (attempt ${attempt}): ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: `Your answer was invalid:\n- ${errors.join('\n- ')}\nReturn the corrected JSON object only.` }
+    );
+  }
+
+  throw new Error(`${provider.name} response is still invalid after a retry: ${errors.join('; ')}`);
+}
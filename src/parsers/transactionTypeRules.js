@@ -0,0 +1,142 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { CONFIG } from '../../config/constants.js';
+import { getBankAccount } from '../../config/bankAccounts.js';
+
+export const TRANSACTION_TYPES = ['income', 'expense'];
+
+/**
+ * Built-in debit/credit rules, tried in order after the rules of
+ * TRANSACTION_TYPE_RULES_FILE. The first rule whose pattern matches decides;
+ * specific phrasing (card payments, refunds) comes before the generic markers.
+ * Words that show up on both sides ("Pembayaran Gaji", "Terima pembayaran")
+ * have no rule, so the model's type stands for them.
+ */
+export const DEFAULT_TRANSACTION_TYPE_RULES = [
+  {
+    id: 'credit-card-payment',
+    pattern: /\b(pembayaran|bayar)\s+(tagihan\s+)?(kartu\s+kredit|cc)\b|\bcredit\s+card\s+payment\b/i,
+    type: 'expense'
+  },
+  {
+    id: 'refund',
+    pattern: /\brefund\b|\bpengembalian\s+dana\b|\bdana\s+dikembalikan\b|\breversal\b|\bpembatalan\s+transaksi\b/i,
+    type: 'income'
+  },
+  { id: 'cashback', pattern: /\bcashback\b/i, type: 'income' },
+  {
+    id: 'payment-received',
+    pattern: /\b(pembayaran|payment)\s+(diterima|masuk|received)\b/i,
+    type: 'income'
+  },
+  {
+    id: 'money-in',
+    pattern: /\b(dana|uang|transfer)\s+masuk\b|\bincoming\s+transfer\b|\bmoney\s+received\b|\b(kamu|anda)\s+(menerima|terima)\b|\byou\s+received\b|\bmenerima\s+dana\b/i,
+    type: 'income'
+  },
+  {
+    id: 'money-out',
+    pattern: /\b(dana|uang|transfer)\s+keluar\b|\boutgoing\s+transfer\b|\b(kamu|anda)\s+(mengirim|membayar)\b|\byou\s+(sent|paid)\b/i,
+    type: 'expense'
+  },
+  // Mutation codes in statements and SMS-style notifications, upper case only
+  { id: 'credit-marker', pattern: /\b(CR|KR)\b/, type: 'income' },
+  { id: 'debit-marker', pattern: /\b(DB|DR)\b/, type: 'expense' },
+  { id: 'credited', pattern: /\b(dikreditkan|credited)\b/i, type: 'income' },
+  { id: 'debited', pattern: /\b(didebit|didebet|debited)\b/i, type: 'expense' }
+];
+
+let rules = null;
+
+/**
+ * Validate and normalize debit/credit rules
+ * @param {Array<Object>|Object} config - List of rules, or { rules: [...] }
+ * @returns {Array<Object>} - Rules with id, bank (or null), pattern (RegExp) and type
+ */
+export function normalizeTransactionTypeRules(config) {
+  const list = Array.isArray(config) ? config : config?.rules;
+  if (!Array.isArray(list)) {
+    throw new Error('Transaction type rules must contain a "rules" list');
+  }
+
+  return list.map((rule, index) => {
+    const id = String(rule?.id || `rule-${index + 1}`);
+    if (!TRANSACTION_TYPES.includes(rule?.type)) {
+      throw new Error(`Transaction type rule ${id} needs "type" income or expense`);
+    }
+    if (!rule.pattern) {
+      throw new Error(`Transaction type rule ${id} needs a "pattern"`);
+    }
+
+    let pattern = rule.pattern;
+    if (!(pattern instanceof RegExp)) {
+      try {
+        pattern = new RegExp(String(pattern), rule.caseSensitive ? '' : 'i');
+      } catch (error) {
+        throw new Error(`Transaction type rule ${id} has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    return { id, bank: rule.bank ? String(rule.bank).trim() : null, pattern, type: rule.type };
+  });
+}
+
+/**
+ * Get the rules in the order they are tried: TRANSACTION_TYPE_RULES_FILE
+ * first (read once), then the built-in ones
+ * @returns {Array<Object>} - Normalized rules
+ */
+export function getTransactionTypeRules() {
+  if (rules) {
+    return rules;
+  }
+
+  const file = CONFIG.TRANSACTION_TYPE_RULES_FILE;
+  let fileRules = [];
+  try {
+    // YAML is a superset of JSON, so one parser reads both
+    fileRules = file ? normalizeTransactionTypeRules(YAML.parse(fs.readFileSync(file, 'utf8'))) : [];
+  } catch (error) {
+    throw new Error(`Invalid TRANSACTION_TYPE_RULES_FILE ${file}: ${error.message}`);
+  }
+
+  rules = [...fileRules, ...normalizeTransactionTypeRules(DEFAULT_TRANSACTION_TYPE_RULES)];
+  return rules;
+}
+
+function appliesToBank(rule, bank) {
+  if (!rule.bank) return true;
+  if (!bank) return false;
+
+  const wanted = rule.bank.toLowerCase();
+  const account = getBankAccount(bank);
+  return [bank, account?.type].some(name => name?.toLowerCase() === wanted);
+}
+
+/**
+ * Decide whether a transaction moved money into or out of our account
+ * @param {Object} transaction
+ * @param {string} [transaction.bank] - Account name (e.g. 'Jago Fara'); bank rules match its name or type
+ * @param {string} transaction.text - Subject and description to look for markers in
+ * @param {Array<Object>} [ruleList] - Rules to try (default: getTransactionTypeRules())
+ * @returns {Object|null} - { type, rule, match } of the first matching rule, or null when none matches
+ */
+export function classifyTransactionType({ bank, text }, ruleList = getTransactionTypeRules()) {
+  for (const rule of ruleList) {
+    if (!appliesToBank(rule, bank)) continue;
+
+    const match = String(text || '').match(rule.pattern);
+    if (match) {
+      return { type: rule.type, rule: rule.id, match: match[0] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Forget the rules read from the file so the next call reads it again (tests)
+ */
+export function resetTransactionTypeRules() {
+  rules = null;
+}
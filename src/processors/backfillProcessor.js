@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { authenticateGmail, getGmailService } from '../auth/gmailAuth.js';
+import { authenticateSheets, getSheetsService } from '../auth/sheetsAuth.js';
+import { listMessagePage, getMessagesByIds } from '../services/gmailService.js';
+import { getHistoryFilterQuery } from '../services/gmailSyncService.js';
+import { processEmails } from './emailProcessor.js';
+import { refreshSummarySheet } from '../services/summaryService.js';
+import { CONFIG, usesGoogleSheets } from '../../config/constants.js';
+import { addDays, getLocalMidnight } from '../../utils/dateUtils.js';
+import { logger } from '../../utils/logger.js';
+
+const COUNT_FIELDS = ['processed', 'duplicates', 'flagged', 'queued', 'errors'];
+
+function loadCheckpoints() {
+  if (!fs.existsSync(CONFIG.BACKFILL_CHECKPOINT_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(CONFIG.BACKFILL_CHECKPOINT_FILE, 'utf8'));
+}
+
+function saveCheckpoint(key, checkpoint) {
+  const checkpoints = loadCheckpoints();
+  checkpoints[key] = { ...checkpoint, updatedAt: new Date().toISOString() };
+
+  const tempFile = `${CONFIG.BACKFILL_CHECKPOINT_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.BACKFILL_CHECKPOINT_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(checkpoints, null, 2));
+  fs.renameSync(tempFile, CONFIG.BACKFILL_CHECKPOINT_FILE);
+}
+
+/**
+ * Fetch and process a batch of messages, adding the counts to the checkpoint totals
+ * @param {Object} context - { accountId, gmailService, sheetsService, checkpoint }
+ * @param {Array<string>} messageIds - Messages to import
+ * @returns {Promise<Array<string>>} - Messages that failed to fetch or process, to retry on resume
+ */
+async function importMessages({ accountId, gmailService, sheetsService, checkpoint }, messageIds) {
+  const { emails, failedMessageIds: unfetched } = await getMessagesByIds(gmailService, messageIds);
+  const { failedMessageIds, ...counts } = await processEmails(
+    { accountId, gmailService, sheetsService, emails },
+    { labelEmails: false, notify: false, throttleMs: CONFIG.BACKFILL_DELAY_MS }
+  );
+
+  for (const field of COUNT_FIELDS) {
+    checkpoint.totals[field] += counts[field];
+  }
+  checkpoint.totals.errors += unfetched.length;
+  return [...unfetched, ...failedMessageIds];
+}
+
+/**
+ * Build the Gmail query for a local date range (both ends inclusive)
+ * @param {string} from - First date in YYYY-MM-DD format
+ * @param {string} to - Last date in YYYY-MM-DD format
+ * @returns {string} - Search query
+ */
+export function buildBackfillQuery(from, to) {
+  // Epoch seconds rather than dates, which Gmail would read in US Pacific time
+  const after = Math.floor(getLocalMidnight(from) / 1000);
+  const before = Math.floor(getLocalMidnight(addDays(to, 1)) / 1000);
+  return `${getHistoryFilterQuery()} after:${after} before:${before}`.trim();
+}
+
+/**
+ * Import past emails for one account into transaction storage.
+ * Pages through every matching message, checkpointing after each page so an
+ * interrupted run resumes where it stopped. Emails that failed to fetch or process
+ * are kept in the checkpoint and retried first when the backfill is run again.
+ * Emails are not labelled and no WhatsApp messages are sent; the ledger still
+ * skips anything already imported.
+ * @param {Object} options
+ * @param {string} options.accountId - Gmail account to read
+ * @param {string} options.from - First date in YYYY-MM-DD format
+ * @param {string} options.to - Last date in YYYY-MM-DD format
+ * @param {boolean} [options.restart=false] - Ignore an existing checkpoint
+ * @returns {Promise<Object>} - Totals for the whole range
+ */
+export async function runBackfill({ accountId, from, to, restart = false }) {
+  const key = `${accountId}|${from}|${to}`;
+  const saved = restart ? null : loadCheckpoints()[key];
+
+  if (saved?.completed && !saved.failedMessageIds?.length) {
+    logger.info(`Backfill ${from} → ${to} for ${accountId} already completed (use --restart to run it again)`);
+    return saved.totals;
+  }
+
+  const checkpoint = saved || {
+    pageToken: null,
+    pages: 0,
+    completed: false,
+    failedMessageIds: [],
+    totals: Object.fromEntries(COUNT_FIELDS.map(field => [field, 0]))
+  };
+  checkpoint.failedMessageIds = checkpoint.failedMessageIds || [];
+
+  if (saved) {
+    logger.info(`Resuming backfill for ${accountId} after page ${saved.pages}`);
+  }
+
+  const gmailService = getGmailService(await authenticateGmail(accountId));
+  const sheetsService = usesGoogleSheets() ? await getSheetsService(await authenticateSheets()) : null;
+
+  const query = buildBackfillQuery(from, to);
+  logger.separator(`Backfill ${accountId}: ${from} → ${to}`);
+  logger.info(`Query: ${query}`);
+
+  const context = { accountId, gmailService, sheetsService, checkpoint };
+
+  // Emails that failed on an earlier run; their errors are counted again only if they fail again
+  const retryIds = checkpoint.failedMessageIds;
+  if (retryIds.length > 0) {
+    logger.info(`Retrying ${retryIds.length} emails that failed earlier`);
+    checkpoint.totals.errors -= retryIds.length;
+    checkpoint.failedMessageIds = await importMessages(context, retryIds);
+    saveCheckpoint(key, checkpoint);
+  }
+
+  while (!checkpoint.completed) {
+    const page = await listMessagePage(gmailService, query, checkpoint.pageToken || undefined, CONFIG.BACKFILL_PAGE_SIZE);
+    logger.info(`Page ${checkpoint.pages + 1}: ${page.messageIds.length} messages`);
+
+    if (page.messageIds.length > 0) {
+      const failed = await importMessages(context, page.messageIds);
+      checkpoint.failedMessageIds = [...new Set([...checkpoint.failedMessageIds, ...failed])];
+    }
+
+    checkpoint.pages++;
+    checkpoint.pageToken = page.nextPageToken;
+    checkpoint.completed = !page.nextPageToken;
+    saveCheckpoint(key, checkpoint);
+  }
+
+  await refreshSummarySheet(sheetsService, CONFIG.SPREADSHEET_ID);
+
+  const { totals } = checkpoint;
+  logger.success(`Backfill finished: ${totals.processed} added, ${totals.duplicates} duplicates, ${totals.queued} queued, ${totals.errors} errors`);
+  if (checkpoint.failedMessageIds.length > 0) {
+    logger.warning(`${checkpoint.failedMessageIds.length} emails failed; run the same backfill again to retry them`);
+  }
+  return totals;
+}
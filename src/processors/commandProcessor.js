@@ -0,0 +1,392 @@
+import { authenticateSheets, getSheetsService } from '../auth/sheetsAuth.js';
+import { getTransactionSheetName } from '../services/sheetsService.js';
+import { getTransactions, updateTransaction, deleteTransaction } from '../storage/index.js';
+import { forgetTransaction, saveLedger } from '../services/ledgerService.js';
+import { approveReview, rejectReview } from '../services/reviewService.js';
+import { appendManualEntry, undoManualEntry } from '../services/manualEntryService.js';
+import { checkBudgetAlerts } from '../services/budgetService.js';
+import { scheduleSummaryRefresh } from '../services/summaryService.js';
+import { parseManualEntryWithGemini } from '../services/enhancedGeminiService.js';
+import { runWithFallback } from '../llm/index.js';
+import { parseManualEntry, CASH_BANK } from '../parsers/manualEntryParser.js';
+import { convertParsedAmount } from '../services/exchangeRateService.js';
+import {
+  parseWAHAMessageEvent,
+  verifyWAHAWebhookSignature,
+  isAuthorizedChat,
+  sendWhatsAppReply
+} from '../services/whatsappService.js';
+import { CONFIG, INCOME_CATEGORIES, EXPENSE_CATEGORIES, INTERNAL_TRANSFER_CATEGORY, usesGoogleSheets } from '../../config/constants.js';
+import { getLocalDate, getLocalMonth } from '../../utils/dateUtils.js';
+import { logger } from '../../utils/logger.js';
+
+let sheetsServicePromise = null;
+
+// Written amounts the rules cannot read ("catat bensin lima puluh ribu") need this prefix
+const MANUAL_ENTRY_TRIGGER = /^\s*(catat|catet)\b/i;
+
+const HELP_TEXT = [
+  '🤖 *Perintah yang tersedia*',
+  '',
+  '• *saldo* – ringkasan pemasukan & pengeluaran bulan ini',
+  '• *hari ini* – daftar transaksi hari ini',
+  '• *kategori <id> <Kategori>* – ubah kategori transaksi',
+  '• *hapus <id>* – hapus transaksi',
+  '• *setuju <id>* / *tolak <id>* – proses transaksi di tab Review',
+  '• *batal <kode>* – batalkan catatan manual',
+  '• Catat pengeluaran tunai langsung, contoh: *makan siang 45rb jago fara* atau *catat bensin lima puluh ribu*',
+  '• *bantuan* – tampilkan pesan ini',
+  '',
+  '_<id> adalah nomor transaksi dari *hari ini*, contoh: kategori 42 Makanan_'
+].join('\n');
+
+// Budgets and the Summary tab skip a null service; the review tab needs the spreadsheet
+function getSheets() {
+  if (!usesGoogleSheets()) {
+    return Promise.resolve(null);
+  }
+  if (!sheetsServicePromise) {
+    sheetsServicePromise = authenticateSheets()
+      .then(auth => getSheetsService(auth))
+      .catch(error => {
+        sheetsServicePromise = null;
+        throw error;
+      });
+  }
+  return sheetsServicePromise;
+}
+
+async function getReviewSheets() {
+  const sheetsService = await getSheets();
+  if (!sheetsService) {
+    throw new Error('tab Review hanya ada di Google Sheets, yang tidak dipakai');
+  }
+  return sheetsService;
+}
+
+function formatRupiah(amount) {
+  return `Rp ${Math.abs(amount).toLocaleString('id-ID')}`;
+}
+
+/**
+ * Parse a chat message into a bot command
+ * @param {string} text - Message text
+ * @returns {Object|null} - { name, args } or null if the text is not a command
+ */
+export function parseCommand(text) {
+  const normalized = (text || '').trim().replace(/\s+/g, ' ');
+  const lower = normalized.toLowerCase();
+
+  if (['bantuan', 'help', 'menu'].includes(lower)) return { name: 'help', args: [] };
+  if (lower === 'saldo') return { name: 'balance', args: [] };
+  if (lower === 'hari ini') return { name: 'today', args: [] };
+
+  let match = normalized.match(/^kategori\s+#?(\d+)\s+(.+)$/i);
+  if (match) return { name: 'category', args: [parseInt(match[1]), match[2].trim()] };
+
+  match = normalized.match(/^hapus\s+#?(\d+)$/i);
+  if (match) return { name: 'delete', args: [parseInt(match[1])] };
+
+  match = normalized.match(/^(setuju|tolak)\s+([a-f0-9]{6})$/i);
+  if (match) return { name: match[1].toLowerCase() === 'setuju' ? 'approve' : 'reject', args: [match[2].toUpperCase()] };
+
+  match = normalized.match(/^batal\s+([a-f0-9]{4})$/i);
+  if (match) return { name: 'undo', args: [match[1].toUpperCase()] };
+
+  return null;
+}
+
+/**
+ * Total income and expenses, overall and per bank (per-bank totals include internal transfers)
+ * @param {Array<Object>} entries - Stored transactions from getTransactions
+ * @returns {Object} - { income, expense, net, count, byBank }
+ */
+export function summarizeTransactions(entries) {
+  const summary = { income: 0, expense: 0, net: 0, count: 0, byBank: {} };
+
+  for (const entry of entries) {
+    const amount = parseFloat(entry.amount);
+    if (!Number.isFinite(amount)) continue;
+
+    const bank = entry.bank || 'Tidak diketahui';
+    summary.byBank[bank] = (summary.byBank[bank] || 0) + amount;
+
+    // Transfers between our own accounts change bank balances, not income or spending
+    if (entry.category === INTERNAL_TRANSFER_CATEGORY) continue;
+
+    summary.count++;
+    summary.net += amount;
+
+    if (amount >= 0) {
+      summary.income += amount;
+    } else {
+      summary.expense += Math.abs(amount);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get the number a command uses for a stored transaction: the sheet or CSV row
+ * number, or the SQLite row ID
+ * @param {Object} entry - Entry from getTransactions
+ * @returns {number|undefined} - Transaction number shown as #id
+ */
+export function getTransactionNumber(entry) {
+  return entry.rowNumber ?? entry.id;
+}
+
+// This month's transactions; with monthly tabs, #id refers to a row of the current month's tab
+async function readTransactions() {
+  const month = getLocalMonth();
+  const sheetName = getTransactionSheetName(getLocalDate());
+  return (await getTransactions({ since: `${month}-01` }))
+    .filter(entry => String(entry.date).startsWith(month) && (!entry.sheetName || entry.sheetName === sheetName));
+}
+
+async function findTransaction(number) {
+  const entry = (await readTransactions()).find(candidate => getTransactionNumber(candidate) === number);
+
+  if (!entry) {
+    throw new Error(`Transaksi #${number} tidak ditemukan`);
+  }
+
+  return entry;
+}
+
+// Storage finds rows by account and message ID; old sheet rows without one by row number
+function toStoredRecord(entry) {
+  return {
+    accountId: entry.account,
+    messageId: entry.message_id,
+    entry: { date: entry.date },
+    rowNumber: entry.rowNumber,
+    sheetName: entry.sheetName
+  };
+}
+
+const handlers = {
+  async help() {
+    return HELP_TEXT;
+  },
+
+  async balance() {
+    const month = getLocalMonth();
+    const summary = summarizeTransactions(await readTransactions());
+
+    const bankLines = Object.entries(summary.byBank)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([bank, amount]) => `• ${bank}: ${amount < 0 ? '-' : '+'}${formatRupiah(amount)}`);
+
+    return [
+      `💼 *RINGKASAN ${month}*`,
+      '',
+      `💰 Pemasukan: ${formatRupiah(summary.income)}`,
+      `💸 Pengeluaran: ${formatRupiah(summary.expense)}`,
+      `📊 Selisih: ${summary.net < 0 ? '-' : ''}${formatRupiah(summary.net)}`,
+      `🔢 Transaksi: ${summary.count}`,
+      ...(bankLines.length > 0 ? ['', '🏦 *Per bank:*', ...bankLines] : [])
+    ].join('\n');
+  },
+
+  async today() {
+    const today = getLocalDate();
+    const entries = (await readTransactions()).filter(entry => entry.date === today);
+
+    if (entries.length === 0) {
+      return `📅 Belum ada transaksi pada ${today}.`;
+    }
+
+    const summary = summarizeTransactions(entries);
+    const lines = entries.map(entry => {
+      const amount = parseFloat(entry.amount) || 0;
+      return `#${getTransactionNumber(entry)} ${amount < 0 ? '💸' : '💰'} ${formatRupiah(amount)} – ${entry.category} – ${entry.description}`;
+    });
+
+    return [
+      `📅 *TRANSAKSI ${today}*`,
+      '',
+      ...lines,
+      '',
+      `💰 ${formatRupiah(summary.income)}  💸 ${formatRupiah(summary.expense)}`
+    ].join('\n');
+  },
+
+  async category(number, category) {
+    const entry = await findTransaction(number);
+    await updateTransaction(toStoredRecord(entry), { category });
+    scheduleSummaryRefresh(await getSheets(), CONFIG.SPREADSHEET_ID);
+    return `✅ Kategori #${number} (${entry.description}) diubah dari ${entry.category || '-'} menjadi *${category}*.`;
+  },
+
+  async delete(number) {
+    const entry = await findTransaction(number);
+    await deleteTransaction(toStoredRecord(entry));
+    if (entry.message_id) {
+      forgetTransaction(entry.account, entry.message_id);
+      saveLedger();
+    }
+    scheduleSummaryRefresh(await getSheets(), CONFIG.SPREADSHEET_ID);
+    return `🗑️ Transaksi #${number} (${entry.description}, ${formatRupiah(parseFloat(entry.amount) || 0)}) dihapus.\n_Nomor transaksi di bawahnya bisa bergeser; kirim *hari ini* untuk melihat nomor terbaru._`;
+  },
+
+  async approve(reviewId) {
+    const sheetsService = await getReviewSheets();
+    const entry = await approveReview(sheetsService, CONFIG.SPREADSHEET_ID, reviewId);
+    await checkBudgetAlerts(sheetsService, CONFIG.SPREADSHEET_ID);
+    scheduleSummaryRefresh(sheetsService, CONFIG.SPREADSHEET_ID);
+    return `✅ Review ${reviewId} disetujui: ${entry.description} (${formatRupiah(entry.amount)}).`;
+  },
+
+  async reject(reviewId) {
+    await rejectReview(await getReviewSheets(), CONFIG.SPREADSHEET_ID, reviewId);
+    return `🚫 Review ${reviewId} ditolak.`;
+  },
+
+  async undo(handle) {
+    const removed = await undoManualEntry(handle);
+    scheduleSummaryRefresh(await getSheets(), CONFIG.SPREADSHEET_ID);
+    return `↩️ Catatan ${handle} dibatalkan: ${removed.description} (${formatRupiah(parseFloat(removed.amount) || 0)}).`;
+  }
+};
+
+/**
+ * Parse a free-text expense note: rules first, an LLM for what the rules cannot tell.
+ * The LLM is only asked when the rules found an amount or the note starts with
+ * "catat", so ordinary chat with a number in it ("jam 3 ya") is never booked.
+ * @param {string} text - Message text
+ * @returns {Promise<Object|null>} - Transaction entry or null if the message is not an expense note
+ */
+export async function parseManualMessage(text) {
+  const ruleResult = parseManualEntry(text);
+
+  if (ruleResult && !ruleResult.needsCategory) {
+    return ruleResult;
+  }
+
+  if (!ruleResult && !MANUAL_ENTRY_TRIGGER.test(text)) {
+    return null;
+  }
+
+  const geminiResult = await runWithFallback(provider => parseManualEntryWithGemini(text, provider));
+  if (!geminiResult) {
+    return ruleResult;
+  }
+
+  const knownCategories = [...Object.keys(INCOME_CATEGORIES), ...Object.keys(EXPENSE_CATEGORIES)];
+  const geminiCategory = knownCategories.includes(geminiResult.category) ? geminiResult.category : null;
+
+  if (ruleResult) {
+    // Keep the deterministic amount and bank, borrow only the category
+    return { ...ruleResult, category: geminiCategory || ruleResult.category, source: 'manual+gemini' };
+  }
+
+  if (geminiResult.amount === null || geminiResult.amount === undefined || Number.isNaN(geminiResult.amount)) {
+    return null;
+  }
+
+  return {
+    amount: geminiResult.amount,
+    category: geminiCategory || 'Lainnya',
+    description: geminiResult.description || text,
+    transaction_type: geminiResult.transaction_type,
+    date: geminiResult.date || getLocalDate(),
+    bank: geminiResult.bank || CASH_BANK,
+    source: 'gemini'
+  };
+}
+
+async function handleManualEntry(message) {
+  const entry = await parseManualMessage(message.text);
+  if (!entry) {
+    return null;
+  }
+
+  // "makan 12 usd": stored in rupiah, with the original amount next to it
+  let originalNote = '';
+  if (entry.currency && entry.currency !== 'IDR') {
+    const { original_amount: originalAmount, original_currency: originalCurrency, exchange_rate: exchangeRate } =
+      convertParsedAmount(entry).additional_info;
+    if (!exchangeRate) {
+      return `⚠️ Belum ada kurs ${originalCurrency}. Tambahkan di EXCHANGE_RATES atau EXCHANGE_RATES_FILE, atau tulis jumlahnya dalam rupiah.`;
+    }
+    Object.assign(entry, { originalAmount, originalCurrency, exchangeRate });
+    originalNote = ` (${originalCurrency} ${originalAmount.toLocaleString('id-ID', { maximumFractionDigits: 2 })}, kurs ${exchangeRate.toLocaleString('id-ID')})`;
+  }
+
+  try {
+    const sheetsService = await getSheets();
+    const handle = await appendManualEntry(entry, message.sender);
+    await checkBudgetAlerts(sheetsService, CONFIG.SPREADSHEET_ID);
+    scheduleSummaryRefresh(sheetsService, CONFIG.SPREADSHEET_ID);
+
+    return [
+      `📝 *DICATAT* ${entry.amount < 0 ? '💸' : '💰'} ${formatRupiah(entry.amount)}${originalNote}`,
+      `🏷️ ${entry.category} – ${entry.description}`,
+      `🏦 ${entry.bank} · 📅 ${entry.date}`,
+      '',
+      `Salah? Balas *batal ${handle}*`
+    ].join('\n');
+  } catch (error) {
+    logger.error('Failed to record manual entry:', error.message);
+    return `⚠️ Gagal mencatat: ${error.message}`;
+  }
+}
+
+/**
+ * Execute a parsed command and build the reply text
+ * @param {Object} command - Command from parseCommand
+ * @returns {Promise<string>} - Reply text
+ */
+export async function executeCommand(command) {
+  try {
+    return await handlers[command.name](...command.args);
+  } catch (error) {
+    logger.error(`WhatsApp command ${command.name} failed:`, error.message);
+    return `⚠️ Perintah gagal: ${error.message}`;
+  }
+}
+
+/**
+ * Handle a WAHA webhook request: verify, parse, run the command and reply
+ * @param {Object} request - { body, rawBody, headers } from the webhook server
+ * @returns {Promise<Object>} - Webhook response
+ */
+export async function handleWAHAWebhook({ body, rawBody, headers }) {
+  if (!verifyWAHAWebhookSignature(rawBody, headers)) {
+    logger.warning('Rejected WAHA webhook with an invalid signature');
+    return { status: 401, body: { error: 'Invalid signature' } };
+  }
+
+  const message = parseWAHAMessageEvent(body);
+  if (!message || message.fromMe) {
+    return { body: { ignored: true } };
+  }
+
+  if (!isAuthorizedChat(message.chatId)) {
+    logger.debug(`Ignoring WhatsApp message from unauthorized chat ${message.chatId}`);
+    return { body: { ignored: true } };
+  }
+
+  const command = parseCommand(message.text);
+  if (!command) {
+    if (!CONFIG.ENABLE_WHATSAPP_MANUAL_ENTRY) {
+      return { body: { ignored: true } };
+    }
+
+    const reply = await handleManualEntry(message);
+    if (!reply) {
+      return { body: { ignored: true } };
+    }
+
+    await sendWhatsAppReply(message.chatId, reply);
+    return { body: { handled: 'manual-entry' } };
+  }
+
+  logger.info(`WhatsApp command from ${message.sender}: ${command.name}`);
+  const reply = await executeCommand(command);
+  await sendWhatsAppReply(message.chatId, reply);
+
+  return { body: { handled: command.name } };
+}
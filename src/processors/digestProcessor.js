@@ -0,0 +1,262 @@
+import { authenticateSheets, getSheetsService } from '../auth/sheetsAuth.js';
+import { getTransactions } from '../storage/index.js';
+import { sendWhatsAppBroadcast } from '../services/whatsappService.js';
+import { loadBudgets, computeBudgetStatus, formatBudgetSection } from '../services/budgetService.js';
+import { scheduleJob } from '../services/scheduler.js';
+import { CONFIG, INTERNAL_TRANSFER_CATEGORY, usesGoogleSheets } from '../../config/constants.js';
+import { getBankAccount } from '../../config/bankAccounts.js';
+import { getLocalDate, addDays, addMonths } from '../../utils/dateUtils.js';
+import { logger } from '../../utils/logger.js';
+
+const TOP_CATEGORY_COUNT = 5;
+
+const DIGEST_TITLES = {
+  daily: 'RINGKASAN HARIAN',
+  weekly: 'RINGKASAN MINGGUAN',
+  monthly: 'RINGKASAN BULANAN'
+};
+
+/**
+ * Work out the date range a digest covers and the range it is compared with
+ * @param {string} type - 'daily', 'weekly' or 'monthly'
+ * @param {string} today - Local date in YYYY-MM-DD format
+ * @returns {Object} - { type, start, end, previous: { start, end } }
+ */
+export function getDigestPeriod(type, today) {
+  switch (type) {
+    case 'daily':
+      return {
+        type,
+        start: today,
+        end: today,
+        previous: { start: addDays(today, -1), end: addDays(today, -1) }
+      };
+
+    case 'weekly':
+      return {
+        type,
+        start: addDays(today, -6),
+        end: today,
+        previous: { start: addDays(today, -13), end: addDays(today, -7) }
+      };
+
+    case 'monthly': {
+      // Sent at the start of a month, so it reports the month that just ended
+      const thisMonth = today.substring(0, 7);
+      const lastMonth = addMonths(thisMonth, -1);
+      const monthBefore = addMonths(thisMonth, -2);
+      return {
+        type,
+        label: lastMonth,
+        start: `${lastMonth}-01`,
+        end: addDays(`${thisMonth}-01`, -1),
+        previous: { start: `${monthBefore}-01`, end: addDays(`${lastMonth}-01`, -1) }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown digest type: ${type}`);
+  }
+}
+
+/**
+ * Aggregate transactions in a date range
+ * @param {Array<Object>} entries - Stored transactions
+ * @param {Object} range - { start, end } in YYYY-MM-DD format (inclusive)
+ * @returns {Object} - Totals and breakdowns; internal transfers are only counted in `transfers`,
+ *   foreign-currency transactions are also summed per currency in `byCurrency`
+ */
+export function computePeriodStats(entries, { start, end }) {
+  const stats = {
+    income: 0, expense: 0, net: 0, count: 0, byCategory: {}, byBank: {}, byOwner: {}, byCurrency: {},
+    transfers: { count: 0, amount: 0 }
+  };
+
+  for (const entry of entries) {
+    if (!entry.date || entry.date < start || entry.date > end) continue;
+
+    const amount = parseFloat(entry.amount);
+    if (!Number.isFinite(amount)) continue;
+
+    // Money moving between our own accounts is neither earned nor spent
+    if (entry.category === INTERNAL_TRANSFER_CATEGORY) {
+      stats.transfers.count++;
+      if (amount < 0) stats.transfers.amount += Math.abs(amount);
+      continue;
+    }
+
+    const bank = entry.bank || 'Tidak diketahui';
+    const owner = getBankAccount(bank)?.owner || 'Lainnya';
+
+    stats.count++;
+    stats.net += amount;
+
+    if (amount >= 0) {
+      stats.income += amount;
+    } else {
+      stats.expense += Math.abs(amount);
+      const category = entry.category || 'Lainnya';
+      stats.byCategory[category] = (stats.byCategory[category] || 0) + Math.abs(amount);
+    }
+
+    for (const [group, key] of [[stats.byBank, bank], [stats.byOwner, owner]]) {
+      group[key] = group[key] || { income: 0, expense: 0 };
+      if (amount >= 0) {
+        group[key].income += amount;
+      } else {
+        group[key].expense += Math.abs(amount);
+      }
+    }
+
+    const currency = entry.original_currency;
+    const original = parseFloat(entry.original_amount);
+    if (currency && currency !== 'IDR' && Number.isFinite(original)) {
+      stats.byCurrency[currency] = stats.byCurrency[currency] || { count: 0, original: 0, idr: 0 };
+      stats.byCurrency[currency].count++;
+      stats.byCurrency[currency].original = Math.round((stats.byCurrency[currency].original + Math.abs(original)) * 100) / 100;
+      stats.byCurrency[currency].idr += Math.abs(amount);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Build digest data for a period
+ * @param {Array<Object>} entries - Sheet entries
+ * @param {Object} period - Period from getDigestPeriod
+ * @param {Object} [budgets] - Category → monthly budget
+ * @returns {Object} - { period, current, previous, budgets }
+ */
+export function buildDigest(entries, period, budgets = {}) {
+  return {
+    period,
+    current: computePeriodStats(entries, period),
+    previous: computePeriodStats(entries, period.previous),
+    // Month-to-date status for the month the period ends in
+    budgets: computeBudgetStatus(entries, budgets, period.end.substring(0, 7))
+  };
+}
+
+function formatRupiah(amount) {
+  return `Rp ${Math.round(Math.abs(amount)).toLocaleString('id-ID')}`;
+}
+
+function formatChange(current, previous) {
+  if (previous === 0) {
+    return current === 0 ? '±0%' : 'baru';
+  }
+
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `${change > 0 ? '▲' : change < 0 ? '▼' : '±'}${Math.abs(change)}%`;
+}
+
+function formatBreakdown(group) {
+  return Object.entries(group)
+    .sort(([, a], [, b]) => b.expense - a.expense)
+    .map(([name, totals]) => `• ${name}: 💰 ${formatRupiah(totals.income)} / 💸 ${formatRupiah(totals.expense)}`);
+}
+
+/**
+ * Format digest data as a WhatsApp message
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} - Formatted message
+ */
+export function formatDigestMessage(digest) {
+  const { period, current, previous } = digest;
+  const range = period.label || (period.start === period.end ? period.start : `${period.start} s/d ${period.end}`);
+
+  const lines = [
+    `📊 *${DIGEST_TITLES[period.type]}*`,
+    `📅 ${range}`,
+    '',
+    `💰 Pemasukan: ${formatRupiah(current.income)} (${formatChange(current.income, previous.income)})`,
+    `💸 Pengeluaran: ${formatRupiah(current.expense)} (${formatChange(current.expense, previous.expense)})`,
+    `📈 Selisih: ${current.net < 0 ? '-' : ''}${formatRupiah(current.net)}`,
+    `🔢 Transaksi: ${current.count}`
+  ];
+
+  if (current.transfers?.count > 0) {
+    lines.push(`🔁 Transfer internal: ${formatRupiah(current.transfers.amount)} (tidak dihitung)`);
+  }
+
+  const topCategories = Object.entries(current.byCategory)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, TOP_CATEGORY_COUNT);
+
+  if (topCategories.length > 0) {
+    lines.push('', '🏷️ *Kategori teratas:*');
+    topCategories.forEach(([category, amount], index) => {
+      lines.push(`${index + 1}. ${category}: ${formatRupiah(amount)} (${formatChange(amount, previous.byCategory[category] || 0)})`);
+    });
+  }
+
+  if (Object.keys(current.byOwner).length > 0) {
+    lines.push('', '👥 *Per pemilik:*', ...formatBreakdown(current.byOwner));
+  }
+
+  if (Object.keys(current.byBank).length > 0) {
+    lines.push('', '🏦 *Per bank:*', ...formatBreakdown(current.byBank));
+  }
+
+  if (Object.keys(current.byCurrency || {}).length > 0) {
+    lines.push('', '💱 *Transaksi valas:*');
+    for (const [currency, totals] of Object.entries(current.byCurrency)) {
+      const original = totals.original.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+      lines.push(`• ${currency} ${original} = ${formatRupiah(totals.idr)} (${totals.count} transaksi)`);
+    }
+  }
+
+  const budgetLines = formatBudgetSection(digest.budgets || []);
+  if (budgetLines.length > 0) {
+    lines.push('', ...budgetLines);
+  }
+
+  lines.push('', '_Perbandingan terhadap periode sebelumnya_');
+  return lines.join('\n');
+}
+
+/**
+ * Build and send a digest to WhatsApp
+ * @param {string} type - 'daily', 'weekly' or 'monthly'
+ * @param {Date} [now] - Moment the digest is for
+ * @returns {Promise<string>} - The message that was sent
+ */
+export async function sendDigest(type, now = new Date()) {
+  const sheetsService = usesGoogleSheets() ? await getSheetsService(await authenticateSheets()) : null;
+
+  const period = getDigestPeriod(type, getLocalDate(now));
+  // The budget section covers the whole month of the period's end
+  const since = [period.previous.start, `${period.end.substring(0, 7)}-01`].sort()[0];
+  const entries = await getTransactions({ since });
+  const budgets = await loadBudgets(sheetsService, CONFIG.SPREADSHEET_ID);
+  const digest = buildDigest(entries, period, budgets);
+  const message = formatDigestMessage(digest);
+
+  await sendWhatsAppBroadcast(message, `${type} digest`);
+  logger.success(`Sent ${type} digest (${digest.current.count} transactions)`);
+  return message;
+}
+
+/**
+ * Register the configured digests with the scheduler
+ * @returns {number} - Number of digests scheduled
+ */
+export function scheduleDigests() {
+  const digests = [
+    { type: 'daily', time: CONFIG.DIGEST_DAILY_TIME },
+    { type: 'weekly', time: CONFIG.DIGEST_WEEKLY_TIME, matchesDay: parts => parts.weekday === CONFIG.DIGEST_WEEKLY_DAY },
+    { type: 'monthly', time: CONFIG.DIGEST_MONTHLY_TIME, matchesDay: parts => parts.day === CONFIG.DIGEST_MONTHLY_DAY }
+  ].filter(digest => digest.time);
+
+  for (const digest of digests) {
+    scheduleJob({
+      name: `${digest.type}-digest`,
+      time: digest.time,
+      matchesDay: digest.matchesDay,
+      run: now => sendDigest(digest.type, now)
+    });
+  }
+
+  return digests.length;
+}
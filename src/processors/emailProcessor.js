@@ -1,19 +1,299 @@
 import { authenticateGmail, getGmailService } from '../auth/gmailAuth.js';
 import { authenticateSheets, getSheetsService } from '../auth/sheetsAuth.js';
-import { getEmails, extractEmailBody, markEmailProcessed, getEmailHeaders } from '../services/gmailService.js';
-import { parseEmailWithGemini } from '../services/geminiService.js';
-import { parseEmailWithEnhancedGemini } from '../services/enhancedGeminiService.js';
+import { extractEmailBody, markEmailProcessed, getEmailHeaders } from '../services/gmailService.js';
+import { fetchNewEmails, commitSync, ensureMailboxWatch } from '../services/gmailSyncService.js';
+import { parseTransactionEmail } from '../parsers/emailPipeline.js';
+import { isMissingExchangeRate } from '../services/exchangeRateService.js';
+import { appendTransactions, updateTransaction } from '../storage/index.js';
+import {
+  findDuplicate,
+  findSimilarTransaction,
+  findInternalTransfer,
+  linkTransfer,
+  recordTransaction,
+  forgetTransaction,
+  saveLedger,
+  discardLedgerChanges
+} from '../services/ledgerService.js';
+import { checkBudgetAlerts } from '../services/budgetService.js';
+import { learnCategoryCorrections } from '../services/categoryMemoryService.js';
+import { scheduleSummaryRefresh } from '../services/summaryService.js';
+import { needsReview, createReviewItem, appendToReviewQueue } from '../services/reviewService.js';
 import { 
-  appendToSheet, 
-  getExistingData, 
-  isDuplicate, 
-  createDataRow, 
-  getHeaderRow 
-} from '../services/sheetsService.js';
-import { sendWhatsAppNotification, sendBatchWhatsAppNotification } from '../services/whatsappService.js';
-import { CONFIG } from '../../config/constants.js';
+  sendWhatsAppNotification, 
+  sendBatchWhatsAppNotification, 
+  sendReviewWhatsAppNotification 
+} from '../services/whatsappService.js';
+import { CONFIG, INTERNAL_TRANSFER_CATEGORY, usesGoogleSheets } from '../../config/constants.js';
 import { logger } from '../../utils/logger.js';
 
+/**
+ * Parse emails and write their transactions to storage (or the review tab).
+ * The ledger is saved only once the rows have reached the primary storage backend.
+ * @param {Object} context
+ * @param {string} context.accountId - Identifier for the account
+ * @param {gmail_v1.Gmail} context.gmailService - Authenticated Gmail service
+ * @param {sheets_v4.Sheets|null} context.sheetsService - Authenticated Sheets service (review tab, budget tab)
+ * @param {Array<Object>} context.emails - Full Gmail messages
+ * @param {Object} [options]
+ * @param {boolean} [options.labelEmails=true] - Label handled emails and mark them read
+ * @param {boolean} [options.notify=true] - Send WhatsApp notifications and budget alerts
+ * @param {number} [options.throttleMs=0] - Pause between emails to stay under API rate limits
+ * @returns {Promise<Object>} - Counts plus failedMessageIds (emails worth retrying)
+ */
+export async function processEmails({ accountId, gmailService, sheetsService, emails }, { labelEmails = true, notify = true, throttleMs = 0 } = {}) {
+  const markProcessed = labelEmails
+    ? messageId => markEmailProcessed(gmailService, messageId, 'Processed-Financial', true)
+    : async () => {};
+  
+  // Process emails and extract data
+  const records = [];
+  let duplicateCount = 0;
+  let flaggedCount = 0;
+  let errorCount = 0;
+  const processedTransactions = [];
+  const reviewItems = [];
+  // Earlier halves of internal transfers that are already in storage
+  const transferUpdates = [];
+  // Messages to pick up again on the next sync
+  const failedMessageIds = [];
+  
+  // Get user ID for the email processor
+  const emailProcessorUserId = `${CONFIG.PROCESSOR_USER_ID}-${accountId}`;
+  
+  logger.info(`Processing ${emails.length} emails...`);
+  
+  for (const [index, email] of emails.entries()) {
+    if (throttleMs > 0 && index > 0) {
+      await new Promise(resolve => setTimeout(resolve, throttleMs));
+    }
+    
+    try {
+      const messageId = email.id;
+      const headers = getEmailHeaders(email);
+      
+      logger.debug(`Processing email: ${headers.subject || 'No Subject'}`);
+      
+      // Extract email body
+      const emailBody = extractEmailBody(email.payload);
+      
+      if (!emailBody) {
+        logger.warning(`Could not extract body from email ${messageId}`);
+        failedMessageIds.push(messageId);
+        errorCount++;
+        continue;
+      }
+      
+      // Bank templates, then the LLM providers; the account found in the email settles the bank
+      const parsedData = await parseTransactionEmail(emailBody, headers);
+      
+      if (!parsedData) {
+        logger.warning(`Could not parse email ${messageId} with a template or any LLM provider`);
+        errorCount++;
+        // Still mark email as processed to avoid reprocessing
+        await markProcessed(messageId);
+        continue;
+      }
+      
+      // Without a rate the rupiah amount is unknown: the review queue takes it
+      // (its confidence is 0), otherwise the email waits until the rate is configured
+      if (isMissingExchangeRate(parsedData) && !CONFIG.REVIEW_CONFIDENCE_THRESHOLD) {
+        logger.warning(`No exchange rate for ${parsedData.additional_info.original_currency}; email ${messageId} is retried once one is configured`);
+        failedMessageIds.push(messageId);
+        errorCount++;
+        continue;
+      }
+      
+      // Create entry for duplicate checking and storage, keeping everything the parser found
+      const additionalInfo = parsedData.additional_info || {};
+      const referenceNumber = additionalInfo.reference_number || null;
+      const entry = {
+        date: parsedData.date || new Date().toISOString().split('T')[0],
+        amount: parsedData.amount || 0,
+        category: parsedData.category || 'Lainnya',
+        description: parsedData.description || '',
+        bank: parsedData.bank || '',
+        type: parsedData.transaction_type || '',
+        confidence: parsedData.confidence ?? '',
+        recipient: additionalInfo.recipient || '',
+        sender: additionalInfo.sender || '',
+        referenceNumber: referenceNumber || '',
+        merchant: additionalInfo.merchant || '',
+        location: additionalInfo.location || '',
+        originalAmount: additionalInfo.original_amount ?? '',
+        originalCurrency: additionalInfo.original_currency || '',
+        exchangeRate: additionalInfo.exchange_rate ?? ''
+      };
+      
+      const occurredAt = Number(email.internalDate) || Date.now();
+      
+      // Check the ledger for the same Gmail message or bank reference number
+      const duplicate = findDuplicate({ accountId, messageId, bank: entry.bank, referenceNumber });
+      if (duplicate) {
+        logger.info(`Skipping duplicate transaction (${duplicate.reason}): ${entry.description} on ${entry.date}`);
+        duplicateCount++;
+        
+        // Still mark email as processed even if it's a duplicate
+        await markProcessed(messageId);
+        continue;
+      }
+      
+      // Same amount and bank shortly before/after: keep it, but report it
+      const similar = findSimilarTransaction({ amount: entry.amount, bank: entry.bank, occurredAt });
+      if (similar) {
+        logger.warning(`Possible duplicate of message ${similar.messageId}: ${entry.description} (${entry.amount}, ${entry.bank})`);
+        entry.possibleDuplicate = true;
+        flaggedCount++;
+      }
+      
+      // The other half of a transfer between two of our own accounts
+      const transferPair = CONFIG.ENABLE_INTERNAL_TRANSFER_DETECTION
+        ? findInternalTransfer({
+          amount: entry.amount,
+          bank: entry.bank,
+          occurredAt,
+          counterpartName: entry.amount < 0 ? entry.recipient : entry.sender
+        })
+        : null;
+      if (transferPair) {
+        entry.category = INTERNAL_TRANSFER_CATEGORY;
+        entry.transferLink = transferPair.messageId;
+      }
+      
+      const ledgerEntry = recordTransaction({ accountId, messageId, entry, referenceNumber, occurredAt });
+      
+      if (transferPair) {
+        linkTransfer(transferPair, ledgerEntry);
+        logger.info(`🔁 Internal transfer: ${entry.description} (${entry.bank}) pairs with message ${transferPair.messageId} (${transferPair.bank})`);
+        
+        const fields = { category: INTERNAL_TRANSFER_CATEGORY, transfer_link: messageId };
+        // A half from this batch is changed before it is written, to storage or the review tab
+        const isPair = pending => pending.accountId === transferPair.accountId && pending.messageId === transferPair.messageId;
+        const pending = records.find(isPair)?.entry || reviewItems.find(isPair);
+        if (pending) {
+          pending.category = fields.category;
+          pending.transferLink = fields.transfer_link;
+        } else {
+          transferUpdates.push({ record: { accountId: transferPair.accountId, messageId: transferPair.messageId, entry: { date: transferPair.date } }, fields });
+        }
+      }
+      
+      // Low-confidence parses wait in the review tab instead of the main sheet
+      if (needsReview(parsedData)) {
+        reviewItems.push(createReviewItem({
+          entry,
+          confidence: parsedData.confidence,
+          accountId,
+          messageId,
+          snippet: email.snippet || emailBody
+        }));
+        await markProcessed(messageId);
+        logger.info(`Queued for review (${parsedData.confidence}% confidence): ${entry.description}`);
+        continue;
+      }
+      
+      records.push({ entry, accountId, messageId });
+      processedTransactions.push(entry);
+      
+      // Mark email as processed
+      await markProcessed(messageId);
+      
+      logger.success(`Processed transaction: ${entry.description} (${entry.amount})`);
+      
+    } catch (error) {
+      logger.error(`Error processing email ${email.id}:`, error.message);
+      failedMessageIds.push(email.id);
+      errorCount++;
+    }
+  }
+  
+  // Write new transactions to every storage backend
+  let transactionsCount = 0;
+  if (records.length > 0) {
+    logger.info(`Saving transactions to ${CONFIG.STORAGE_BACKENDS.join(', ')}...`);
+    
+    try {
+      await appendTransactions(records);
+    } catch (error) {
+      // Forget the ledger entries for rows that never reached storage
+      discardLedgerChanges();
+      throw error;
+    }
+    saveLedger();
+    
+    transactionsCount = records.length;
+    logger.success(`Added ${transactionsCount} new transactions`);
+    
+    // Alert when new spending pushes a category over a budget threshold.
+    // Backfills skip both this and the summary tab, which they refresh once at the end
+    if (notify) {
+      await checkBudgetAlerts(sheetsService, CONFIG.SPREADSHEET_ID);
+      scheduleSummaryRefresh(sheetsService, CONFIG.SPREADSHEET_ID);
+    }
+    
+    // Send WhatsApp notifications
+    if (notify && CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS && transactionsCount > 0) {
+      logger.info('Sending WhatsApp notifications...');
+      
+      if (transactionsCount > CONFIG.BATCH_NOTIFICATION_THRESHOLD) {
+        // Send batch notification for many transactions
+        await sendBatchWhatsAppNotification(transactionsCount, accountId);
+      } else {
+        // Send individual notifications for few transactions
+        for (const transaction of processedTransactions) {
+          await sendWhatsAppNotification(transaction, accountId);
+        }
+      }
+    }
+    
+  } else {
+    logger.info('No new transaction data to save');
+  }
+  
+  // Write low-confidence transactions to the review tab
+  let queuedCount = 0;
+  if (reviewItems.length > 0) {
+    try {
+      await appendToReviewQueue(sheetsService, CONFIG.SPREADSHEET_ID, reviewItems);
+      queuedCount = reviewItems.length;
+      
+      if (notify && CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
+        for (const item of reviewItems) {
+          await sendReviewWhatsAppNotification(item, accountId);
+        }
+      }
+    } catch (error) {
+      logger.error('Error writing to the review queue:', error.message);
+      reviewItems.forEach(item => {
+        forgetTransaction(accountId, item.messageId);
+        failedMessageIds.push(item.messageId);
+      });
+      errorCount += reviewItems.length;
+    }
+    saveLedger();
+  }
+  
+  // Mark stored halves of internal transfers, whether the other half was
+  // just saved or queued for review; skip pairs whose new half failed
+  for (const { record, fields } of transferUpdates) {
+    if (failedMessageIds.includes(fields.transfer_link)) continue;
+    try {
+      await updateTransaction(record, fields);
+    } catch (error) {
+      logger.warning(`Could not mark message ${record.messageId} as an internal transfer: ${error.message}`);
+    }
+  }
+  
+  return {
+    processed: transactionsCount,
+    duplicates: duplicateCount,
+    flagged: flaggedCount,
+    queued: queuedCount,
+    errors: errorCount,
+    failedMessageIds
+  };
+}
+
 /**
  * Process a single Gmail account
  * @param {string} accountId - Identifier for the account
@@ -25,156 +305,46 @@ export async function processGmailAccount(accountId) {
     // Authenticate services
     logger.info('Authenticating with Google services...');
     const gmailAuth = await authenticateGmail(accountId);
-    const sheetsAuth = await authenticateSheets();
+    const sheetsAuth = usesGoogleSheets() ? await authenticateSheets() : null;
     
     // Build service objects
     const gmailService = getGmailService(gmailAuth);
-    const sheetsService = await getSheetsService(sheetsAuth);
+    const sheetsService = sheetsAuth ? await getSheetsService(sheetsAuth) : null;
+    
+    // Keep the Pub/Sub push watch alive (no-op unless GMAIL_PUBSUB_TOPIC is set)
+    await ensureMailboxWatch(gmailService, accountId);
     
-    // Get emails
+    // Get emails that arrived since the last sync
     logger.info('Retrieving emails...');
-    const emails = await getEmails(gmailService, CONFIG.GMAIL_SEARCH_QUERY);
+    const { emails, failedMessageIds: unfetchedMessageIds, cursor } = await fetchNewEmails(gmailService, accountId);
     
     if (emails.length === 0) {
+      // Messages that could not be fetched are retried on the next sync
+      commitSync(accountId, cursor, unfetchedMessageIds);
       logger.info(`No emails found for account ${accountId}`);
       return {
         accountId,
         processed: 0,
         duplicates: 0,
-        errors: 0
+        flagged: 0,
+        queued: 0,
+        errors: unfetchedMessageIds.length
       };
     }
     
-    // Retrieve existing data from sheet to check for duplicates
-    logger.info('Checking for existing data in spreadsheet...');
-    const sheetRangeAll = 'Sheet1!A:F';
-    const existingData = await getExistingData(sheetsService, CONFIG.SPREADSHEET_ID, sheetRangeAll);
+    const { failedMessageIds, ...counts } = await processEmails({ accountId, gmailService, sheetsService, emails });
     
-    // Process emails and extract data
-    const allDataRows = [];
-    let duplicateCount = 0;
-    let errorCount = 0;
-    const processedTransactions = [];
-    
-    // Add header row if sheet is empty
-    if (existingData.length === 0) {
-      allDataRows.push(getHeaderRow());
-    }
-    
-    // Get user ID for the email processor
-    const emailProcessorUserId = `${CONFIG.PROCESSOR_USER_ID}-${accountId}`;
-    
-    logger.info(`Processing ${emails.length} emails...`);
-    
-    for (const email of emails) {
-      try {
-        const messageId = email.id;
-        const headers = getEmailHeaders(email);
-        
-        logger.debug(`Processing email: ${headers.subject || 'No Subject'}`);
-        
-        // Extract email body
-        const emailBody = extractEmailBody(email.payload);
-        
-        if (!emailBody) {
-          logger.warning(`Could not extract body from email ${messageId}`);
-          errorCount++;
-          continue;
-        }
-        
-        // Parse email with Enhanced Gemini (fallback to original if needed)
-        let parsedData = await parseEmailWithEnhancedGemini(emailBody);
-        
-        // Fallback to original Gemini if enhanced parsing fails
-        if (!parsedData) {
-          logger.info('Enhanced parsing failed, trying original Gemini...');
-          parsedData = await parseEmailWithGemini(emailBody);
-        }
-        
-        if (!parsedData) {
-          logger.warning(`Could not parse email ${messageId} with Gemini`);
-          errorCount++;
-          // Still mark email as processed to avoid reprocessing
-          await markEmailProcessed(gmailService, messageId, 'Processed-Financial', true);
-          continue;
-        }
-        
-        // Create entry for duplicate checking and sheet insertion
-        const entry = {
-          date: parsedData.date || new Date().toISOString().split('T')[0],
-          amount: parsedData.amount || 0,
-          category: parsedData.category || 'Lainnya',
-          description: parsedData.description || '',
-          bank: parsedData.bank || ''
-        };
-        
-        // Check if this transaction is already in the sheet
-        if (isDuplicate(entry, existingData)) {
-          logger.info(`Skipping duplicate transaction: ${entry.description} on ${entry.date}`);
-          duplicateCount++;
-          
-          // Still mark email as processed even if it's a duplicate
-          await markEmailProcessed(gmailService, messageId, 'Processed-Financial', true);
-          continue;
-        }
-        
-        // Create data row for Google Sheets (no longer needs userId)
-        const dataRow = createDataRow(entry);
-        allDataRows.push(dataRow);
-        processedTransactions.push(entry);
-        
-        // Mark email as processed
-        await markEmailProcessed(gmailService, messageId, 'Processed-Financial', true);
-        
-        logger.success(`Processed transaction: ${entry.description} (${entry.amount})`);
-        
-      } catch (error) {
-        logger.error(`Error processing email ${email.id}:`, error.message);
-        errorCount++;
-      }
-    }
-    
-    // Append data to Google Sheet if we have new data
-    let transactionsCount = 0;
-    if (allDataRows.length > (existingData.length === 0 ? 1 : 0)) {
-      logger.info('Appending data to Google Sheets...');
-      
-      const shouldSkipHeader = existingData.length > 0;
-      await appendToSheet(sheetsService, CONFIG.SPREADSHEET_ID, CONFIG.SHEET_RANGE, allDataRows, shouldSkipHeader);
-      
-      transactionsCount = allDataRows.length - (existingData.length === 0 ? 1 : 0);
-      logger.success(`Added ${transactionsCount} new transactions to the sheet`);
-      
-      // Send WhatsApp notifications
-      if (CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS && transactionsCount > 0) {
-        logger.info('Sending WhatsApp notifications...');
-        
-        if (transactionsCount > CONFIG.BATCH_NOTIFICATION_THRESHOLD) {
-          // Send batch notification for many transactions
-          await sendBatchWhatsAppNotification(transactionsCount, accountId);
-        } else {
-          // Send individual notifications for few transactions
-          for (const transaction of processedTransactions) {
-            await sendWhatsAppNotification(transaction, accountId);
-          }
-        }
-      }
-      
-    } else {
-      logger.info('No new transaction data to add to the sheet');
-    }
+    // Everything up to this point has been handled; later syncs start from here
+    commitSync(accountId, cursor, [...unfetchedMessageIds, ...failedMessageIds]);
     
     // Summary
-    const summary = {
-      accountId,
-      processed: transactionsCount,
-      duplicates: duplicateCount,
-      errors: errorCount
-    };
+    const summary = { accountId, ...counts, errors: counts.errors + unfetchedMessageIds.length };
     
     logger.info(`Account ${accountId} summary:`);
     logger.info(`- New transactions: ${summary.processed}`);
     logger.info(`- Duplicates skipped: ${summary.duplicates}`);
+    logger.info(`- Possible duplicates flagged: ${summary.flagged}`);
+    logger.info(`- Queued for review: ${summary.queued}`);
     logger.info(`- Errors: ${summary.errors}`);
     
     return summary;
@@ -185,6 +355,8 @@ export async function processGmailAccount(accountId) {
       accountId,
       processed: 0,
       duplicates: 0,
+      flagged: 0,
+      queued: 0,
       errors: 1
     };
   }
@@ -197,6 +369,9 @@ export async function processGmailAccount(accountId) {
 export async function processAllAccounts() {
   logger.separator('Gmail to Sheets Processor Started');
   
+  // Learn from categories fixed by hand before parsing new emails
+  await learnCategoryCorrections();
+  
   const summaries = [];
   
   for (const accountId of CONFIG.GMAIL_ACCOUNTS) {
@@ -212,13 +387,17 @@ export async function processAllAccounts() {
   const totals = summaries.reduce((acc, summary) => ({
     processed: acc.processed + summary.processed,
     duplicates: acc.duplicates + summary.duplicates,
+    flagged: acc.flagged + summary.flagged,
+    queued: acc.queued + summary.queued,
     errors: acc.errors + summary.errors
-  }), { processed: 0, duplicates: 0, errors: 0 });
+  }), { processed: 0, duplicates: 0, flagged: 0, queued: 0, errors: 0 });
   
   logger.info('Overall Summary:');
   logger.info(`- Accounts processed: ${summaries.length}`);
   logger.info(`- Total new transactions: ${totals.processed}`);
   logger.info(`- Total duplicates skipped: ${totals.duplicates}`);
+  logger.info(`- Total possible duplicates flagged: ${totals.flagged}`);
+  logger.info(`- Total queued for review: ${totals.queued}`);
   logger.info(`- Total errors: ${totals.errors}`);
   
   return summaries;
@@ -0,0 +1,353 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { getLlmProviders, setLlmProviders } from '../llm/index.js';
+import { parseTransactionEmail } from '../parsers/emailPipeline.js';
+import { resetTransactionTypeRules } from '../parsers/transactionTypeRules.js';
+import { extractTextFromHtml } from '../services/gmailService.js';
+import { resetCategoryMemory } from '../services/categoryMemoryService.js';
+import { resetExchangeRates } from '../services/exchangeRateService.js';
+
+export const EVAL_FIELDS = ['amount', 'sign', 'category', 'bank', 'date'];
+export const EVAL_MODES = ['replay', 'live', 'record'];
+
+// Settings the parse depends on, read from these files in the fixture directory
+// (built-in defaults when missing) instead of the household's live ones
+export const EVAL_CONFIG_FILES = {
+  BANK_ACCOUNTS_FILE: 'bank-accounts.yaml',
+  TRANSACTION_TYPE_RULES_FILE: 'transaction-type-rules.yaml',
+  CATEGORY_MEMORY_FILE: 'category-memory.json',
+  EXCHANGE_RATES_FILE: 'exchange-rates.yaml'
+};
+
+const NOT_PARSED = '(not parsed)';
+
+function decodeEncodedWords(value) {
+  return value.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+    const bytes = encoding.toLowerCase() === 'b'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    return bytes.toString(/utf-?8/i.test(charset) ? 'utf8' : 'latin1');
+  });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9a-f]{2}$/i.test(source.substring(i + 1, i + 3))) {
+      bytes.push(parseInt(source.substring(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function splitMessage(raw) {
+  const separator = raw.search(/\r?\n\r?\n/);
+  const headerText = separator === -1 ? raw : raw.substring(0, separator);
+  const content = separator === -1 ? '' : raw.substring(separator).replace(/^\r?\n\r?\n/, '');
+
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) headers[match[1].toLowerCase()] = match[2].trim();
+  }
+
+  return { headers, content };
+}
+
+function extractPartText(headers, content) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = content
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => splitMessage(part.replace(/^\r?\n/, '')));
+
+    const preferred = parts.find(part => /^text\/plain/i.test(part.headers['content-type'] || 'text/plain')) ||
+      parts.find(part => /^(text\/html|multipart\/)/i.test(part.headers['content-type'] || ''));
+    return preferred ? extractPartText(preferred.headers, preferred.content) : '';
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(content.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable' ? decodeQuotedPrintable(content) : Buffer.from(content, 'utf8');
+  const text = bytes.toString('utf8');
+
+  return /^text\/html/i.test(contentType) ? extractTextFromHtml(text) : text.trim();
+}
+
+/**
+ * Read a raw .eml message into the headers and body the processor works with.
+ * Multipart messages use their text/plain part (or text/html, stripped).
+ * @param {string} raw - RFC 822 message
+ * @returns {Object} - { headers: { from, to, subject, date }, body }
+ */
+export function parseEml(raw) {
+  const { headers, content } = splitMessage(raw);
+  return {
+    headers: {
+      from: decodeEncodedWords(headers.from || ''),
+      to: decodeEncodedWords(headers.to || ''),
+      subject: decodeEncodedWords(headers.subject || ''),
+      date: headers.date || ''
+    },
+    body: extractPartText(headers, content)
+  };
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Load the labelled emails of an eval directory: "<name>.eml" with its
+ * expected output in "<name>.expected.json", or "<name>.json" holding
+ * { headers, body, expected }. Recorded LLM answers live in "<name>.llm.json".
+ * @param {string} dir - Fixture directory
+ * @returns {Array<Object>} - { name, headers, body, expected, recording, recordingFile }
+ */
+export function loadEvalFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.eml') || (file.endsWith('.json') && !/\.(expected|llm)\.json$/.test(file)))
+    .filter(file => !Object.values(EVAL_CONFIG_FILES).includes(file))
+    .sort()
+    .map(file => {
+      const name = file.replace(/\.(eml|json)$/, '');
+      const fixture = file.endsWith('.eml')
+        ? { ...parseEml(fs.readFileSync(path.join(dir, file), 'utf8')), expected: readJson(path.join(dir, `${name}.expected.json`)) }
+        : readJson(path.join(dir, file));
+
+      const recordingFile = path.join(dir, `${name}.llm.json`);
+      return {
+        name,
+        headers: fixture.headers || {},
+        body: fixture.body || '',
+        expected: fixture.expected ?? null,
+        recording: readJson(recordingFile),
+        recordingFile
+      };
+    });
+}
+
+/**
+ * Create a provider that answers with the responses recorded for one fixture, in order
+ * @param {Object|null} recording - { provider, model, responses }
+ * @returns {Object} - LLM provider
+ */
+export function createRecordedProvider(recording) {
+  const responses = [...(recording?.responses || [])];
+  return {
+    name: 'recorded',
+    model: recording ? `${recording.provider}/${recording.model}` : 'none',
+    async generateJson() {
+      if (responses.length === 0) {
+        throw new Error('No recorded LLM response left for this email (run the eval with --mode record)');
+      }
+      return responses.shift();
+    },
+    async testConnection() {
+      return true;
+    }
+  };
+}
+
+function wrapForRecording(provider, responses) {
+  return {
+    ...provider,
+    async generateJson(messages, schema) {
+      const text = await provider.generateJson(messages, schema);
+      responses.push({ provider: provider.name, model: provider.model, text });
+      return text;
+    }
+  };
+}
+
+function resetParseSettings() {
+  resetTransactionTypeRules();
+  resetCategoryMemory();
+  resetExchangeRates();
+}
+
+/**
+ * Point the settings the parse depends on at the fixture directory, so the
+ * eval scores the same whatever the household has configured or learned
+ * @param {string} dir - Fixture directory
+ * @returns {Function} - Restores the previous settings
+ */
+function pinEvalConfig(dir) {
+  const previous = Object.fromEntries([...Object.keys(EVAL_CONFIG_FILES), 'EXCHANGE_RATES'].map(key => [key, CONFIG[key]]));
+
+  for (const [key, name] of Object.entries(EVAL_CONFIG_FILES)) {
+    const file = path.join(dir, name);
+    CONFIG[key] = fs.existsSync(file) ? file : '';
+  }
+  CONFIG.EXCHANGE_RATES = '';
+  resetParseSettings();
+
+  return () => {
+    Object.assign(CONFIG, previous);
+    resetParseSettings();
+  };
+}
+
+/**
+ * Compare a parse with the expected output, field by field
+ * @param {Object} expected - { amount, transaction_type?, category?, bank?, date? }
+ * @param {Object|null} actual - Parsed data, or null when nothing parsed the email
+ * @returns {Object} - Field → true/false; fields the fixture does not label are left out
+ */
+export function compareParse(expected, actual) {
+  const result = {};
+  const actualAmount = Number(actual?.amount);
+
+  if (expected.amount !== undefined) {
+    result.amount = Number.isFinite(actualAmount) && Math.abs(Math.abs(actualAmount) - Math.abs(expected.amount)) < 0.005;
+  }
+
+  const expectedSign = expected.transaction_type
+    ? (expected.transaction_type === 'income' ? 1 : -1)
+    : Math.sign(expected.amount);
+  if (expectedSign) {
+    result.sign = Number.isFinite(actualAmount) && Math.sign(actualAmount) === expectedSign;
+  }
+
+  for (const field of ['category', 'bank', 'date']) {
+    if (expected[field] !== undefined) {
+      result[field] = (actual?.[field] ?? null) === expected[field];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add up per-field accuracy and category confusion
+ * @param {Array<Object>} results - { name, expected, actual, fields } per fixture
+ * @returns {Object} - { total, parsed, fields: { field: { correct, total } }, confusion: { expected: { actual: count } } }
+ */
+export function summarizeEval(results) {
+  const summary = {
+    total: results.length,
+    parsed: results.filter(result => result.actual).length,
+    fields: Object.fromEntries(EVAL_FIELDS.map(field => [field, { correct: 0, total: 0 }])),
+    confusion: {}
+  };
+
+  for (const { expected, actual, fields } of results) {
+    for (const [field, correct] of Object.entries(fields)) {
+      summary.fields[field].total++;
+      if (correct) summary.fields[field].correct++;
+    }
+
+    if (expected.category !== undefined) {
+      const got = actual ? actual.category || '(none)' : NOT_PARSED;
+      summary.confusion[expected.category] = summary.confusion[expected.category] || {};
+      summary.confusion[expected.category][got] = (summary.confusion[expected.category][got] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format an eval summary for the console
+ * @param {Object} summary - From summarizeEval
+ * @param {Array<Object>} results - Per-fixture results, to list the misses
+ * @returns {string} - Report text
+ */
+export function formatEvalReport(summary, results) {
+  const percent = (correct, total) => (total ? `${(correct / total * 100).toFixed(1)}%` : '-');
+  const lines = [`Parsed ${summary.parsed}/${summary.total} emails`, '', 'Field accuracy:'];
+
+  for (const [field, { correct, total }] of Object.entries(summary.fields)) {
+    lines.push(`  ${field.padEnd(9)} ${`${correct}/${total}`.padStart(7)}  ${percent(correct, total)}`);
+  }
+
+  lines.push('', 'Categories (expected → got):');
+  for (const [expected, row] of Object.entries(summary.confusion).sort(([a], [b]) => a.localeCompare(b))) {
+    const total = Object.values(row).reduce((sum, count) => sum + count, 0);
+    const cells = Object.entries(row)
+      .sort(([, a], [, b]) => b - a)
+      .map(([got, count]) => `${got === expected ? '✓' : got} ${count}`);
+    lines.push(`  ${expected} (${percent(row[expected] || 0, total)}): ${cells.join(', ')}`);
+  }
+
+  const misses = results.filter(result => Object.values(result.fields).includes(false));
+  if (misses.length > 0) {
+    lines.push('', 'Misses:');
+    for (const { name, expected, actual, fields } of misses) {
+      const wrong = Object.entries(fields)
+        .filter(([, correct]) => !correct)
+        .map(([field]) => field === 'sign'
+          ? `sign expected ${expected.transaction_type || Math.sign(expected.amount)}, got ${actual ? actual.amount : NOT_PARSED}`
+          : `${field} expected ${JSON.stringify(expected[field])}, got ${actual ? JSON.stringify(actual[field] ?? null) : NOT_PARSED}`);
+      lines.push(`  ${name}: ${wrong.join('; ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Run labelled emails through the parser pipeline and measure the results
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory
+ * @param {string} [options.mode='replay'] - 'replay' answers from recordings (offline),
+ *   'live' asks the configured providers, 'record' asks them and saves their answers
+ * @param {boolean} [options.useTemplates=true] - Let bank templates parse the emails they know;
+ *   false sends every email to the LLM
+ * @returns {Promise<Object>} - { summary, results, skipped }
+ */
+export async function runEval({ dir, mode = 'replay', useTemplates = true }) {
+  if (!EVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown eval mode "${mode}" (use ${EVAL_MODES.join(', ')})`);
+  }
+
+  const fixtures = loadEvalFixtures(dir);
+  const labelled = fixtures.filter(fixture => fixture.expected);
+  const liveProviders = mode === 'replay' ? null : getLlmProviders();
+  const results = [];
+
+  logger.info(`🧪 Evaluating ${labelled.length} emails from ${dir} (${mode})`);
+  const restoreConfig = pinEvalConfig(dir);
+
+  try {
+    for (const fixture of labelled) {
+      const recorded = [];
+      setLlmProviders(mode === 'replay'
+        ? [createRecordedProvider(fixture.recording)]
+        : liveProviders.map(provider => (mode === 'record' ? wrapForRecording(provider, recorded) : provider)));
+
+      const actual = await parseTransactionEmail(fixture.body, fixture.headers, { useCache: false, useTemplates });
+      results.push({ name: fixture.name, expected: fixture.expected, actual, fields: compareParse(fixture.expected, actual) });
+
+      // Replay has a single provider, so only the answers of the provider
+      // the fallback chain ended with are kept
+      if (mode === 'record' && recorded.length > 0) {
+        const last = recorded[recorded.length - 1];
+        fs.writeFileSync(fixture.recordingFile, `${JSON.stringify({
+          provider: last.provider,
+          model: last.model,
+          recordedAt: new Date().toISOString(),
+          responses: recorded
+            .filter(response => response.provider === last.provider && response.model === last.model)
+            .map(response => response.text)
+        }, null, 2)}\n`);
+      }
+    }
+  } finally {
+    setLlmProviders(null);
+    restoreConfig();
+  }
+
+  return { summary: summarizeEval(results), results, skipped: fixtures.length - labelled.length };
+}
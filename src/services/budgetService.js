@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { getLocalMonth } from '../../utils/dateUtils.js';
+import { parseAmount } from '../parsers/normalizers.js';
+import { logger } from '../../utils/logger.js';
+import { getTransactions } from '../storage/index.js';
+import { sendWhatsAppBroadcast } from './whatsappService.js';
+import { quoteSheetName } from './sheetsService.js';
+
+/**
+ * Read a budget amount written as "3000000", "3.000.000", "Rp 3.000.000" or "2.5jt"
+ * @param {string|number} value - Amount as typed
+ * @returns {number|null} - Positive rupiah amount, or null when it cannot be read
+ */
+function parseBudgetAmount(value) {
+  const parsed = parseAmount(String(value ?? ''));
+  return parsed && parsed.currency === 'IDR' && parsed.amount > 0 ? parsed.amount : null;
+}
+
+/**
+ * Parse the BUDGETS setting ("Makanan:3000000,Transportasi:2.5jt")
+ * @param {string} value - Raw setting
+ * @returns {Object} - Category → monthly budget
+ */
+export function parseBudgetSetting(value) {
+  const budgets = {};
+
+  for (const item of (value || '').split(',')) {
+    const separator = item.lastIndexOf(':');
+    if (separator < 0) continue;
+
+    const category = item.substring(0, separator).trim();
+    const amount = parseBudgetAmount(item.substring(separator + 1));
+    if (category && amount) {
+      budgets[category] = amount;
+    } else if (item.trim()) {
+      logger.warning(`Ignoring budget "${item.trim()}": not a category with a rupiah amount`);
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Load monthly budgets from config, overridden by the Budgets sheet tab when configured
+ * @param {sheets_v4.Sheets|null} sheetsService - Authenticated Sheets service (needed for the budget tab)
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @returns {Promise<Object>} - Category → monthly budget
+ */
+export async function loadBudgets(sheetsService, spreadsheetId) {
+  const budgets = parseBudgetSetting(CONFIG.BUDGETS);
+
+  if (!CONFIG.BUDGET_SHEET_NAME || !sheetsService) {
+    return budgets;
+  }
+
+  try {
+    const response = await sheetsService.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quoteSheetName(CONFIG.BUDGET_SHEET_NAME)}!A:B`
+    });
+
+    // Skip the header row: Category | Monthly Budget
+    for (const [category, amount] of (response.data.values || []).slice(1)) {
+      const value = parseBudgetAmount(amount);
+      if (category && value) {
+        budgets[category.trim()] = value;
+      } else if (category) {
+        logger.warning(`Ignoring budget for ${category.trim()} in sheet tab ${CONFIG.BUDGET_SHEET_NAME}: cannot read "${amount ?? ''}"`);
+      }
+    }
+  } catch (error) {
+    logger.warning(`Could not read budgets from sheet tab ${CONFIG.BUDGET_SHEET_NAME}: ${error.message}`);
+  }
+
+  return budgets;
+}
+
+/**
+ * Compare month-to-date spending per category with its budget
+ * @param {Array<Object>} entries - Stored transactions
+ * @param {Object} budgets - Category → monthly budget
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Array<Object>} - { category, budget, spent, percent } sorted by percent used
+ */
+export function computeBudgetStatus(entries, budgets, month) {
+  const spent = {};
+
+  for (const entry of entries) {
+    const amount = parseFloat(entry.amount);
+    if (!entry.date?.startsWith(month) || !(amount < 0)) continue;
+    spent[entry.category] = (spent[entry.category] || 0) + Math.abs(amount);
+  }
+
+  return Object.entries(budgets)
+    .map(([category, budget]) => ({
+      category,
+      budget,
+      spent: spent[category] || 0,
+      percent: Math.round(((spent[category] || 0) / budget) * 100)
+    }))
+    .sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Highest alert threshold reached by a percentage, or 0
+ * @param {number} percent - Percentage of the budget used
+ * @returns {number} - Threshold reached
+ */
+function reachedThreshold(percent) {
+  return CONFIG.BUDGET_ALERT_THRESHOLDS
+    .filter(threshold => percent >= threshold)
+    .reduce((max, threshold) => Math.max(max, threshold), 0);
+}
+
+function loadAlertState() {
+  if (!fs.existsSync(CONFIG.BUDGET_ALERT_STATE_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(CONFIG.BUDGET_ALERT_STATE_FILE, 'utf8'));
+}
+
+function saveAlertState(state) {
+  fs.mkdirSync(path.dirname(CONFIG.BUDGET_ALERT_STATE_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.BUDGET_ALERT_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function formatRupiah(amount) {
+  return `Rp ${Math.round(amount).toLocaleString('id-ID')}`;
+}
+
+/**
+ * Format a budget alert message
+ * @param {Object} status - Budget status for one category
+ * @param {number} threshold - Threshold that was crossed
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} - Formatted message
+ */
+export function formatBudgetAlert(status, threshold, month) {
+  const emoji = threshold >= 100 ? '🚨' : threshold >= 80 ? '⚠️' : '🔔';
+  const remaining = status.budget - status.spent;
+
+  return `${emoji} *ANGGARAN ${status.category.toUpperCase()} ${threshold >= 100 ? 'TERLAMPAUI' : `${threshold}%`}*\n\n📅 *Bulan:* ${month}\n💸 *Terpakai:* ${formatRupiah(status.spent)} dari ${formatRupiah(status.budget)} (${status.percent}%)\n${remaining >= 0 ? `💰 *Sisa:* ${formatRupiah(remaining)}` : `❗ *Lebih:* ${formatRupiah(-remaining)}`}`;
+}
+
+/**
+ * Format the budget section shown in digests
+ * @param {Array<Object>} statuses - Output of computeBudgetStatus
+ * @returns {Array<string>} - Message lines (empty if no budgets)
+ */
+export function formatBudgetSection(statuses) {
+  if (statuses.length === 0) {
+    return [];
+  }
+
+  return [
+    '💼 *Status anggaran:*',
+    ...statuses.map(status => {
+      const emoji = status.percent >= 100 ? '🔴' : status.percent >= 80 ? '🟠' : status.percent >= 50 ? '🟡' : '🟢';
+      return `${emoji} ${status.category}: ${formatRupiah(status.spent)} / ${formatRupiah(status.budget)} (${status.percent}%)`;
+    })
+  ];
+}
+
+/**
+ * Evaluate budgets for the current month and send WhatsApp alerts for newly crossed thresholds.
+ * Each threshold is alerted once per category per month.
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @returns {Promise<number>} - Number of alerts sent
+ */
+export async function checkBudgetAlerts(sheetsService, spreadsheetId) {
+  try {
+    const budgets = await loadBudgets(sheetsService, spreadsheetId);
+    if (Object.keys(budgets).length === 0) {
+      return 0;
+    }
+
+    const month = getLocalMonth();
+    const entries = await getTransactions({ since: `${month}-01` });
+    const statuses = computeBudgetStatus(entries, budgets, month);
+
+    const state = loadAlertState();
+    const alerted = state[month] || {};
+    let sent = 0;
+
+    for (const status of statuses) {
+      const threshold = reachedThreshold(status.percent);
+      if (threshold <= (alerted[status.category] || 0)) continue;
+
+      logger.warning(`Budget ${status.category} at ${status.percent}% (${threshold}% threshold)`);
+      await sendWhatsAppBroadcast(formatBudgetAlert(status, threshold, month), 'budget alert');
+      alerted[status.category] = threshold;
+      sent++;
+    }
+
+    // Only the current month matters; older months are dropped
+    saveAlertState({ [month]: alerted });
+    return sent;
+  } catch (error) {
+    logger.error('Error checking budget alerts:', error.message);
+    return 0;
+  }
+}
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, INTERNAL_TRANSFER_CATEGORY } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { getTransactions } from '../storage/index.js';
+import { getRecordedTransaction, saveLedger } from './ledgerService.js';
+
+// Rows older than this are not checked for corrections
+const CORRECTION_LOOKBACK_DAYS = 45;
+
+let memory = null;
+
+function createEmptyMemory() {
+  return { version: 1, merchants: {} };
+}
+
+/**
+ * Normalize a merchant or counterparty name for matching
+ * @param {string} name - Name as written in an email or the sheet
+ * @returns {string} - Lower-case words separated by single spaces
+ */
+export function normalizeMerchant(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Name a transaction is remembered by: the merchant, otherwise the other
+ * party (recipient of an expense, sender of income)
+ * @param {Object} transaction - Entry or ledger entry with merchant, recipient, sender, amount
+ * @returns {string} - Name, or '' when there is none
+ */
+export function getMerchantName({ merchant, recipient, sender, amount }) {
+  return merchant || (parseFloat(amount) < 0 ? recipient : sender) || '';
+}
+
+/**
+ * Load the category memory from disk (cached after first read)
+ * @returns {Object} - Memory with merchants by normalized name
+ */
+export function loadCategoryMemory() {
+  if (memory) {
+    return memory;
+  }
+
+  try {
+    memory = fs.existsSync(CONFIG.CATEGORY_MEMORY_FILE)
+      ? { ...createEmptyMemory(), ...JSON.parse(fs.readFileSync(CONFIG.CATEGORY_MEMORY_FILE, 'utf8')) }
+      : createEmptyMemory();
+  } catch (error) {
+    logger.error(`Error reading category memory ${CONFIG.CATEGORY_MEMORY_FILE}:`, error.message);
+    throw error;
+  }
+
+  return memory;
+}
+
+function saveCategoryMemory() {
+  const tempFile = `${CONFIG.CATEGORY_MEMORY_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.CATEGORY_MEMORY_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(memory, null, 2));
+  fs.renameSync(tempFile, CONFIG.CATEGORY_MEMORY_FILE);
+}
+
+/**
+ * Remember the category a merchant's transactions belong to; the latest correction wins
+ * @param {Object} correction
+ * @param {string} correction.merchant - Merchant or counterparty name
+ * @param {string} correction.category - Corrected category
+ * @param {string} [correction.description] - Description of the corrected transaction
+ * @returns {boolean} - True if something was learned
+ */
+export function learnCategory({ merchant, category, description = '' }) {
+  const key = normalizeMerchant(merchant);
+  if (key.length < 3 || !category || category === INTERNAL_TRANSFER_CATEGORY) {
+    return false;
+  }
+
+  const merchants = loadCategoryMemory().merchants;
+  const previous = merchants[key];
+  merchants[key] = {
+    merchant: String(merchant).trim(),
+    category,
+    description,
+    count: previous?.category === category ? previous.count + 1 : 1,
+    updatedAt: new Date().toISOString()
+  };
+  saveCategoryMemory();
+  return true;
+}
+
+/**
+ * Look up the learned category of a merchant
+ * @param {string} merchant - Merchant or counterparty name
+ * @returns {Object|null} - { merchant, category, description, count, updatedAt } or null
+ */
+export function findLearnedCategory(merchant) {
+  if (!CONFIG.ENABLE_CATEGORY_LEARNING) {
+    return null;
+  }
+  return loadCategoryMemory().merchants[normalizeMerchant(merchant)] || null;
+}
+
+/**
+ * Find learned merchants whose name appears in a text as whole words
+ * @param {string} text - Email text
+ * @returns {Array<Object>} - Memory entries
+ */
+export function findLearnedMerchantsInText(text) {
+  if (!CONFIG.ENABLE_CATEGORY_LEARNING) {
+    return [];
+  }
+
+  const haystack = ` ${normalizeMerchant(text)} `;
+  return Object.entries(loadCategoryMemory().merchants)
+    .filter(([key]) => haystack.includes(` ${key} `))
+    .map(([, entry]) => entry);
+}
+
+/**
+ * Get the most recent corrections, to show the LLM as examples
+ * @param {number} [limit=8] - Maximum number of examples
+ * @returns {Array<Object>} - Memory entries, newest first
+ */
+export function getCategoryExamples(limit = 8) {
+  if (!CONFIG.ENABLE_CATEGORY_LEARNING) {
+    return [];
+  }
+
+  return Object.values(loadCategoryMemory().merchants)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Compare stored rows with what the processor wrote (kept in the ledger) and
+ * learn every category changed by hand since. The ledger then holds the new
+ * category, so each correction is learned once.
+ * @param {Array<Object>} entries - Stored rows with account, message_id, category
+ * @returns {Array<Object>} - Corrections { merchant, from, to }
+ */
+export function detectCategoryCorrections(entries) {
+  const corrections = [];
+  let changed = false;
+
+  for (const entry of entries) {
+    if (!entry.message_id || !entry.category) continue;
+
+    const recorded = getRecordedTransaction(entry.account, entry.message_id);
+    if (!recorded || !recorded.category || recorded.category === entry.category) continue;
+
+    const from = recorded.category;
+    recorded.category = entry.category;
+    changed = true;
+
+    // Pairing a transfer changes the category too; that is not a person's correction
+    if (recorded.transferWith || [from, entry.category].includes(INTERNAL_TRANSFER_CATEGORY)) continue;
+
+    const merchant = getMerchantName({ ...recorded, merchant: recorded.merchant || entry.merchant });
+    if (learnCategory({ merchant, category: entry.category, description: entry.description || recorded.description })) {
+      corrections.push({ merchant, from, to: entry.category });
+    }
+  }
+
+  if (changed) {
+    saveLedger();
+  }
+  return corrections;
+}
+
+/**
+ * Learn the categories corrected in storage over the last weeks (run once per cycle).
+ * Failures are logged, never thrown.
+ * @returns {Promise<number>} - Number of corrections learned
+ */
+export async function learnCategoryCorrections() {
+  if (!CONFIG.ENABLE_CATEGORY_LEARNING) {
+    return 0;
+  }
+
+  try {
+    const since = new Date(Date.now() - CORRECTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const corrections = detectCategoryCorrections(await getTransactions({ since }));
+
+    for (const { merchant, from, to } of corrections) {
+      logger.info(`🧠 Learned category for ${merchant}: ${from} → ${to}`);
+    }
+    return corrections.length;
+  } catch (error) {
+    logger.warning(`Could not check for category corrections: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Forget the in-memory copy so the next call reads the file again (tests)
+ */
+export function resetCategoryMemory() {
+  memory = null;
+}
@@ -1,37 +1,33 @@
-import { GoogleGenAI } from '@google/genai';
-import { CONFIG, BANK_NAMES, BANK_ACCOUNTS, determineBankTransactionType } from '../../config/constants.js';
+import { INCOME_CATEGORIES, EXPENSE_CATEGORIES } from '../../config/constants.js';
+import {
+  getBankAccounts,
+  getBankNames,
+  getBankTypes,
+  getBankOwners,
+  resolveBankName,
+  findBankAccountsBySender,
+  findBankAccountsInText
+} from '../../config/bankAccounts.js';
+import { extractAccountDigits } from '../parsers/accountMatcher.js';
+import { generateTransactionJson } from '../parsers/transactionSchema.js';
+import { classifyTransactionType } from '../parsers/transactionTypeRules.js';
+import { findAmounts, findDates, parseDate } from '../parsers/normalizers.js';
+import { getLocalDate } from '../../utils/dateUtils.js';
+import {
+  findLearnedCategory,
+  findLearnedMerchantsInText,
+  getCategoryExamples,
+  getMerchantName
+} from './categoryMemoryService.js';
 import { logger } from '../../utils/logger.js';
 
-let genAI = null;
-
-/**
- * Initialize Gemini AI client
- * @returns {GoogleGenAI} - Initialized Gemini client
- */
-export function initializeGemini() {
-  try {
-    if (!CONFIG.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is not configured');
-    }
-    
-    genAI = new GoogleGenAI({
-      apiKey: CONFIG.GEMINI_API_KEY
-    });
-    
-    logger.success(`Enhanced Gemini AI initialized with model: ${CONFIG.GEMINI_MODEL}`);
-    return genAI;
-  } catch (error) {
-    logger.error('Error initializing Enhanced Gemini AI:', error.message);
-    throw error;
-  }
-}
-
 /**
  * Enhanced email preprocessing to extract more context
  * @param {string} emailText - Raw email text
+ * @param {Object} [headers] - Email headers (from, subject)
  * @returns {Object} - Processed email with extracted context
  */
-function preprocessEmail(emailText) {
+function preprocessEmail(emailText, headers = {}) {
   if (!emailText) return { text: '', context: {} };
   
   const context = {
@@ -58,35 +54,86 @@ function preprocessEmail(emailText) {
     context.emailType = 'salary';
   }
   
-  // Extract potential amounts
-  const amountMatches = emailText.match(/rp\.?\s*[\d,.]+(\.?\d{2})?/gi);
-  if (amountMatches) {
-    context.detectedAmounts = amountMatches.map(match => 
-      match.replace(/[^\d,.]/g, '').replace(/,/g, '')
-    );
+  // Extract potential amounts and dates, normalized ("Rp1.250.000,50" → 1250000.5 IDR)
+  context.amounts = findAmounts(emailText);
+  if (context.amounts.length > 0) {
+    context.detectedAmounts = context.amounts.map(({ amount, currency }) => `${amount} ${currency}`);
   }
   
-  // Extract potential dates
-  const dateMatches = emailText.match(/\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4}|\d{4}[-\/]\d{1,2}[-\/]\d{1,2}/g);
-  if (dateMatches) {
-    context.detectedDates = dateMatches;
+  context.dates = findDates(emailText);
+  if (context.dates.length > 0) {
+    context.detectedDates = [...new Set(context.dates.map(({ date }) => date))];
   }
   
-  // Extract potential bank mentions
-  context.detectedBanks = [];
-  for (const bankName of BANK_NAMES) {
-    const bankParts = bankName.toLowerCase().split(' ');
-    for (const part of bankParts) {
-      if (lowerText.includes(part)) {
-        context.detectedBanks.push(bankName);
-        break;
-      }
-    }
-  }
+  // Accounts named in full or by an alias, or whose number ending appears
+  context.accountDigits = extractAccountDigits(emailText);
+  const namedAccounts = findBankAccountsInText(emailText);
+  context.detectedBanks = getBankAccounts()
+    .filter(account =>
+      namedAccounts.includes(account) ||
+      account.last4.some(digits => context.accountDigits.includes(digits))
+    )
+    .map(account => account.name);
+  
+  // Accounts at the bank that sent the email
+  context.sender = headers.from || null;
+  context.subject = headers.subject || '';
+  context.senderBanks = findBankAccountsBySender(headers.from).map(account => account.name);
+  
+  // Merchants whose category the family has corrected before
+  context.learnedMerchants = findLearnedMerchantsInText(emailText);
   
   return { text: emailText, context };
 }
 
+/**
+ * Format the configured bank accounts as the list used in prompts
+ * @returns {string} - Prompt-ready list
+ */
+function formatBankAccountList() {
+  return getBankAccounts()
+    .map(account => {
+      const details = [`${account.type}, owner ${account.owner}`];
+      if (account.aliases.length > 0) details.push(`also called ${account.aliases.join(', ')}`);
+      if (account.last4.length > 0) details.push(`number ending ${account.last4.join(' or ')}`);
+      return `   - "${account.name}" (${details.join('; ')})`;
+    })
+    .join('\n');
+}
+
+/**
+ * Format a category map as the bullet list used in prompts
+ * @param {Object} categories - Category name → usage hint
+ * @returns {string} - Prompt-ready list
+ */
+function formatCategoryList(categories) {
+  return Object.entries(categories)
+    .map(([name, hint]) => `   - "${name}" - ${hint}`)
+    .join('\n');
+}
+
+/**
+ * Format the learned merchant categories as prompt examples: merchants named
+ * in the email first, then the latest corrections
+ * @param {Array<Object>} learnedMerchants - Memory entries found in the email
+ * @returns {string} - Prompt-ready list, or '' when nothing was learned
+ */
+function formatLearnedCategories(learnedMerchants = []) {
+  const examples = [...learnedMerchants, ...getCategoryExamples()]
+    .filter((example, index, all) => all.findIndex(other => other.merchant === example.merchant) === index);
+
+  if (examples.length === 0) {
+    return '';
+  }
+
+  const lines = examples.map(({ merchant, description, category }) =>
+    `   - "${description || merchant}" (merchant ${merchant}) → "${category}"`);
+  return `
+   CORRECTED BY THE USER (use the same category for these merchants):
+${lines.join('\n')}
+`;
+}
+
 /**
  * Create enhanced prompt based on email context
  * @param {string} emailText - Email content
@@ -95,17 +142,24 @@ function preprocessEmail(emailText) {
  */
 function createEnhancedPrompt(emailText, context) {
   const currentDate = new Date().toISOString().split('T')[0];
-  const bankList = BANK_NAMES.join(', ');
   
   let promptContext = '';
   
+  if (context.sender) {
+    promptContext += `\nEmail sender: ${context.sender}\n`;
+  }
+  
+  if (context.senderBanks && context.senderBanks.length > 0) {
+    promptContext += `\nAccounts at the sending bank: ${context.senderBanks.join(', ')}\n`;
+  }
+  
   // Add context-specific instructions
   if (context.emailType !== 'unknown') {
     promptContext += `\nEmail Type Detected: ${context.emailType}\n`;
   }
   
   if (context.detectedAmounts && context.detectedAmounts.length > 0) {
-    promptContext += `\nPotential amounts found: ${context.detectedAmounts.join(', ')}\n`;
+    promptContext += `\nPotential amounts found (normalized, "." is the decimal point): ${context.detectedAmounts.join(', ')}\n`;
   }
   
   if (context.detectedBanks && context.detectedBanks.length > 0) {
@@ -113,7 +167,7 @@ function createEnhancedPrompt(emailText, context) {
   }
   
   if (context.detectedDates && context.detectedDates.length > 0) {
-    promptContext += `\nPotential dates found: ${context.detectedDates.join(', ')}\n`;
+    promptContext += `\nPotential dates found (YYYY-MM-DD): ${context.detectedDates.join(', ')}\n`;
   }
   
   return `
@@ -124,7 +178,8 @@ EMAIL CONTENT:
 
 ANALYSIS CONTEXT:${promptContext}
 
-AVAILABLE BANK ACCOUNTS: ${bankList}
+AVAILABLE BANK ACCOUNTS:
+${formatBankAccountList()}
 TODAY'S DATE: ${currentDate}
 
 TASK: Extract financial transaction information and return ONLY a valid JSON object with these exact fields:
@@ -154,39 +209,20 @@ ENHANCED ANALYSIS RULES:
    - If multiple amounts, choose the main transaction amount
 
 2. BANK IDENTIFICATION:
-   - Match bank names: Mandiri, Seabank, Jago, Blu, Neobank
-   - Match owner names: Wimboro, Fara
-   - Combine for exact match: "Mandiri Wimboro", "Jago Fara", etc.
+   - Match bank names: ${getBankTypes().join(', ')}
+   - Match owner names: ${getBankOwners().join(', ')}
+   - Use the account's exact name from the list above (aliases and account numbers help identify it)
    - Look in sender email, subject, and body content
 
 3. CATEGORY INTELLIGENCE:
    PENDAPATAN (amount positif):
-   - "Gaji" - untuk gaji bulanan/harian
-   - "Bonus" - untuk bonus kerja, THR, insentif  
-   - "Komisi" - untuk komisi penjualan, marketing
-   - "Dividen" - untuk dividen investasi, saham
-   - "Bunga" - untuk bunga bank, deposito
-   - "Hadiah" - untuk hadiah dari orang lain
-   - "Warisan" - untuk warisan, hibah
-   - "Penjualan" - untuk hasil penjualan barang
-   - "Refund" - untuk pengembalian uang
-   - "Kembalian" - untuk uang kembalian, pengembalian
-   - "Cashback" - untuk cashback, reward
+${formatCategoryList(INCOME_CATEGORIES)}
    
    PENGELUARAN (amount negatif):
-   - "Makanan" - untuk makanan, minuman, restoran
-   - "Transportasi" - untuk bensin, parkir, ojek, taksi, bus
-   - "Reimburse" - untuk pengeluaran yang akan direimburse
-   - "Sedekah" - untuk zakat, sedekah, donasi
-   - "Hiburan" - untuk bioskop, game, rekreasi
-   - "Pengembangan Keluarga" - untuk pendidikan, kursus, buku
-   - "Rumah Tangga" - untuk belanja rumah tangga, listrik, air
-   - "Pakaian" - untuk pakaian, sepatu, aksesoris
-   - "Kecantikan" - untuk kosmetik, salon, perawatan
-   - "Kesehatan" - untuk obat, dokter, rumah sakit
+${formatCategoryList(EXPENSE_CATEGORIES)}
    
    - Choose the MOST SPECIFIC category that matches the transaction context
-
+${formatLearnedCategories(context.learnedMerchants)}
 4. DESCRIPTION ENHANCEMENT:
    - Include key details: who, what, where
    - Examples: "Transfer ke John Doe", "Belanja di Indomaret", "Bayar tagihan PLN"
@@ -215,78 +251,215 @@ ENHANCED ANALYSIS RULES:
 
 IMPORTANT:
 - Return ONLY valid JSON, no explanations or markdown
-- Set fields to null if truly unclear (don't guess)
+- Set bank and additional_info fields to null if truly unclear (don't guess); use "Lainnya" when no category fits
 - Prioritize accuracy over completeness
 - Use Indonesian language context and banking terminology
 `;
 }
 
 /**
- * Enhanced email parsing with better context understanding
+ * Ask a provider to parse an email with the detailed prompt
  * @param {string} emailText - Email content to parse
- * @returns {Promise<Object|null>} - Enhanced parsed data or null if parsing failed
+ * @param {Object} headers - Email headers; the sender narrows down the bank
+ * @param {Object} provider - LLM provider (src/llm) to ask
+ * @returns {Promise<Object|null>} - The model's answer before post-processing, or null if parsing failed
  */
-export async function parseEmailWithEnhancedGemini(emailText) {
+export async function requestEnhancedParse(emailText, headers, provider) {
   if (!emailText) {
     logger.warning('No email text to parse');
     return null;
   }
   
-  if (!genAI) {
-    initializeGemini();
-  }
-  
   try {
     // Preprocess email to extract context
-    const { text, context } = preprocessEmail(emailText);
+    const { text, context } = preprocessEmail(emailText, headers);
     logger.debug('Email preprocessing context:', context);
     
     // Create enhanced prompt
     const prompt = createEnhancedPrompt(text, context);
     
-    // Send request to Gemini
-    const result = await genAI.models.generateContentInternal({
-      model: CONFIG.GEMINI_MODEL,
-      contents: [{
-        role: 'user',
-        parts: [{ text: prompt }]
-      }]
-    });
-    
-    let responseText = result.candidates[0].content.parts[0].text;
-    
-    // Clean response
-    if (responseText.includes('```json')) {
-      responseText = responseText.split('```json')[1].split('```')[0].trim();
-    } else if (responseText.includes('```')) {
-      responseText = responseText.split('```')[1].split('```')[0].trim();
-    }
-    
-    // Parse JSON response
-    const parsedData = JSON.parse(responseText);
-    
-    // Post-processing and validation
-    const enhancedData = postProcessParsedData(parsedData, context);
-    
-    logger.success(`Enhanced parsing completed with ${enhancedData.confidence}% confidence`);
-    logger.debug('Enhanced parsed data:', enhancedData);
-    
-    return enhancedData;
+    // Ask for schema-conforming JSON; an invalid answer is retried once
+    return await generateTransactionJson(provider, prompt, { details: true });
     
   } catch (error) {
-    logger.error('Error in enhanced email parsing:', error.message);
+    logger.error(`Error in enhanced email parsing with ${provider.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check a detailed-prompt answer against the email and the current bank
+ * accounts, debit/credit rules and learned categories. Runs on every parse,
+ * including cached answers, so configuration changes apply to them too
+ * @param {Object} parsedData - Answer from requestEnhancedParse
+ * @param {string} emailText - Email content it was parsed from
+ * @param {Object} headers - Email headers
+ * @returns {Object} - Enhanced and validated data
+ */
+export function postProcessEmailParse(parsedData, emailText, headers) {
+  const { context } = preprocessEmail(emailText, headers);
+  const enhancedData = postProcessParsedData(parsedData, context);
+  
+  logger.success(`Enhanced parsing completed with ${enhancedData.confidence}% confidence`);
+  logger.debug('Enhanced parsed data:', enhancedData);
+  
+  return enhancedData;
+}
+
+/**
+ * Check a basic-prompt answer against the amounts and dates in the email, so
+ * a foreign amount gets its currency (the basic schema has no currency field)
+ * @param {Object} parsedData - Answer from the basic prompt
+ * @param {string} emailText - Email content it was parsed from
+ * @param {Object} headers - Email headers
+ * @returns {Object} - Checked copy of the answer
+ */
+export function checkParseAgainstEmail(parsedData, emailText, headers) {
+  const { context } = preprocessEmail(emailText, headers);
+  const checked = { ...parsedData };
+  checkAgainstEmail(checked, context);
+  return checked;
+}
+
+/**
+ * Enhanced email parsing with better context understanding
+ * @param {string} emailText - Email content to parse
+ * @param {Object} headers - Email headers; the sender narrows down the bank
+ * @param {Object} provider - LLM provider (src/llm) to ask
+ * @returns {Promise<Object|null>} - Enhanced parsed data or null if parsing failed
+ */
+export async function parseEmailWithEnhancedGemini(emailText, headers, provider) {
+  const parsedData = await requestEnhancedParse(emailText, headers, provider);
+  return parsedData ? postProcessEmailParse(parsedData, emailText, headers) : null;
+}
+
+/**
+ * Parse a short free-text expense note (e.g. "makan siang 45rb jago fara")
+ * @param {string} messageText - Message typed by a family member
+ * @param {Object} provider - LLM provider (src/llm) to ask
+ * @returns {Promise<Object|null>} - Parsed data or null if parsing failed
+ */
+export async function parseManualEntryWithGemini(messageText, provider) {
+  if (!messageText) {
+    return null;
+  }
+  
+  const currentDate = new Date().toISOString().split('T')[0];
+  const prompt = `
+You are a financial assistant reading short Indonesian notes about cash or card spending typed into a family WhatsApp group.
+
+MESSAGE:
+"${messageText}"
+
+AVAILABLE BANK ACCOUNTS:
+${formatBankAccountList()}
+TODAY'S DATE: ${currentDate}
+
+Return ONLY a valid JSON object:
+{
+  "amount": number (positive for income, negative for expenses; "rb"/"ribu"/"k" = x1000, "jt"/"juta" = x1000000),
+  "category": string (one of the categories below),
+  "description": string (short description without the amount or bank),
+  "transaction_type": "income" | "expense",
+  "date": "YYYY-MM-DD" (use ${currentDate} unless the note says otherwise, e.g. "kemarin"),
+  "bank": string (exact match from available banks above, or null for cash)
+}
+
+CATEGORIES:
+   PENDAPATAN (amount positif):
+${formatCategoryList(INCOME_CATEGORIES)}
+   
+   PENGELUARAN (amount negatif):
+${formatCategoryList(EXPENSE_CATEGORIES)}
+
+Return ONLY valid JSON, no explanations or markdown.
+`;
+  
+  try {
+    const parsedData = await generateTransactionJson(provider, prompt);
     
-    if (error instanceof SyntaxError) {
-      logger.debug('JSON parse error - response may not be valid JSON');
+    if (parsedData.amount !== null && parsedData.amount !== undefined) {
+      const amount = Math.abs(parseFloat(parsedData.amount));
+      parsedData.amount = parsedData.transaction_type === 'income' ? amount : -amount;
     }
     
+    logger.debug(`Manual entry parsed by ${provider.name}:`, parsedData);
+    return parsedData;
+  } catch (error) {
+    logger.error(`Error parsing manual entry with ${provider.name}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Check the model's amount and date against the ones normalized from the email.
+ * A lone rupiah amount or date in the email wins over a different answer; an
+ * amount found nowhere in the email only lowers the confidence. An amount in a
+ * foreign currency sets `currency` (converted later); a foreign amount next to
+ * the rupiah one charged for it is kept as original_amount/original_currency.
+ * @param {Object} enhanced - Parsed data, changed in place
+ * @param {Object} context - Email context from preprocessing
+ */
+function checkAgainstEmail(enhanced, context) {
+  const amounts = context.amounts || [];
+  const value = Math.abs(parseFloat(enhanced.amount));
+  const isSame = amount => Math.abs(Math.abs(amount) - value) < 0.005;
+
+  const foreignAmounts = amounts.filter(candidate => candidate.currency !== 'IDR');
+  const onlyForeign = foreignAmounts.length > 0 && foreignAmounts.length === amounts.length;
+  const inForeign = foreignAmounts.find(candidate => isSame(candidate.amount)) || (onlyForeign ? foreignAmounts[0] : null);
+  if (inForeign) {
+    if (!isSame(inForeign.amount)) {
+      logger.info(`Amount corrected to ${inForeign.currency} ${Math.abs(inForeign.amount)} from the email (model said ${enhanced.amount})`);
+    }
+    const original = Math.abs(inForeign.amount);
+    enhanced.amount = enhanced.transaction_type === 'expense' ? -original : original;
+    enhanced.currency = inForeign.currency;
+    return checkDate(enhanced, context);
+  }
+  if (foreignAmounts.length > 0) {
+    enhanced.additional_info = {
+      ...enhanced.additional_info,
+      original_amount: Math.abs(foreignAmounts[0].amount),
+      original_currency: foreignAmounts[0].currency
+    };
+  }
+
+  const rupiah = [...new Set(amounts.filter(candidate => candidate.currency === 'IDR').map(candidate => Math.abs(candidate.amount)))];
+  if (rupiah.length > 0 && !rupiah.some(isSame)) {
+    if (rupiah.length === 1) {
+      logger.info(`Amount corrected to ${rupiah[0]} from the email (model said ${enhanced.amount})`);
+      enhanced.amount = enhanced.transaction_type === 'expense' ? -rupiah[0] : rupiah[0];
+    } else {
+      logger.warning(`Amount ${enhanced.amount} is none of the amounts in the email (${rupiah.join(', ')})`);
+      enhanced.confidence = Math.min(enhanced.confidence || 70, 50);
+    }
+  }
+
+  checkDate(enhanced, context);
+}
+
+/**
+ * Correct an invalid or future date, or use the only date the email has
+ * @param {Object} enhanced - Parsed data, changed in place
+ * @param {Object} context - Email context from preprocessing
+ */
+function checkDate(enhanced, context) {
+  const today = getLocalDate();
+  const emailDates = [...new Set((context.dates || []).map(({ date }) => date))].filter(date => date <= today);
+  const date = parseDate(enhanced.date);
+  const corrected = !date || date > today
+    ? emailDates[0] || today
+    : (emailDates.length === 1 ? emailDates[0] : date);
+  if (corrected !== enhanced.date) {
+    logger.info(`Date corrected to ${corrected} (model said ${enhanced.date})`);
+  }
+  enhanced.date = corrected;
+}
+
 /**
  * Post-process parsed data with validation and enhancement
- * @param {Object} parsedData - Raw parsed data from Gemini
+ * @param {Object} parsedData - Raw parsed data from the LLM
  * @param {Object} context - Email context from preprocessing
  * @returns {Object} - Enhanced and validated data
  */
@@ -304,10 +477,13 @@ function postProcessParsedData(parsedData, context) {
     enhanced.amount = amount;
   }
   
+  checkAgainstEmail(enhanced, context);
+  
   // Validate bank name
-  if (enhanced.bank && !BANK_NAMES.includes(enhanced.bank)) {
+  const bankNames = getBankNames();
+  if (enhanced.bank && !bankNames.includes(enhanced.bank)) {
     const bankLower = enhanced.bank.toLowerCase();
-    const matchedBank = BANK_NAMES.find(bank => 
+    const matchedBank = resolveBankName(enhanced.bank) || bankNames.find(bank => 
       bank.toLowerCase().includes(bankLower) || 
       bankLower.includes(bank.toLowerCase().split(' ')[0])
     );
@@ -321,21 +497,23 @@ function postProcessParsedData(parsedData, context) {
     }
   }
   
-  // Double-check transaction type with bank context
-  if (enhanced.bank && enhanced.description) {
-    const contextType = determineBankTransactionType(enhanced.bank, enhanced.description);
-    if (contextType !== enhanced.transaction_type) {
-      logger.info(`Bank context suggests ${contextType}, adjusting from ${enhanced.transaction_type}`);
-      enhanced.transaction_type = contextType;
-      
-      // Reapply amount sign
-      if (enhanced.amount !== null) {
-        let amount = Math.abs(parseFloat(enhanced.amount));
-        if (contextType === 'expense') {
-          amount = -amount;
-        }
-        enhanced.amount = amount;
-      }
+  // Explicit debit/credit markers in the subject or description overrule the model
+  const decision = classifyTransactionType({
+    bank: enhanced.bank,
+    text: [context.subject, enhanced.description].filter(Boolean).join('\n')
+  });
+  if (!decision) {
+    logger.info(`↕️ No debit/credit rule matched, keeping ${enhanced.transaction_type} from the model`);
+  } else if (decision.type === enhanced.transaction_type) {
+    logger.info(`↕️ Rule ${decision.rule} matched "${decision.match}": ${decision.type}, as the model said`);
+  } else {
+    logger.info(`↕️ Rule ${decision.rule} matched "${decision.match}": ${decision.type}, adjusting from ${enhanced.transaction_type}`);
+    enhanced.transaction_type = decision.type;
+    
+    // Reapply amount sign
+    if (enhanced.amount !== null && enhanced.amount !== undefined) {
+      const amount = Math.abs(parseFloat(enhanced.amount));
+      enhanced.amount = decision.type === 'expense' ? -amount : amount;
     }
   }
   
@@ -349,36 +527,17 @@ function postProcessParsedData(parsedData, context) {
     enhanced.additional_info = {};
   }
   
-  return enhanced;
-}
-
-/**
- * Test enhanced Gemini connection
- * @returns {Promise<boolean>} - True if connection is successful
- */
-export async function testEnhancedGeminiConnection() {
-  try {
-    if (!genAI) {
-      initializeGemini();
-    }
-    
-    const testPrompt = 'Respond with just the word "OK" if you can understand this message.';
-    const result = await genAI.models.generateContentInternal({
-      model: CONFIG.GEMINI_MODEL,
-      contents: [{
-        role: 'user',
-        parts: [{ text: testPrompt }]
-      }]
-    });
-    
-    const text = result.candidates[0].content.parts[0].text.trim();
-    
-    logger.success('Enhanced Gemini AI connection test successful');
-    return text.toLowerCase().includes('ok');
-  } catch (error) {
-    logger.error('Enhanced Gemini AI connection test failed:', error.message);
-    return false;
+  // A category the user corrected for this merchant wins over the model's guess;
+  // without a merchant, a single learned merchant named in the email decides.
+  // It must suit the direction, so a refund from a shop keeps an income category.
+  const { merchant, recipient, sender } = enhanced.additional_info;
+  const learned = findLearnedCategory(getMerchantName({ merchant, recipient, sender, amount: enhanced.amount })) ||
+    (context.learnedMerchants?.length === 1 ? context.learnedMerchants[0] : null);
+  const categories = enhanced.transaction_type === 'income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+  if (learned && learned.category !== enhanced.category && learned.category in categories) {
+    logger.info(`🧠 Learned category for ${learned.merchant}: ${learned.category} (model said ${enhanced.category})`);
+    enhanced.category = learned.category;
   }
+  
+  return enhanced;
 }
-
-export { initializeGemini as initializeEnhancedGemini };
\ No newline at end of file
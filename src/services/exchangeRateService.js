@@ -0,0 +1,181 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { normalizeCurrency } from '../parsers/normalizers.js';
+
+let settingRates = null;
+let fileRates = null;
+let loadedFile = null;
+let loadedMtime = 0;
+
+function toCurrencyCode(name) {
+  const code = normalizeCurrency(name);
+  if (code) return code;
+  return /^[a-z]{3}$/i.test(String(name).trim()) ? String(name).trim().toUpperCase() : null;
+}
+
+/**
+ * Validate a currency → rupiah rate table
+ * @param {Object} config - { rates: { USD: 16250, ... } } or the table itself
+ * @returns {Object} - ISO code → IDR per unit
+ */
+export function normalizeExchangeRates(config) {
+  const table = config?.rates ?? config;
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('Exchange rates must be a map of currency code to rupiah per unit');
+  }
+
+  const rates = {};
+  for (const [name, value] of Object.entries(table)) {
+    const code = toCurrencyCode(name);
+    const rate = parseFloat(value);
+    if (!code) {
+      throw new Error(`Unknown currency "${name}"`);
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Exchange rate for ${code} must be a positive number, got "${value}"`);
+    }
+    rates[code] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Parse the EXCHANGE_RATES setting ("USD:16250,SGD:12100")
+ * @param {string} value - Raw setting
+ * @returns {Object} - ISO code → IDR per unit; invalid items are skipped
+ */
+export function parseExchangeRateSetting(value) {
+  const rates = {};
+
+  for (const item of (value || '').split(',')) {
+    const [name, rate] = item.split(':').map(part => part.trim());
+    try {
+      Object.assign(rates, normalizeExchangeRates({ [name]: rate }));
+    } catch (error) {
+      if (item.trim()) {
+        logger.warning(`Ignoring exchange rate "${item.trim()}": ${error.message}`);
+      }
+    }
+  }
+
+  return rates;
+}
+
+function loadRatesFile(file) {
+  let mtime;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (!fileRates || loadedFile !== file) {
+      throw new Error(`Cannot read EXCHANGE_RATES_FILE ${file}: ${error.message}`);
+    }
+    return fileRates;
+  }
+
+  if (fileRates && loadedFile === file && mtime === loadedMtime) {
+    return fileRates;
+  }
+
+  try {
+    // YAML is a superset of JSON, so one parser reads both
+    fileRates = normalizeExchangeRates(YAML.parse(fs.readFileSync(file, 'utf8')));
+    logger.info(`💱 Loaded ${Object.keys(fileRates).length} exchange rates from ${file}`);
+  } catch (error) {
+    if (!fileRates || loadedFile !== file) {
+      throw new Error(`Invalid EXCHANGE_RATES_FILE ${file}: ${error.message}`);
+    }
+    logger.error(`Ignoring invalid change to ${file}, keeping previous exchange rates:`, error.message);
+  }
+
+  loadedFile = file;
+  loadedMtime = mtime;
+  return fileRates;
+}
+
+/**
+ * Get the rupiah value of one unit of each known currency: EXCHANGE_RATES,
+ * overridden by EXCHANGE_RATES_FILE (read again whenever it changes)
+ * @returns {Object} - ISO code → IDR per unit, always with IDR: 1
+ */
+export function getExchangeRates() {
+  settingRates = settingRates || parseExchangeRateSetting(CONFIG.EXCHANGE_RATES);
+  return {
+    ...settingRates,
+    ...(CONFIG.EXCHANGE_RATES_FILE ? loadRatesFile(CONFIG.EXCHANGE_RATES_FILE) : {}),
+    IDR: 1
+  };
+}
+
+/**
+ * Convert an amount to rupiah
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - ISO code
+ * @returns {Object|null} - { amount (rounded to whole rupiah), rate } or null without a rate
+ */
+export function convertToIdr(amount, currency) {
+  const rate = getExchangeRates()[currency];
+  return rate ? { amount: Math.round(amount * rate), rate } : null;
+}
+
+/**
+ * Bring a parsed transaction to rupiah. An amount in a foreign currency
+ * (parsedData.currency) is converted and the original kept in additional_info
+ * (original_amount, original_currency, exchange_rate); without a rate the
+ * amount becomes 0 and the confidence 0 so the transaction is reviewed.
+ * When the bank already charged rupiah for a foreign amount, the effective
+ * rate is recorded.
+ * @param {Object} parsedData - Parsed transaction, changed in place
+ * @returns {Object} - The same parsed transaction
+ */
+export function convertParsedAmount(parsedData) {
+  const info = parsedData.additional_info || {};
+  const currency = parsedData.currency || 'IDR';
+  const amount = parseFloat(parsedData.amount) || 0;
+
+  if (currency === 'IDR') {
+    if (info.original_amount && info.original_currency && !info.exchange_rate) {
+      info.exchange_rate = Math.round(Math.abs(amount) / info.original_amount * 100) / 100;
+      parsedData.additional_info = info;
+    }
+    parsedData.currency = 'IDR';
+    return parsedData;
+  }
+
+  const original = Math.abs(amount);
+  const conversion = convertToIdr(original, currency);
+  parsedData.additional_info = { ...info, original_amount: original, original_currency: currency, exchange_rate: conversion?.rate ?? null };
+  parsedData.currency = 'IDR';
+
+  if (!conversion) {
+    logger.warning(`No exchange rate for ${currency}; ${currency} ${original} is recorded as 0 and needs review`);
+    parsedData.amount = 0;
+    parsedData.confidence = 0;
+    return parsedData;
+  }
+
+  parsedData.amount = amount < 0 ? -conversion.amount : conversion.amount;
+  logger.info(`💱 Converted ${currency} ${original} to Rp ${conversion.amount.toLocaleString('id-ID')} at ${conversion.rate}`);
+  return parsedData;
+}
+
+/**
+ * Check whether convertParsedAmount found no rate for the transaction's currency
+ * @param {Object} parsedData - Parsed transaction after conversion
+ * @returns {boolean} - True if the rupiah amount is unknown
+ */
+export function isMissingExchangeRate(parsedData) {
+  const info = parsedData?.additional_info || {};
+  return Boolean(info.original_currency) && info.exchange_rate === null;
+}
+
+/**
+ * Forget the rates read from the file so the next call reads it again (tests)
+ */
+export function resetExchangeRates() {
+  settingRates = null;
+  fileRates = null;
+  loadedFile = null;
+  loadedMtime = 0;
+}
@@ -1,5 +1,79 @@
 import { logger } from '../../utils/logger.js';
 
+/**
+ * List one page of message IDs matching a search query
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} searchQuery - Query to filter emails
+ * @param {string} [pageToken] - Token of the page to fetch
+ * @param {number} [maxResults] - Page size (Gmail allows up to 500)
+ * @returns {Promise<Object>} - { messageIds, nextPageToken }
+ */
+export async function listMessagePage(gmailService, searchQuery, pageToken, maxResults) {
+  const response = await gmailService.users.messages.list({
+    userId: 'me',
+    q: searchQuery,
+    pageToken,
+    maxResults
+  });
+
+  return {
+    messageIds: (response.data.messages || []).map(message => message.id),
+    nextPageToken: response.data.nextPageToken || null
+  };
+}
+
+/**
+ * List the IDs of all messages matching a search query (follows pagination)
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} searchQuery - Query to filter emails
+ * @returns {Promise<Array<string>>} - Message IDs
+ */
+export async function listMessageIds(gmailService, searchQuery) {
+  const ids = [];
+  let pageToken;
+
+  do {
+    const page = await listMessagePage(gmailService, searchQuery, pageToken);
+    ids.push(...page.messageIds);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  return ids;
+}
+
+/**
+ * Retrieve full message details for a list of message IDs
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {Array<string>} messageIds - IDs of the messages to fetch
+ * @returns {Promise<Object>} - { emails, failedMessageIds }: messages that could not be
+ *   fetched (rate limits, server errors, timeouts) are listed to be retried; deleted ones are skipped
+ */
+export async function getMessagesByIds(gmailService, messageIds) {
+  const emails = [];
+  const failedMessageIds = [];
+
+  for (const messageId of messageIds) {
+    try {
+      const fullMessage = await gmailService.users.messages.get({
+        userId: 'me',
+        id: messageId
+      });
+
+      emails.push(fullMessage.data);
+      logger.debug(`Retrieved email with ID: ${messageId}`);
+    } catch (error) {
+      if (Number(error.code || error.response?.status) === 404) {
+        logger.warning(`Email ${messageId} no longer exists, skipping it`);
+        continue;
+      }
+      logger.warning(`Failed to retrieve email ${messageId}, will retry:`, error.message);
+      failedMessageIds.push(messageId);
+    }
+  }
+
+  return { emails, failedMessageIds };
+}
+
 /**
  * Retrieve emails based on search query
  * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
@@ -10,35 +84,17 @@ export async function getEmails(gmailService, searchQuery) {
   try {
     logger.info(`Searching for emails with query: ${searchQuery}`);
     
-    const response = await gmailService.users.messages.list({
-      userId: 'me',
-      q: searchQuery
-    });
+    const messageIds = await listMessageIds(gmailService, searchQuery);
     
-    const messages = response.data.messages || [];
-    
-    if (messages.length === 0) {
+    if (messageIds.length === 0) {
       logger.info('No messages found matching the criteria');
       return [];
     }
     
-    logger.info(`Found ${messages.length} messages, retrieving details...`);
+    logger.info(`Found ${messageIds.length} messages, retrieving details...`);
     
     // Get full message details
-    const emails = [];
-    for (const message of messages) {
-      try {
-        const fullMessage = await gmailService.users.messages.get({
-          userId: 'me',
-          id: message.id
-        });
-        
-        emails.push(fullMessage.data);
-        logger.debug(`Retrieved email with ID: ${message.id}`);
-      } catch (error) {
-        logger.warning(`Failed to retrieve email ${message.id}:`, error.message);
-      }
-    }
+    const { emails } = await getMessagesByIds(gmailService, messageIds);
     
     logger.success(`Successfully retrieved ${emails.length} emails`);
     return emails;
@@ -49,6 +105,74 @@ export async function getEmails(gmailService, searchQuery) {
   }
 }
 
+/**
+ * List messages added to the mailbox since a history ID (follows pagination).
+ * Throws with `code === 404` when the history ID is too old to be used.
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} startHistoryId - Last history ID that was synced
+ * @returns {Promise<Object>} - { messageIds, historyId } where historyId is the mailbox's latest
+ */
+export async function getMessagesAddedSince(gmailService, startHistoryId) {
+  const messageIds = new Set();
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const response = await gmailService.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      pageToken
+    });
+
+    for (const record of response.data.history || []) {
+      for (const { message } of record.messagesAdded || []) {
+        // Our own sent mail and drafts are never bank notifications
+        const labels = message.labelIds || [];
+        if (!labels.includes('SENT') && !labels.includes('DRAFT')) {
+          messageIds.add(message.id);
+        }
+      }
+    }
+
+    historyId = response.data.historyId || historyId;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return { messageIds: [...messageIds], historyId };
+}
+
+/**
+ * Get the mailbox address and current history ID
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @returns {Promise<Object>} - { emailAddress, historyId }
+ */
+export async function getMailboxProfile(gmailService) {
+  const response = await gmailService.users.getProfile({ userId: 'me' });
+  return {
+    emailAddress: response.data.emailAddress,
+    historyId: response.data.historyId
+  };
+}
+
+/**
+ * Ask Gmail to publish mailbox changes to a Pub/Sub topic
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} topicName - Full topic name (projects/<project>/topics/<topic>)
+ * @returns {Promise<Object>} - { historyId, expiration } (expiration in ms since epoch)
+ */
+export async function watchMailbox(gmailService, topicName) {
+  const response = await gmailService.users.watch({
+    userId: 'me',
+    requestBody: { topicName }
+  });
+
+  return {
+    historyId: response.data.historyId,
+    expiration: Number(response.data.expiration)
+  };
+}
+
 /**
  * Extract the text content from an email message
  * @param {Object} messagePayload - The payload part of the email
@@ -102,7 +226,7 @@ export function extractEmailBody(messagePayload) {
  * @param {string} html - HTML content
  * @returns {string} - Plain text content
  */
-function extractTextFromHtml(html) {
+export function extractTextFromHtml(html) {
   // Simple HTML tag removal - in production, consider using a proper HTML parser
   return html
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
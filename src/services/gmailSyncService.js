@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import {
+  getEmails,
+  listMessageIds,
+  getMessagesByIds,
+  getMessagesAddedSince,
+  getMailboxProfile,
+  watchMailbox
+} from './gmailService.js';
+
+// Gmail's after: operator works on dates, so look back a day past the last sync
+const FILTER_LOOKBACK_SECONDS = 24 * 60 * 60;
+
+// Renew the Pub/Sub watch (valid for 7 days) once it has less than a day left
+const WATCH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+let stateCache = null;
+
+function loadSyncState() {
+  if (stateCache) {
+    return stateCache;
+  }
+
+  try {
+    stateCache = fs.existsSync(CONFIG.GMAIL_SYNC_STATE_FILE)
+      ? JSON.parse(fs.readFileSync(CONFIG.GMAIL_SYNC_STATE_FILE, 'utf8'))
+      : {};
+  } catch (error) {
+    logger.warning(`Could not read Gmail sync state, starting a fresh sync: ${error.message}`);
+    stateCache = {};
+  }
+
+  return stateCache;
+}
+
+function saveSyncState() {
+  const tempFile = `${CONFIG.GMAIL_SYNC_STATE_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.GMAIL_SYNC_STATE_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(stateCache, null, 2));
+  fs.renameSync(tempFile, CONFIG.GMAIL_SYNC_STATE_FILE);
+}
+
+/**
+ * Get the stored sync state of an account
+ * @param {string} accountId - Account identifier
+ * @returns {Object} - { historyId, emailAddress, syncedAt, pendingMessageIds, watchExpiration }
+ */
+export function getAccountSyncState(accountId) {
+  const state = loadSyncState();
+  state[accountId] = state[accountId] || {};
+  return state[accountId];
+}
+
+/**
+ * Query used to filter messages found through history.
+ * The history ID already tracks what is new, so read state and age filters are dropped.
+ * @param {string} [searchQuery] - Configured search query
+ * @returns {string} - Query without is:unread / newer_than / older_than
+ */
+export function getHistoryFilterQuery(searchQuery = CONFIG.GMAIL_SEARCH_QUERY) {
+  return searchQuery
+    .replace(/\bis:unread\b/gi, '')
+    .replace(/\b(newer_than|older_than):\S+/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isHistoryExpired(error) {
+  return error.code === 404 || error.response?.status === 404;
+}
+
+/**
+ * Keep only messages that match the configured search query
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {Array<string>} messageIds - Candidate message IDs
+ * @param {number} [syncedAt] - Time of the last sync (ms since epoch)
+ * @returns {Promise<Array<string>>} - Matching message IDs
+ */
+async function filterMatchingMessages(gmailService, messageIds, syncedAt) {
+  const filterQuery = getHistoryFilterQuery();
+  if (!filterQuery) {
+    return messageIds;
+  }
+
+  const after = Math.floor((syncedAt || Date.now()) / 1000) - FILTER_LOOKBACK_SECONDS;
+  const matching = new Set(await listMessageIds(gmailService, `${filterQuery} after:${after}`));
+  return messageIds.filter(id => matching.has(id));
+}
+
+/**
+ * Fetch emails that arrived since the last sync of an account.
+ * Uses Gmail history when a history ID is stored and falls back to GMAIL_SEARCH_QUERY
+ * on the first run or when the stored history ID has expired.
+ * Call commitSync() with the returned cursor once the emails have been handled, passing
+ * failedMessageIds (messages that could not be fetched) along with any that failed to process.
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Object>} - { emails, failedMessageIds, cursor }
+ */
+export async function fetchNewEmails(gmailService, accountId) {
+  if (!CONFIG.ENABLE_GMAIL_HISTORY_SYNC) {
+    return { emails: await getEmails(gmailService, CONFIG.GMAIL_SEARCH_QUERY), failedMessageIds: [], cursor: null };
+  }
+
+  const state = getAccountSyncState(accountId);
+  const pending = state.pendingMessageIds || [];
+
+  if (state.historyId) {
+    try {
+      const { messageIds, historyId } = await getMessagesAddedSince(gmailService, state.historyId);
+      const matching = messageIds.length > 0
+        ? await filterMatchingMessages(gmailService, messageIds, state.syncedAt)
+        : [];
+      const ids = [...new Set([...pending, ...matching])];
+
+      logger.info(`History sync for ${accountId}: ${messageIds.length} new messages, ${ids.length} to process`);
+      return {
+        ...await getMessagesByIds(gmailService, ids),
+        cursor: { historyId, emailAddress: state.emailAddress }
+      };
+    } catch (error) {
+      if (!isHistoryExpired(error)) {
+        throw error;
+      }
+      logger.warning(`History ID for ${accountId} has expired, falling back to a full search`);
+    }
+  }
+
+  // Take the history ID before searching so nothing arriving in between is missed
+  const { emailAddress, historyId } = await getMailboxProfile(gmailService);
+  logger.info(`Initial sync for ${accountId} with query: ${CONFIG.GMAIL_SEARCH_QUERY}`);
+  const ids = await listMessageIds(gmailService, CONFIG.GMAIL_SEARCH_QUERY);
+
+  return {
+    ...await getMessagesByIds(gmailService, [...new Set([...pending, ...ids])]),
+    cursor: { historyId, emailAddress }
+  };
+}
+
+/**
+ * Store the sync cursor of an account after its emails have been handled
+ * @param {string} accountId - Account identifier
+ * @param {Object|null} cursor - Cursor returned by fetchNewEmails
+ * @param {Array<string>} [failedMessageIds] - Messages to retry on the next sync
+ */
+export function commitSync(accountId, cursor, failedMessageIds = []) {
+  if (!cursor) {
+    return;
+  }
+
+  const state = getAccountSyncState(accountId);
+  state.historyId = cursor.historyId;
+  state.emailAddress = cursor.emailAddress || state.emailAddress;
+  state.syncedAt = Date.now();
+  state.pendingMessageIds = [...new Set(failedMessageIds)];
+  saveSyncState();
+  logger.debug(`Gmail sync state for ${accountId} saved at history ID ${cursor.historyId}`);
+}
+
+/**
+ * Start or renew the Gmail push watch for an account when GMAIL_PUBSUB_TOPIC is set
+ * @param {gmail_v1.Gmail} gmailService - Authenticated Gmail service
+ * @param {string} accountId - Account identifier
+ */
+export async function ensureMailboxWatch(gmailService, accountId) {
+  if (!CONFIG.GMAIL_PUBSUB_TOPIC) {
+    return;
+  }
+
+  const state = getAccountSyncState(accountId);
+  if (state.watchExpiration && state.watchExpiration - Date.now() > WATCH_RENEW_BEFORE_MS) {
+    return;
+  }
+
+  try {
+    const { expiration } = await watchMailbox(gmailService, CONFIG.GMAIL_PUBSUB_TOPIC);
+    state.watchExpiration = expiration;
+    saveSyncState();
+    logger.success(`📬 Gmail push watch for ${accountId} active until ${new Date(expiration).toLocaleString('id-ID')}`);
+  } catch (error) {
+    logger.error(`Could not start Gmail push watch for ${accountId}:`, error.message);
+  }
+}
+
+/**
+ * Check the shared token a Pub/Sub push subscription sends in its endpoint URL (?token=...)
+ * @param {Object} query - Query string parameters
+ * @returns {boolean} - True if valid (or no token is configured)
+ */
+export function verifyGmailPushToken(query) {
+  if (!CONFIG.GMAIL_PUSH_TOKEN) {
+    return true;
+  }
+
+  const expected = Buffer.from(CONFIG.GMAIL_PUSH_TOKEN);
+  const received = Buffer.from(String(query?.token || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Decode a Gmail notification from a Pub/Sub push request body
+ * @param {Object} body - Pub/Sub push body ({ message: { data } })
+ * @returns {Object|null} - { emailAddress, historyId } or null if malformed
+ */
+export function parseGmailPushNotification(body) {
+  const data = body?.message?.data;
+  if (!data) {
+    return null;
+  }
+
+  try {
+    const notification = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+    if (!notification.emailAddress || !notification.historyId) {
+      return null;
+    }
+    return { emailAddress: notification.emailAddress, historyId: String(notification.historyId) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the webhook handler for Gmail push notifications
+ * @param {Function} onNotification - (notification) => void, called for each valid notification
+ * @returns {Function} - Webhook route handler
+ */
+export function createGmailPushHandler(onNotification) {
+  return async ({ body, query }) => {
+    if (!verifyGmailPushToken(query)) {
+      logger.warning('Rejected Gmail push notification with an invalid token');
+      return { status: 401, body: { error: 'Invalid token' } };
+    }
+
+    const notification = parseGmailPushNotification(body);
+    if (!notification) {
+      // Acknowledge anyway so Pub/Sub does not keep redelivering it
+      return { body: { ignored: true } };
+    }
+
+    logger.info(`📬 Gmail push notification for ${notification.emailAddress} (history ${notification.historyId})`);
+    onNotification(notification);
+    return { body: { ok: true } };
+  };
+}
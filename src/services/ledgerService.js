@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { getBankAccount } from '../../config/bankAccounts.js';
+import { matchesOwnerName } from '../parsers/accountMatcher.js';
+import { logger } from '../../utils/logger.js';
+
+let ledgerCache = null;
+
+function createEmptyLedger() {
+  return { version: 1, messages: {}, references: {} };
+}
+
+function messageKey(accountId, messageId) {
+  return `${accountId}:${messageId}`;
+}
+
+function referenceKey(bank, referenceNumber) {
+  return `${String(bank || '').toLowerCase()}|${String(referenceNumber).trim().toLowerCase()}`;
+}
+
+/**
+ * Load the local transaction ledger from disk (cached after first read)
+ * @returns {Object} - Ledger with messages and references indexes
+ */
+export function loadLedger() {
+  if (ledgerCache) {
+    return ledgerCache;
+  }
+
+  try {
+    if (fs.existsSync(CONFIG.LEDGER_FILE)) {
+      const data = JSON.parse(fs.readFileSync(CONFIG.LEDGER_FILE, 'utf8'));
+      ledgerCache = { ...createEmptyLedger(), ...data };
+      logger.debug(`Loaded ledger with ${Object.keys(ledgerCache.messages).length} entries`);
+    } else {
+      ledgerCache = createEmptyLedger();
+    }
+  } catch (error) {
+    logger.error(`Error reading ledger file ${CONFIG.LEDGER_FILE}:`, error.message);
+    throw error;
+  }
+
+  return ledgerCache;
+}
+
+/**
+ * Write pending ledger changes to disk atomically
+ */
+export function saveLedger() {
+  if (!ledgerCache) {
+    return;
+  }
+
+  const tempFile = `${CONFIG.LEDGER_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.LEDGER_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(ledgerCache, null, 2));
+  fs.renameSync(tempFile, CONFIG.LEDGER_FILE);
+  logger.debug(`Ledger saved to ${CONFIG.LEDGER_FILE}`);
+}
+
+/**
+ * Drop unsaved ledger changes so the next read comes from disk
+ */
+export function discardLedgerChanges() {
+  ledgerCache = null;
+}
+
+/**
+ * Find an exact duplicate by Gmail message ID or bank reference number
+ * @param {Object} params
+ * @param {string} params.accountId - Gmail account identifier
+ * @param {string} params.messageId - Gmail message ID
+ * @param {string} [params.bank] - Bank account name
+ * @param {string} [params.referenceNumber] - Bank reference number
+ * @returns {Object|null} - Matching ledger entry with the reason, or null
+ */
+export function findDuplicate({ accountId, messageId, bank, referenceNumber }) {
+  const ledger = loadLedger();
+
+  const byMessage = ledger.messages[messageKey(accountId, messageId)];
+  if (byMessage) {
+    return { reason: 'message_id', entry: byMessage };
+  }
+
+  if (referenceNumber) {
+    const key = ledger.references[referenceKey(bank, referenceNumber)];
+    if (key && ledger.messages[key]) {
+      return { reason: 'reference_number', entry: ledger.messages[key] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a recorded transaction with the same amount and bank close in time.
+ * These are reported as possible duplicates, not skipped.
+ * @param {Object} params
+ * @param {number} params.amount - Signed transaction amount
+ * @param {string} params.bank - Bank account name
+ * @param {number} params.occurredAt - Email timestamp in milliseconds
+ * @param {number} [windowMinutes] - Matching window
+ * @returns {Object|null} - Closest matching ledger entry, or null
+ */
+export function findSimilarTransaction({ amount, bank, occurredAt }, windowMinutes = CONFIG.DEDUP_FUZZY_WINDOW_MINUTES) {
+  if (!bank || !amount || !occurredAt || windowMinutes <= 0) {
+    return null;
+  }
+
+  const ledger = loadLedger();
+  const windowMs = windowMinutes * 60 * 1000;
+  let closest = null;
+
+  for (const entry of Object.values(ledger.messages)) {
+    if (entry.bank !== bank || Number(entry.amount) !== Number(amount)) continue;
+
+    const distance = Math.abs(entry.occurredAt - occurredAt);
+    if (distance <= windowMs && (!closest || distance < Math.abs(closest.occurredAt - occurredAt))) {
+      closest = entry;
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Find the other half of a transfer between two of our own accounts: the
+ * opposite amount on another configured account, close in time, where the
+ * counterpart name on either email is the other account's owner
+ * @param {Object} params
+ * @param {number} params.amount - Signed transaction amount
+ * @param {string} params.bank - Bank account name
+ * @param {number} params.occurredAt - Email timestamp in milliseconds
+ * @param {string} [params.counterpartName] - Recipient of an expense or sender of income
+ * @param {number} [windowMinutes] - Matching window
+ * @returns {Object|null} - Closest unlinked ledger entry, or null
+ */
+export function findInternalTransfer({ amount, bank, occurredAt, counterpartName }, windowMinutes = CONFIG.INTERNAL_TRANSFER_WINDOW_MINUTES) {
+  const account = getBankAccount(bank);
+  if (!account || !Number(amount) || !occurredAt) {
+    return null;
+  }
+
+  const ledger = loadLedger();
+  const windowMs = windowMinutes * 60 * 1000;
+  let closest = null;
+
+  for (const entry of Object.values(ledger.messages)) {
+    if (entry.transferWith || entry.bank === bank || Number(entry.amount) !== -Number(amount)) continue;
+
+    const otherAccount = getBankAccount(entry.bank);
+    if (!otherAccount) continue;
+
+    const distance = Math.abs(entry.occurredAt - occurredAt);
+    if (distance > windowMs) continue;
+
+    const namesMatch = matchesOwnerName(counterpartName, otherAccount) ||
+      matchesOwnerName(Number(entry.amount) < 0 ? entry.recipient : entry.sender, account);
+
+    if (namesMatch && (!closest || distance < Math.abs(closest.occurredAt - occurredAt))) {
+      closest = entry;
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Mark two ledger entries as the halves of one internal transfer
+ * @param {Object} first - Ledger entry (from findInternalTransfer or recordTransaction)
+ * @param {Object} second - Ledger entry
+ */
+export function linkTransfer(first, second) {
+  first.transferWith = second.messageId;
+  second.transferWith = first.messageId;
+}
+
+/**
+ * Record a processed transaction in the ledger (call saveLedger to persist)
+ * @param {Object} params
+ * @param {string} params.accountId - Gmail account identifier
+ * @param {string} params.messageId - Gmail message ID
+ * @param {Object} params.entry - Transaction entry written to storage
+ * @param {string} [params.referenceNumber] - Bank reference number
+ * @param {number} [params.occurredAt] - Email timestamp in milliseconds
+ * @returns {Object} - The ledger entry
+ */
+export function recordTransaction({ accountId, messageId, entry, referenceNumber, occurredAt }) {
+  const ledger = loadLedger();
+  const key = messageKey(accountId, messageId);
+
+  ledger.messages[key] = {
+    accountId,
+    messageId,
+    referenceNumber: referenceNumber || null,
+    date: entry.date,
+    amount: entry.amount,
+    bank: entry.bank || '',
+    description: entry.description || '',
+    category: entry.category || '',
+    merchant: entry.merchant || '',
+    recipient: entry.recipient || '',
+    sender: entry.sender || '',
+    transferWith: null,
+    occurredAt: occurredAt || Date.now(),
+    recordedAt: new Date().toISOString()
+  };
+
+  if (referenceNumber) {
+    ledger.references[referenceKey(entry.bank, referenceNumber)] = key;
+  }
+
+  return ledger.messages[key];
+}
+
+/**
+ * Get the ledger entry of a processed message
+ * @param {string} accountId - Gmail account identifier
+ * @param {string} messageId - Gmail message ID
+ * @returns {Object|null} - Ledger entry (changes are kept by saveLedger) or null
+ */
+export function getRecordedTransaction(accountId, messageId) {
+  return loadLedger().messages[messageKey(accountId, messageId)] || null;
+}
+
+/**
+ * Unpair an internal transfer so both halves can pair again (call saveLedger to persist)
+ * @param {string} accountId - Gmail account identifier
+ * @param {string} messageId - Gmail message ID of either half
+ * @returns {Object|null} - Ledger entry of the other half, or null when the message was not paired
+ */
+export function unlinkTransfer(accountId, messageId) {
+  const ledger = loadLedger();
+  const entry = ledger.messages[messageKey(accountId, messageId)];
+
+  if (!entry?.transferWith) {
+    return null;
+  }
+
+  const partner = Object.values(ledger.messages)
+    .find(other => other.messageId === entry.transferWith && other.transferWith === messageId) || null;
+  entry.transferWith = null;
+  if (partner) {
+    partner.transferWith = null;
+  }
+  return partner;
+}
+
+/**
+ * Remove a recorded transaction, e.g. when it could not be written to storage.
+ * The other half of an internal transfer is unpaired so it can pair again
+ * @param {string} accountId - Gmail account identifier
+ * @param {string} messageId - Gmail message ID
+ */
+export function forgetTransaction(accountId, messageId) {
+  const ledger = loadLedger();
+  const key = messageKey(accountId, messageId);
+
+  if (!ledger.messages[key]) {
+    return;
+  }
+
+  unlinkTransfer(accountId, messageId);
+  delete ledger.messages[key];
+  for (const [reference, target] of Object.entries(ledger.references)) {
+    if (target === key) {
+      delete ledger.references[reference];
+    }
+  }
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// Bump when the email prompts or the response schema change, so older answers are not reused
+export const PROMPT_VERSION = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cache = null;
+
+function createEmptyCache() {
+  return { version: 1, entries: {} };
+}
+
+function isExpired(entry, now = Date.now()) {
+  return now - Date.parse(entry.createdAt) > CONFIG.LLM_CACHE_TTL_DAYS * DAY_MS;
+}
+
+function isUsable(entry) {
+  return entry && entry.promptVersion === PROMPT_VERSION && !isExpired(entry);
+}
+
+/**
+ * Hash the parts of an email the prompts depend on
+ * @param {string} emailText - Email body
+ * @param {Object} [headers] - Email headers (the sender is part of the prompt)
+ * @returns {string} - Hex SHA-256 cache key
+ */
+export function emailCacheKey(emailText, headers = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([headers.from || '', emailText || '']))
+    .digest('hex');
+}
+
+/**
+ * Load the parse cache from disk (cached after first read)
+ * @returns {Object} - Cache with entries by key
+ */
+export function loadLlmCache() {
+  if (cache) {
+    return cache;
+  }
+
+  try {
+    cache = fs.existsSync(CONFIG.LLM_CACHE_FILE)
+      ? { ...createEmptyCache(), ...JSON.parse(fs.readFileSync(CONFIG.LLM_CACHE_FILE, 'utf8')) }
+      : createEmptyCache();
+  } catch (error) {
+    // Only saves API calls, so a damaged file is started over rather than stopping processing
+    logger.warning(`Ignoring unreadable LLM cache ${CONFIG.LLM_CACHE_FILE}: ${error.message}`);
+    cache = createEmptyCache();
+  }
+
+  return cache;
+}
+
+/**
+ * Write the cache to disk atomically
+ */
+function saveLlmCache() {
+  const tempFile = `${CONFIG.LLM_CACHE_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.LLM_CACHE_FILE), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(cache, null, 2));
+  fs.renameSync(tempFile, CONFIG.LLM_CACHE_FILE);
+}
+
+/**
+ * Get a cached answer that is still valid (same prompt version, within
+ * LLM_CACHE_TTL_DAYS) and came from one of the given models
+ * @param {string} key - Cache key from emailCacheKey
+ * @param {Array<Object>} sources - { provider, model } of the configured providers
+ * @returns {Object|null} - Copy of { prompt, result }, or null on a miss
+ */
+export function getCachedParse(key, sources) {
+  if (!CONFIG.ENABLE_LLM_CACHE) {
+    return null;
+  }
+
+  const entry = loadLlmCache().entries[key];
+  if (!isUsable(entry) || !sources.some(({ provider, model }) => entry.provider === provider && entry.model === model)) {
+    return null;
+  }
+  return { prompt: entry.prompt, result: structuredClone(entry.result) };
+}
+
+/**
+ * Store a provider's answer and write the cache to disk right away, so it
+ * survives a cycle that fails before the transaction is stored
+ * @param {string} key - Cache key from emailCacheKey
+ * @param {Object} result - The answer, before post-processing
+ * @param {Object} source - { provider, model, prompt } that produced it ('detailed' or 'basic')
+ */
+export function setCachedParse(key, result, { provider, model, prompt }) {
+  if (!CONFIG.ENABLE_LLM_CACHE) {
+    return;
+  }
+
+  const entries = loadLlmCache().entries;
+  for (const [otherKey, entry] of Object.entries(entries)) {
+    if (!isUsable(entry)) delete entries[otherKey];
+  }
+
+  entries[key] = {
+    provider,
+    model,
+    prompt,
+    promptVersion: PROMPT_VERSION,
+    createdAt: new Date().toISOString(),
+    result: structuredClone(result)
+  };
+
+  try {
+    saveLlmCache();
+  } catch (error) {
+    logger.warning(`Could not write LLM cache ${CONFIG.LLM_CACHE_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * List cached entries, newest first
+ * @returns {Array<Object>} - Entries with key, provider, model, prompt, promptVersion, createdAt, expired and result
+ */
+export function listCachedParses() {
+  return Object.entries(loadLlmCache().entries)
+    .map(([key, entry]) => ({ key, ...entry, expired: !isUsable(entry) }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Remove cached entries
+ * @param {Object} [options]
+ * @param {boolean} [options.expiredOnly=false] - Only remove expired or outdated entries
+ * @param {string} [options.key] - Only remove entries whose key starts with this
+ * @returns {number} - Number of entries removed
+ */
+export function clearLlmCache({ expiredOnly = false, key } = {}) {
+  const entries = loadLlmCache().entries;
+  let removed = 0;
+
+  for (const [entryKey, entry] of Object.entries(entries)) {
+    if (key && !entryKey.startsWith(key)) continue;
+    if (expiredOnly && isUsable(entry)) continue;
+    delete entries[entryKey];
+    removed++;
+  }
+
+  if (removed > 0) {
+    saveLlmCache();
+  }
+  return removed;
+}
+
+/**
+ * Forget the in-memory cache so the next call reads the file again (tests)
+ */
+export function resetLlmCache() {
+  cache = null;
+}
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { formatTimestamp } from './sheetsService.js';
+import { recordTransaction, forgetTransaction, saveLedger } from './ledgerService.js';
+import { appendTransactions, deleteTransaction } from '../storage/index.js';
+
+const UNDO_RETENTION_DAYS = 7;
+
+function loadUndoHandles() {
+  if (!fs.existsSync(CONFIG.MANUAL_ENTRIES_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(CONFIG.MANUAL_ENTRIES_FILE, 'utf8'));
+}
+
+function saveUndoHandles(handles) {
+  const cutoff = Date.now() - UNDO_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const recent = Object.fromEntries(
+    Object.entries(handles).filter(([, entry]) => Date.parse(entry.createdAt) >= cutoff)
+  );
+
+  fs.mkdirSync(path.dirname(CONFIG.MANUAL_ENTRIES_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.MANUAL_ENTRIES_FILE, JSON.stringify(recent, null, 2));
+}
+
+/**
+ * Store a manually entered transaction in every storage backend and the ledger,
+ * and remember how to undo it. The WhatsApp author is the account and
+ * `manual-<code>` the message ID, so the commands can find it like any other row.
+ * @param {Object} entry - Transaction entry (date, amount, category, description, bank)
+ * @param {string} author - WhatsApp ID of the person who sent it
+ * @returns {Promise<string>} - Undo handle
+ */
+export async function appendManualEntry(entry, author) {
+  const handles = loadUndoHandles();
+  let handle;
+  do {
+    handle = crypto.randomBytes(2).toString('hex').toUpperCase();
+  } while (handles[handle]);
+
+  const messageId = `manual-${handle}-${Date.now().toString(36)}`;
+  const timestamp = formatTimestamp();
+  await appendTransactions([{ entry: { ...entry, timestamp }, accountId: author, messageId }]);
+
+  recordTransaction({ accountId: author, messageId, entry, referenceNumber: null, occurredAt: Date.now() });
+  saveLedger();
+
+  handles[handle] = {
+    date: entry.date,
+    amount: entry.amount,
+    description: entry.description,
+    timestamp,
+    author,
+    messageId,
+    createdAt: new Date().toISOString()
+  };
+  saveUndoHandles(handles);
+
+  logger.success(`Manual entry added: ${entry.description} (${entry.amount}), undo handle ${handle}`);
+  return handle;
+}
+
+/**
+ * Remove a manual entry from storage and the ledger using its undo handle
+ * @param {string} handle - Undo handle returned by appendManualEntry
+ * @returns {Promise<Object>} - The removed entry
+ */
+export async function undoManualEntry(handle) {
+  const handles = loadUndoHandles();
+  const key = String(handle).toUpperCase();
+  const stored = handles[key];
+
+  if (!stored?.messageId) {
+    throw new Error(`Kode batal ${key} tidak ditemukan atau sudah kedaluwarsa`);
+  }
+
+  const removed = await deleteTransaction({ accountId: stored.author, messageId: stored.messageId, entry: { date: stored.date } });
+  if (!removed) {
+    throw new Error(`Transaksi untuk kode ${key} sudah tidak ada`);
+  }
+
+  forgetTransaction(stored.author, stored.messageId);
+  saveLedger();
+
+  delete handles[key];
+  saveUndoHandles(handles);
+
+  return stored;
+}
@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+import { CONFIG, INTERNAL_TRANSFER_CATEGORY } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { appendToSheet, quoteSheetName } from './sheetsService.js';
+import { appendTransactions, updateTransaction } from '../storage/index.js';
+import { getRecordedTransaction, unlinkTransfer, saveLedger } from './ledgerService.js';
+import { convertToIdr } from './exchangeRateService.js';
+
+const REVIEW_HEADERS = [
+  'Review ID', 'Date', 'Amount', 'Category', 'Description', 'Bank',
+  'Confidence', 'Account', 'Message ID', 'Gmail Link', 'Snippet', 'Status', 'Queued At',
+  'Original Amount', 'Original Currency', 'Exchange Rate',
+  'Type', 'Recipient', 'Sender', 'Reference Number', 'Merchant', 'Location', 'Transfer Link'
+];
+const STATUS_COLUMN = 'L';
+
+/**
+ * Check whether a parsed transaction should go to the review queue
+ * @param {Object} parsedData - Parsed transaction data
+ * @returns {boolean} - True if confidence is below the configured threshold
+ */
+export function needsReview(parsedData) {
+  const threshold = CONFIG.REVIEW_CONFIDENCE_THRESHOLD;
+  if (!threshold) return false;
+
+  const confidence = Number(parsedData?.confidence);
+  return Number.isFinite(confidence) && confidence < threshold;
+}
+
+/**
+ * Build a Gmail web link for a message
+ * @param {string} accountId - Gmail account (email address)
+ * @param {string} messageId - Gmail message ID
+ * @returns {string} - Link that opens the message in Gmail
+ */
+export function buildGmailLink(accountId, messageId) {
+  const authUser = accountId && accountId.includes('@') ? `?authuser=${encodeURIComponent(accountId)}` : '';
+  return `https://mail.google.com/mail/u/${authUser}#all/${messageId}`;
+}
+
+/**
+ * Create a review queue item from a parsed transaction
+ * @param {Object} params
+ * @param {Object} params.entry - Transaction entry
+ * @param {number} params.confidence - Parser confidence
+ * @param {string} params.accountId - Gmail account identifier
+ * @param {string} params.messageId - Gmail message ID
+ * @param {string} params.snippet - Raw email text for the reviewer
+ * @returns {Object} - Review item
+ */
+export function createReviewItem({ entry, confidence, accountId, messageId, snippet }) {
+  return {
+    ...entry,
+    reviewId: crypto.randomBytes(3).toString('hex').toUpperCase(),
+    confidence,
+    accountId,
+    messageId,
+    gmailLink: buildGmailLink(accountId, messageId),
+    snippet: (snippet || '').replace(/\s+/g, ' ').trim().substring(0, 300)
+  };
+}
+
+/**
+ * Make sure the review tab exists and has the full header row; a tab created
+ * before columns were added gets their headers
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ */
+export async function ensureReviewSheet(sheetsService, spreadsheetId) {
+  const sheetName = CONFIG.REVIEW_SHEET_NAME;
+
+  const spreadsheet = await sheetsService.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties.title'
+  });
+
+  const exists = (spreadsheet.data.sheets || []).some(sheet => sheet.properties?.title === sheetName);
+  if (exists) {
+    const response = await sheetsService.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!1:1`
+    });
+    const header = response.data.values?.[0] || [];
+    if (header.length >= REVIEW_HEADERS.length) return;
+  } else {
+    await sheetsService.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }]
+      }
+    });
+  }
+
+  await sheetsService.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${quoteSheetName(sheetName)}!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [REVIEW_HEADERS] }
+  });
+
+  logger.success(exists ? `Added the missing headers to review sheet tab: ${sheetName}` : `Created review sheet tab: ${sheetName}`);
+}
+
+/**
+ * Append items to the review queue tab
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {Array<Object>} items - Review items from createReviewItem
+ */
+export async function appendToReviewQueue(sheetsService, spreadsheetId, items) {
+  if (items.length === 0) return;
+
+  await ensureReviewSheet(sheetsService, spreadsheetId);
+
+  const queuedAt = new Date().toISOString().replace('T', ' ').substring(0, 19);
+  const rows = items.map(item => [
+    item.reviewId,
+    item.date,
+    item.amount,
+    item.category,
+    item.description,
+    item.bank,
+    item.confidence,
+    item.accountId,
+    item.messageId,
+    item.gmailLink,
+    item.snippet,
+    'pending',
+    queuedAt,
+    item.originalAmount ?? '',
+    item.originalCurrency || '',
+    item.exchangeRate ?? '',
+    item.type || '',
+    item.recipient || '',
+    item.sender || '',
+    item.referenceNumber || '',
+    item.merchant || '',
+    item.location || '',
+    item.transferLink || ''
+  ]);
+
+  await appendToSheet(sheetsService, spreadsheetId, `${quoteSheetName(CONFIG.REVIEW_SHEET_NAME)}!A1`, rows);
+  logger.success(`Queued ${items.length} transaction(s) for review`);
+}
+
+/**
+ * Read review items from the review tab
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {string} [status] - Only return items with this status (e.g. 'pending')
+ * @returns {Promise<Array<Object>>} - Review items with their sheet row number
+ */
+export async function getReviewItems(sheetsService, spreadsheetId, status = 'pending') {
+  await ensureReviewSheet(sheetsService, spreadsheetId);
+
+  const response = await sheetsService.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${quoteSheetName(CONFIG.REVIEW_SHEET_NAME)}!A:W`
+  });
+
+  const values = response.data.values || [];
+  const items = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const item = {
+      rowNumber: i + 1,
+      reviewId: row[0] || '',
+      date: row[1] || '',
+      amount: parseFloat(row[2]) || 0,
+      category: row[3] || '',
+      description: row[4] || '',
+      bank: row[5] || '',
+      confidence: parseFloat(row[6]) || 0,
+      accountId: row[7] || '',
+      messageId: row[8] || '',
+      gmailLink: row[9] || '',
+      snippet: row[10] || '',
+      status: row[11] || '',
+      originalAmount: parseFloat(row[13]) || '',
+      originalCurrency: row[14] || '',
+      exchangeRate: parseFloat(row[15]) || '',
+      type: row[16] || '',
+      recipient: row[17] || '',
+      sender: row[18] || '',
+      referenceNumber: row[19] || '',
+      merchant: row[20] || '',
+      location: row[21] || '',
+      transferLink: row[22] || ''
+    };
+
+    if (!status || item.status === status) {
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+async function findPendingItem(sheetsService, spreadsheetId, reviewId) {
+  const items = await getReviewItems(sheetsService, spreadsheetId);
+  const item = items.find(candidate => candidate.reviewId.toUpperCase() === String(reviewId).toUpperCase());
+
+  if (!item) {
+    throw new Error(`No pending review item with ID ${reviewId}`);
+  }
+
+  return item;
+}
+
+async function setReviewStatus(sheetsService, spreadsheetId, rowNumber, status) {
+  await sheetsService.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${quoteSheetName(CONFIG.REVIEW_SHEET_NAME)}!${STATUS_COLUMN}${rowNumber}`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [[status]] }
+  });
+}
+
+/**
+ * Approve a review item, optionally with edits, and write it to transaction storage
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {string} reviewId - Review ID shown in the review tab
+ * @param {Object} [edits] - Field overrides (date, amount, category, description, bank)
+ * @returns {Promise<Object>} - The transaction that was stored
+ */
+export async function approveReview(sheetsService, spreadsheetId, reviewId, edits = {}) {
+  const item = await findPendingItem(sheetsService, spreadsheetId, reviewId);
+
+  const entry = {
+    date: edits.date ?? item.date,
+    amount: edits.amount !== undefined ? parseFloat(edits.amount) : item.amount,
+    category: edits.category ?? item.category,
+    description: edits.description ?? item.description,
+    bank: edits.bank ?? item.bank,
+    // Everything else the parser found, so the main sheet row is as complete as a direct one
+    type: item.type,
+    confidence: item.confidence,
+    recipient: item.recipient,
+    sender: item.sender,
+    referenceNumber: item.referenceNumber,
+    merchant: item.merchant,
+    location: item.location,
+    originalAmount: item.originalAmount,
+    originalCurrency: item.originalCurrency,
+    exchangeRate: item.exchangeRate,
+    transferLink: item.transferLink
+  };
+
+  // A later email may have paired with this one while it waited
+  const pairedWith = getRecordedTransaction(item.accountId, item.messageId)?.transferWith;
+  if (pairedWith && !entry.transferLink) {
+    entry.category = INTERNAL_TRANSFER_CATEGORY;
+    entry.transferLink = pairedWith;
+  }
+
+  // A rupiah amount typed in for a foreign transaction sets the rate it was charged at;
+  // one queued without a rate is converted with the rate configured since, or refused
+  if (edits.amount !== undefined && item.originalAmount) {
+    entry.exchangeRate = Math.round(Math.abs(entry.amount) / item.originalAmount * 100) / 100;
+  } else if (item.originalCurrency && !item.exchangeRate) {
+    const conversion = convertToIdr(item.originalAmount, item.originalCurrency);
+    if (!conversion) {
+      throw new Error(`Review ${item.reviewId} has no exchange rate for ${item.originalCurrency}; add one or approve it with the rupiah amount`);
+    }
+    entry.amount = item.type === 'income' ? conversion.amount : -conversion.amount;
+    entry.exchangeRate = conversion.rate;
+  }
+
+  await appendTransactions([{ entry, accountId: item.accountId, messageId: item.messageId }]);
+  await setReviewStatus(sheetsService, spreadsheetId, item.rowNumber, Object.keys(edits).length > 0 ? 'edited' : 'approved');
+
+  logger.success(`Review ${item.reviewId} approved and stored`);
+  return entry;
+}
+
+/**
+ * Reject a review item so it is never written to the main sheet. When it was
+ * half of an internal transfer, the stored half gets its own category back
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {string} reviewId - Review ID shown in the review tab
+ */
+export async function rejectReview(sheetsService, spreadsheetId, reviewId) {
+  const item = await findPendingItem(sheetsService, spreadsheetId, reviewId);
+
+  const partner = unlinkTransfer(item.accountId, item.messageId);
+  if (partner) {
+    // A half that paired on arrival was recorded as a transfer and has no category of its own
+    const category = partner.category && partner.category !== INTERNAL_TRANSFER_CATEGORY ? partner.category : 'Lainnya';
+    await updateTransaction(
+      { accountId: partner.accountId, messageId: partner.messageId, entry: { date: partner.date } },
+      { category, transfer_link: '' }
+    );
+    saveLedger();
+    logger.info(`🔁 Message ${partner.messageId} is no longer an internal transfer`);
+  }
+
+  await setReviewStatus(sheetsService, spreadsheetId, item.rowNumber, 'rejected');
+  logger.success(`Review ${item.reviewId} rejected`);
+}
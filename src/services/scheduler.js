@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/constants.js';
+import { getLocalTimeParts } from '../../utils/dateUtils.js';
+import { logger } from '../../utils/logger.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const jobs = [];
+let timer = null;
+let running = false;
+
+function loadState() {
+  try {
+    if (fs.existsSync(CONFIG.SCHEDULER_STATE_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG.SCHEDULER_STATE_FILE, 'utf8'));
+    }
+  } catch (error) {
+    logger.warning(`Could not read scheduler state: ${error.message}`);
+  }
+  return {};
+}
+
+function saveState(state) {
+  fs.mkdirSync(path.dirname(CONFIG.SCHEDULER_STATE_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.SCHEDULER_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Register a job that runs at most once per local day, at or after a given time
+ * @param {Object} job
+ * @param {string} job.name - Unique job name (used to remember the last run)
+ * @param {string} job.time - Local time in HH:MM
+ * @param {Function} [job.matchesDay] - (parts) => boolean, restricts the days the job runs on
+ * @param {Function} job.run - async () => void
+ */
+export function scheduleJob(job) {
+  if (!/^\d{2}:\d{2}$/.test(job.time || '')) {
+    throw new Error(`Invalid time "${job.time}" for scheduled job ${job.name}, expected HH:MM`);
+  }
+
+  jobs.push(job);
+  logger.info(`⏰ Scheduled ${job.name} at ${job.time} (${CONFIG.TIMEZONE})`);
+}
+
+/**
+ * Check every job and run those that are due
+ * @param {Date} [now] - Current moment
+ */
+export async function runDueJobs(now = new Date()) {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const parts = getLocalTimeParts(now);
+    const state = loadState();
+
+    for (const job of jobs) {
+      const alreadyRan = state[job.name] === parts.date;
+      const dayMatches = job.matchesDay ? job.matchesDay(parts) : true;
+
+      // ">=" rather than "==" so a job missed while busy or restarting still runs later that day
+      if (alreadyRan || !dayMatches || parts.time < job.time) {
+        continue;
+      }
+
+      try {
+        logger.info(`Running scheduled job: ${job.name}`);
+        await job.run(now);
+        state[job.name] = parts.date;
+        saveState(state);
+      } catch (error) {
+        logger.error(`Scheduled job ${job.name} failed:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start checking scheduled jobs every minute
+ */
+export function startScheduler() {
+  if (timer || jobs.length === 0) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    runDueJobs();
+  }, CHECK_INTERVAL_MS);
+
+  runDueJobs();
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info('⏹️  Scheduler stopped');
+  }
+}
@@ -1,5 +1,109 @@
-import { CONFIG } from '../../config/constants.js';
+import { CONFIG, SHEET_COLUMN_NAMES } from '../../config/constants.js';
 import { logger } from '../../utils/logger.js';
+import { getLocalDate } from '../../utils/dateUtils.js';
+
+/**
+ * Format a moment as the sheet's "YYYY-MM-DD HH:MM:SS" timestamp
+ * @param {Date} [date] - Moment to format
+ * @returns {string} - Timestamp
+ */
+export function formatTimestamp(date = new Date()) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Header, accepted aliases and value of every column the main sheet can hold
+// (keys match SHEET_COLUMN_NAMES). Aliases let people rename or translate headers.
+const SHEET_COLUMN_DEFINITIONS = {
+  date: { header: 'Date', aliases: ['tanggal', 'tgl'], value: (data, now) => data.date || now.toISOString().split('T')[0] },
+  amount: { header: 'Amount', aliases: ['jumlah', 'nominal'], value: data => data.amount || 0 },
+  category: { header: 'Category', aliases: ['kategori'], value: data => data.category || 'Lainnya' },
+  description: { header: 'Description', aliases: ['deskripsi', 'keterangan'], value: data => data.description || '' },
+  bank: { header: 'Bank', aliases: ['rekening', 'akun bank'], value: data => data.bank || '' },
+  timestamp: { header: 'Timestamp', aliases: ['waktu', 'dicatat'], value: (data, now) => data.timestamp || formatTimestamp(now) },
+  transaction_type: { header: 'Type', aliases: ['transaction type', 'jenis', 'tipe'], value: data => data.type || '' },
+  confidence: { header: 'Confidence', aliases: ['keyakinan'], value: data => data.confidence ?? '' },
+  recipient: { header: 'Recipient', aliases: ['penerima'], value: data => data.recipient || '' },
+  sender: { header: 'Sender', aliases: ['pengirim'], value: data => data.sender || '' },
+  reference_number: { header: 'Reference Number', aliases: ['reference', 'ref', 'no referensi'], value: data => data.referenceNumber || '' },
+  merchant: { header: 'Merchant', aliases: [], value: data => data.merchant || '' },
+  location: { header: 'Location', aliases: ['lokasi'], value: data => data.location || '' },
+  account: { header: 'Account', aliases: ['akun', 'gmail account'], value: data => data.accountId || '' },
+  message_id: { header: 'Message ID', aliases: ['gmail message id', 'gmail id'], value: data => data.messageId || '' },
+  transfer_link: { header: 'Transfer Link', aliases: ['linked message id', 'pasangan transfer'], value: data => data.transferLink || '' },
+  original_amount: { header: 'Original Amount', aliases: ['jumlah asli', 'nominal asli'], value: data => data.originalAmount ?? '' },
+  original_currency: { header: 'Original Currency', aliases: ['currency', 'mata uang', 'valuta'], value: data => data.originalCurrency || '' },
+  exchange_rate: { header: 'Exchange Rate', aliases: ['kurs', 'rate'], value: data => data.exchangeRate ?? '' }
+};
+
+// Columns the rest of the app reads; a sheet without them cannot be used
+const REQUIRED_COLUMNS = SHEET_COLUMN_NAMES.slice(0, 6);
+
+// Tabs created by SHEET_TAB_MODE=monthly
+const MONTHLY_TAB_PATTERN = /^\d{4}-\d{2}$/;
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Work out which column key a header cell refers to
+ * @param {string} header - Header text as it appears in the sheet
+ * @returns {string|null} - Column key, or null for columns we do not know
+ */
+export function resolveColumnKey(header) {
+  const normalized = normalizeHeader(header);
+  if (!normalized) {
+    return null;
+  }
+
+  const match = Object.entries(SHEET_COLUMN_DEFINITIONS).find(([key, definition]) =>
+    [key, definition.header, ...definition.aliases].some(name => normalizeHeader(name) === normalized)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Map a header row to column keys and check it can be used
+ * @param {Array<string>} headerRow - First row of a transactions tab
+ * @param {string} [sheetName] - Tab the header comes from (for error messages)
+ * @returns {Array<string|null>} - Column key per position (null for unknown columns)
+ */
+export function mapHeaderRow(headerRow, sheetName = getMainSheetName()) {
+  const columns = headerRow.map(resolveColumnKey);
+
+  const duplicated = columns.filter((key, index) => key && columns.indexOf(key) !== index);
+  if (duplicated.length > 0) {
+    throw new Error(`Sheet ${sheetName} has more than one column for: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  const missing = REQUIRED_COLUMNS.filter(key => !columns.includes(key));
+  if (missing.length > 0) {
+    throw new Error(`Sheet ${sheetName} is missing required columns: ${missing.join(', ')} (header: ${headerRow.join(', ')})`);
+  }
+
+  return columns;
+}
+
+/**
+ * Get the configured main sheet columns (CONFIG.SHEET_COLUMNS, or all of them)
+ * @returns {Array<string>} - Column keys in sheet order
+ */
+export function getSheetColumns() {
+  return CONFIG.SHEET_COLUMNS.length > 0 ? CONFIG.SHEET_COLUMNS : SHEET_COLUMN_NAMES;
+}
+
+/**
+ * Convert a 0-based column index to its A1 letter (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} - Column letter(s)
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
 
 /**
  * Append data rows to a Google Sheet
@@ -43,114 +147,310 @@ export async function appendToSheet(sheetsService, spreadsheetId, sheetRange, da
 }
 
 /**
- * Retrieve existing data from Google Sheet to check for duplicates
+ * Retrieve existing data from Google Sheet to check for duplicates.
+ * Columns are matched by their header (see resolveColumnKey), so they may be
+ * reordered in the sheet; a header without the required columns throws.
  * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
  * @param {string} spreadsheetId - ID of the target spreadsheet
- * @param {string} sheetRange - Range to retrieve data from (e.g., 'Sheet1!A:F')
+ * @param {string} sheetRange - Range to retrieve data from, including the header row (e.g., 'Sheet1')
  * @returns {Promise<Array>} - List of existing rows as dictionaries
  */
 export async function getExistingData(sheetsService, spreadsheetId, sheetRange) {
+  let values;
   try {
     const response = await sheetsService.spreadsheets.values.get({
       spreadsheetId,
       range: sheetRange
     });
     
-    const values = response.data.values || [];
-    
-    if (values.length <= 1) {
-      logger.info('Sheet is empty or contains only header row');
-      return [];
-    }
-    
-    // Match the new column structure: Date, Amount, Category, Description, Bank, Timestamp
-    const headers = ['date', 'amount', 'category', 'description', 'bank', 'timestamp'];
-    const existingData = [];
-    
-    // Skip header row
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      // Handle case where row might be shorter than headers
-      const paddedRow = [...row];
-      while (paddedRow.length < headers.length) {
-        paddedRow.push('');
-      }
-      
-      const entry = {};
-      headers.forEach((header, index) => {
-        entry[header] = paddedRow[index] || '';
-      });
-      
-      existingData.push(entry);
-    }
-    
-    logger.success(`Retrieved ${existingData.length} existing entries from the sheet`);
-    return existingData;
-    
+    values = response.data.values || [];
   } catch (error) {
     logger.error('Error retrieving existing data from sheet:', error.message);
     return [];
   }
-}
-
-/**
- * Check if a new entry already exists in the sheet
- * @param {Object} newEntry - Dictionary containing the new transaction data
- * @param {Array} existingEntries - List of dictionaries containing existing data
- * @returns {boolean} - Boolean indicating whether the entry is a duplicate
- */
-export function isDuplicate(newEntry, existingEntries) {
-  // Define fields that uniquely identify a transaction
-  const keyFields = ['date', 'amount', 'category', 'description', 'bank'];
   
-  for (const existing of existingEntries) {
-    // Check if all key fields match (case insensitive)
-    let match = true;
+  if (values.length <= 1) {
+    logger.info('Sheet is empty or contains only header row');
+    return [];
+  }
+  
+  // Outside the try: a broken layout must not look like an empty sheet
+  const columns = mapHeaderRow(values[0], sheetRange.split('!')[0]);
+  const existingData = [];
+  
+  // Skip header row
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const entry = { rowNumber: i + 1 };
     
-    for (const field of keyFields) {
-      const newVal = String(newEntry[field] || '').toLowerCase().trim();
-      const existingVal = String(existing[field] || '').toLowerCase().trim();
-      
-      if (newVal !== existingVal) {
-        match = false;
-        break;
+    columns.forEach((key, index) => {
+      if (key) {
+        entry[key] = row[index] ?? '';
       }
-    }
+    });
     
-    if (match) {
-      return true;
-    }
+    existingData.push(entry);
   }
   
-  return false;
+  logger.success(`Retrieved ${existingData.length} existing entries from the sheet`);
+  return existingData;
 }
 
 /**
  * Create a formatted data row for Google Sheets
- * @param {Object} transactionData - Parsed transaction data
- * @param {string} userId - User ID for the processor
+ * @param {Object} transactionData - Transaction entry, optionally with accountId, messageId and timestamp
+ * @param {Array<string|null>} [columns] - Column key per position (defaults to the configured schema);
+ *   null leaves the cell empty
  * @returns {Array} - Formatted row for Google Sheets
  */
-export function createDataRow(transactionData) {
+export function createDataRow(transactionData, columns = getSheetColumns()) {
   const now = new Date();
-  const timestamp = now.toISOString().replace('T', ' ').substring(0, 19);
-  
-  return [
-    transactionData.date || now.toISOString().split('T')[0],
-    transactionData.amount || 0,
-    transactionData.category || 'Lainnya',
-    transactionData.description || '',
-    transactionData.bank || '',
-    timestamp
-  ];
+  return columns.map(column => column ? SHEET_COLUMN_DEFINITIONS[column].value(transactionData, now) : '');
 }
 
 /**
  * Get the header row for the spreadsheet
+ * @param {Array<string>} [columns] - Column keys (defaults to the configured schema)
  * @returns {Array} - Header row
  */
-export function getHeaderRow() {
-  return ['Date', 'Amount', 'Category', 'Description', 'Bank', 'Timestamp'];
+export function getHeaderRow(columns = getSheetColumns()) {
+  return columns.map(column => SHEET_COLUMN_DEFINITIONS[column].header);
+}
+
+/**
+ * Get the name of the main transactions tab from CONFIG.SHEET_RANGE
+ * @returns {string} - Sheet tab name (e.g. 'Sheet1')
+ */
+export function getMainSheetName() {
+  return CONFIG.SHEET_RANGE.split('!')[0];
+}
+
+/**
+ * Quote a tab name for use in an A1 range when it needs it ('2026-10', 'My Sheet')
+ * @param {string} sheetName - Tab name
+ * @returns {string} - Name safe to put before '!'
+ */
+export function quoteSheetName(sheetName) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Get the tab a transaction belongs in: its month (YYYY-MM) with
+ * SHEET_TAB_MODE=monthly, otherwise the main tab
+ * @param {string} [date] - Transaction date in YYYY-MM-DD format (defaults to today)
+ * @returns {string} - Tab name
+ */
+export function getTransactionSheetName(date) {
+  if (CONFIG.SHEET_TAB_MODE !== 'monthly') {
+    return getMainSheetName();
+  }
+  return (date || getLocalDate()).substring(0, 7);
+}
+
+/**
+ * List the spreadsheet's tabs
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @returns {Promise<Array<Object>>} - Tab properties ({ sheetId, title })
+ */
+export async function getSheetTabs(sheetsService, spreadsheetId) {
+  const spreadsheet = await sheetsService.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  });
+  return (spreadsheet.data.sheets || []).map(sheet => sheet.properties);
+}
+
+/**
+ * Create a tab unless it already exists
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {string} sheetName - Tab name
+ * @returns {Promise<boolean>} - True if the tab was created
+ */
+export async function ensureSheetTab(sheetsService, spreadsheetId, sheetName) {
+  const tabs = await getSheetTabs(sheetsService, spreadsheetId);
+  if (tabs.some(tab => tab.title === sheetName)) {
+    return false;
+  }
+
+  await sheetsService.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title: sheetName } } }]
+    }
+  });
+
+  logger.success(`Created sheet tab: ${sheetName}`);
+  return true;
+}
+
+/**
+ * Read a transactions tab's header, check it, and add configured columns it lacks.
+ * Columns are found by header name, so a reordered sheet keeps working; when
+ * CONFIG.SHEET_AUTO_REPAIR is off, a header missing configured columns throws.
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {string} [sheetName] - Tab to check (defaults to the main tab)
+ * @returns {Promise<Object>} - { columns: column key per position (null if unknown), empty }
+ */
+export async function ensureSheetLayout(sheetsService, spreadsheetId, sheetName = getMainSheetName()) {
+  const response = await sheetsService.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${quoteSheetName(sheetName)}!1:1`
+  });
+
+  const headerRow = (response.data.values?.[0] || []).map(header => String(header).trim());
+
+  // An empty sheet gets the full header with its first rows
+  if (headerRow.length === 0) {
+    return { columns: getSheetColumns(), empty: true };
+  }
+
+  const columns = mapHeaderRow(headerRow, sheetName);
+  const missing = getSheetColumns().filter(key => !columns.includes(key));
+
+  if (missing.length > 0) {
+    if (!CONFIG.SHEET_AUTO_REPAIR) {
+      throw new Error(`Sheet ${sheetName} is missing columns from SHEET_COLUMNS: ${missing.join(', ')} (set SHEET_AUTO_REPAIR=true to add them)`);
+    }
+
+    // New headers go after the last column so existing data stays where it is
+    await sheetsService.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!${columnLetter(headerRow.length)}1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [getHeaderRow(missing)] }
+    });
+
+    columns.push(...missing);
+    logger.success(`Added missing columns to ${sheetName}: ${getHeaderRow(missing).join(', ')}`);
+  }
+
+  return { columns, empty: false };
+}
+
+/**
+ * Append transactions to their tab (see getTransactionSheetName), following
+ * each tab's own column order. Monthly tabs are created when first needed.
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {Array<Object>} transactions - Entries for createDataRow
+ */
+export async function appendTransactionRows(sheetsService, spreadsheetId, transactions) {
+  const byTab = new Map();
+  for (const transaction of transactions) {
+    const sheetName = getTransactionSheetName(transaction.date);
+    byTab.set(sheetName, [...(byTab.get(sheetName) || []), transaction]);
+  }
+
+  for (const [sheetName, tabTransactions] of byTab) {
+    if (CONFIG.SHEET_TAB_MODE === 'monthly') {
+      await ensureSheetTab(sheetsService, spreadsheetId, sheetName);
+    }
+
+    const layout = await ensureSheetLayout(sheetsService, spreadsheetId, sheetName);
+    const rows = tabTransactions.map(transaction => createDataRow(transaction, layout.columns));
+
+    if (layout.empty) {
+      rows.unshift(getHeaderRow(layout.columns));
+    }
+
+    await appendToSheet(sheetsService, spreadsheetId, `${quoteSheetName(sheetName)}!A1`, rows);
+  }
+}
+
+/**
+ * Read transactions from every transactions tab: the main tab, plus the
+ * monthly tabs with SHEET_TAB_MODE=monthly (oldest first)
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {Object} [options]
+ * @param {string} [options.since] - Skip monthly tabs before this date's month (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} - Entries with rowNumber and sheetName
+ */
+export async function getAllTransactions(sheetsService, spreadsheetId, { since } = {}) {
+  let sheetNames = [getMainSheetName()];
+
+  if (CONFIG.SHEET_TAB_MODE === 'monthly') {
+    const titles = (await getSheetTabs(sheetsService, spreadsheetId)).map(tab => tab.title);
+    const months = titles
+      .filter(title => MONTHLY_TAB_PATTERN.test(title) && (!since || title >= since.substring(0, 7)))
+      .sort();
+    // Rows written before switching to monthly tabs stay in the main tab
+    sheetNames = [...sheetNames.filter(name => titles.includes(name)), ...months];
+  }
+
+  const entries = [];
+  for (const sheetName of sheetNames) {
+    const tabEntries = await getExistingData(sheetsService, spreadsheetId, quoteSheetName(sheetName));
+    entries.push(...tabEntries.map(entry => ({ ...entry, sheetName })));
+  }
+
+  return entries;
+}
+
+/**
+ * Update one field of a transaction row
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {number} rowNumber - 1-based sheet row number
+ * @param {string} field - Column key (e.g. 'category')
+ * @param {*} value - New cell value
+ * @param {string} [sheetName] - Tab holding the row (defaults to the main tab)
+ */
+export async function updateTransactionField(sheetsService, spreadsheetId, rowNumber, field, value, sheetName = getMainSheetName()) {
+  const { columns } = await ensureSheetLayout(sheetsService, spreadsheetId, sheetName);
+  const columnIndex = columns.indexOf(field.toLowerCase());
+  if (columnIndex < 0) {
+    throw new Error(`Unknown transaction field: ${field}`);
+  }
+
+  const column = columnLetter(columnIndex);
+  await sheetsService.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${quoteSheetName(sheetName)}!${column}${rowNumber}`,
+    valueInputOption: 'USER_ENTERED',
+    requestBody: { values: [[value]] }
+  });
+
+  logger.success(`Updated ${field} of row ${rowNumber}`);
+}
+
+/**
+ * Delete a transaction row (rows below shift up)
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @param {number} rowNumber - 1-based sheet row number
+ * @param {string} [sheetName] - Tab holding the row (defaults to the main tab)
+ */
+export async function deleteTransactionRow(sheetsService, spreadsheetId, rowNumber, sheetName = getMainSheetName()) {
+  if (rowNumber < 2) {
+    throw new Error('The header row cannot be deleted');
+  }
+
+  const tab = (await getSheetTabs(sheetsService, spreadsheetId)).find(candidate => candidate.title === sheetName);
+  if (!tab) {
+    throw new Error(`Sheet tab not found: ${sheetName}`);
+  }
+
+  await sheetsService.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        deleteDimension: {
+          range: {
+            sheetId: tab.sheetId,
+            dimension: 'ROWS',
+            startIndex: rowNumber - 1,
+            endIndex: rowNumber
+          }
+        }
+      }]
+    }
+  });
+
+  logger.success(`Deleted row ${rowNumber} from ${sheetName}`);
 }
 
 /**
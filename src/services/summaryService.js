@@ -0,0 +1,167 @@
+import { CONFIG, INTERNAL_TRANSFER_CATEGORY } from '../../config/constants.js';
+import { getBankAccount } from '../../config/bankAccounts.js';
+import { logger } from '../../utils/logger.js';
+import { getTransactions } from '../storage/index.js';
+import { ensureSheetTab, quoteSheetName, formatTimestamp } from './sheetsService.js';
+
+let pendingRefresh = null;
+
+function addTo(group, key, amount) {
+  group[key] = (group[key] || 0) + amount;
+}
+
+/**
+ * Build the summary tab: net amount per category and month, then income,
+ * expenses and net per bank owner, and the totals of foreign-currency
+ * transactions per currency. Amounts keep the sheet's sign
+ * (income positive, expenses negative); internal transfers are left out.
+ * @param {Array<Object>} entries - Stored transactions
+ * @param {string} [updatedAt] - Timestamp shown at the bottom
+ * @returns {Array<Array>} - Rows to write from A1
+ */
+export function buildSummaryRows(entries, updatedAt = formatTimestamp()) {
+  const byCategory = {};
+  const byOwner = {};
+  const byCurrency = {};
+  const monthSet = new Set();
+
+  for (const entry of entries) {
+    const amount = parseFloat(entry.amount);
+    if (!entry.date || !Number.isFinite(amount) || entry.category === INTERNAL_TRANSFER_CATEGORY) continue;
+
+    const month = String(entry.date).substring(0, 7);
+    const category = entry.category || 'Lainnya';
+    const owner = getBankAccount(entry.bank)?.owner || 'Lainnya';
+
+    monthSet.add(month);
+    byCategory[category] = byCategory[category] || {};
+    addTo(byCategory[category], month, amount);
+
+    byOwner[owner] = byOwner[owner] || { income: 0, expense: 0 };
+    if (amount >= 0) {
+      byOwner[owner].income += amount;
+    } else {
+      byOwner[owner].expense += Math.abs(amount);
+    }
+
+    const original = parseFloat(entry.original_amount);
+    if (entry.original_currency && entry.original_currency !== 'IDR' && Number.isFinite(original)) {
+      byCurrency[entry.original_currency] = byCurrency[entry.original_currency] || { original: 0, idr: 0, count: 0 };
+      byCurrency[entry.original_currency].original += original * Math.sign(amount || 1);
+      byCurrency[entry.original_currency].idr += amount;
+      byCurrency[entry.original_currency].count++;
+    }
+  }
+
+  const months = [...monthSet].sort();
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  const categoryRows = Object.entries(byCategory)
+    .map(([category, totals]) => {
+      const values = months.map(month => totals[month] || 0);
+      return [category, ...values, sum(values)];
+    })
+    .sort((a, b) => Math.abs(b[b.length - 1]) - Math.abs(a[a.length - 1]) || a[0].localeCompare(b[0]));
+
+  const monthTotals = months.map((_, index) => sum(categoryRows.map(row => row[index + 1])));
+
+  const ownerRows = Object.entries(byOwner)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([owner, totals]) => [owner, totals.income, -totals.expense, totals.income - totals.expense]);
+
+  const currencyRows = Object.keys(byCurrency).length > 0
+    ? [
+      ['Currency', 'Original', 'IDR', 'Transactions'],
+      ...Object.entries(byCurrency)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([currency, totals]) => [currency, Math.round(totals.original * 100) / 100, totals.idr, totals.count]),
+      []
+    ]
+    : [];
+
+  return [
+    ['Category', ...months, 'Total'],
+    ...categoryRows,
+    ['Total', ...monthTotals, sum(monthTotals)],
+    [],
+    ['Owner', 'Income', 'Expense', 'Net'],
+    ...ownerRows,
+    [],
+    ...currencyRows,
+    ['Updated', updatedAt]
+  ];
+}
+
+/**
+ * Rewrite the summary tab (CONFIG.SUMMARY_SHEET_NAME) from stored transactions,
+ * creating the tab when needed. Failures are logged, never thrown.
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @returns {Promise<boolean>} - True if the tab was updated
+ */
+export async function refreshSummarySheet(sheetsService, spreadsheetId) {
+  const sheetName = CONFIG.SUMMARY_SHEET_NAME;
+  if (!sheetName || !sheetsService) {
+    return false;
+  }
+
+  try {
+    const rows = buildSummaryRows(await getTransactions());
+
+    await ensureSheetTab(sheetsService, spreadsheetId, sheetName);
+    await sheetsService.spreadsheets.values.clear({
+      spreadsheetId,
+      range: quoteSheetName(sheetName)
+    });
+    await sheetsService.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: rows }
+    });
+
+    logger.success(`Updated ${sheetName} tab`);
+    return true;
+  } catch (error) {
+    logger.warning(`Could not update the ${sheetName} tab: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Rebuild the summary tab once SUMMARY_REFRESH_DELAY_SECONDS after the first
+ * change; further changes in that window share the same rebuild, so a busy
+ * cycle or a run of WhatsApp entries reads storage once
+ * @param {sheets_v4.Sheets} sheetsService - Authenticated Sheets service
+ * @param {string} spreadsheetId - ID of the target spreadsheet
+ * @returns {boolean} - True if a rebuild is pending
+ */
+export function scheduleSummaryRefresh(sheetsService, spreadsheetId) {
+  if (!CONFIG.SUMMARY_SHEET_NAME || !sheetsService) {
+    return false;
+  }
+
+  if (!pendingRefresh) {
+    const run = () => {
+      clearTimeout(pendingRefresh.timer);
+      pendingRefresh = null;
+      return refreshSummarySheet(sheetsService, spreadsheetId);
+    };
+    pendingRefresh = { run, timer: setTimeout(run, CONFIG.SUMMARY_REFRESH_DELAY_SECONDS * 1000) };
+    // Shutdown flushes a pending rebuild instead of waiting for it
+    pendingRefresh.timer.unref();
+  }
+  return true;
+}
+
+/**
+ * Run a scheduled rebuild of the summary tab now
+ * @returns {Promise<boolean>} - True if a rebuild was pending
+ */
+export async function flushSummaryRefresh() {
+  if (!pendingRefresh) {
+    return false;
+  }
+  await pendingRefresh.run();
+  return true;
+}
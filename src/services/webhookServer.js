@@ -0,0 +1,115 @@
+import http from 'http';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const routes = new Map();
+let server = null;
+
+/**
+ * Register a POST handler for a webhook path
+ * @param {string} path - URL path (e.g. '/webhooks/waha')
+ * @param {Function} handler - async ({ body, rawBody, headers, query }) => response object or undefined
+ */
+export function registerWebhookRoute(path, handler) {
+  routes.set(path, handler);
+  logger.debug(`Registered webhook route: POST ${path}`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+async function handleRequest(req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && pathname === '/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  const handler = routes.get(pathname);
+  if (!handler) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const rawBody = await readBody(req);
+    let body = null;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid JSON body' });
+      return;
+    }
+
+    const result = await handler({ body, rawBody, headers: req.headers, query: Object.fromEntries(searchParams) });
+    sendJson(res, result?.status || 200, result?.body || { ok: true });
+  } catch (error) {
+    logger.error(`Webhook ${pathname} failed:`, error.message);
+    sendJson(res, error.statusCode || 500, { error: error.message });
+  }
+}
+
+/**
+ * Start the shared webhook HTTP server
+ * @param {number} [port] - Port to listen on
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export async function startWebhookServer(port = CONFIG.WEBHOOK_PORT) {
+  if (server) {
+    return server;
+  }
+
+  server = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, CONFIG.WEBHOOK_HOST, resolve);
+  });
+
+  logger.success(`Webhook server listening on http://${CONFIG.WEBHOOK_HOST}:${server.address().port}`);
+  return server;
+}
+
+/**
+ * Stop the webhook server
+ */
+export async function stopWebhookServer() {
+  if (!server) {
+    return;
+  }
+
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+  logger.info('Webhook server stopped');
+}
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { CONFIG } from '../../config/constants.js';
 import { logger } from '../../utils/logger.js';
 
@@ -50,16 +51,27 @@ async function ensureSessionStarted(client) {
   const sessionName = CONFIG.WAHA_SESSION_NAME;
 
   try {
-    const { data } = await client.post('/api/sessions/start', {
-      name: sessionName,
-      config: {
-        noweb: {
-          store: {
-            enabled: true,
-            fullSync: false
-          }
+    const sessionConfig = {
+      noweb: {
+        store: {
+          enabled: true,
+          fullSync: false
         }
       }
+    };
+
+    // Let WAHA push incoming messages to our webhook server for bot commands
+    if (CONFIG.WAHA_WEBHOOK_URL) {
+      sessionConfig.webhooks = [{
+        url: CONFIG.WAHA_WEBHOOK_URL,
+        events: ['message'],
+        ...(CONFIG.WAHA_WEBHOOK_SECRET ? { hmac: { key: CONFIG.WAHA_WEBHOOK_SECRET } } : {})
+      }];
+    }
+
+    const { data } = await client.post('/api/sessions/start', {
+      name: sessionName,
+      config: sessionConfig
     });
 
     logger.success(`WAHA session '${sessionName}' started`);
@@ -170,6 +182,15 @@ function buildNotificationTargets() {
   return targets;
 }
 
+function normalizeGroupId(groupId) {
+  const trimmed = (groupId || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  return trimmed.endsWith('@g.us') ? trimmed : `${trimmed}@g.us`;
+}
+
 function buildBatchTargets() {
   const targets = [];
 
@@ -202,6 +223,90 @@ function buildBatchTargets() {
   return targets;
 }
 
+/**
+ * Verify the HMAC-SHA512 signature WAHA attaches to webhook requests
+ * @param {string} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} - True if valid; always false without WAHA_WEBHOOK_SECRET
+ */
+export function verifyWAHAWebhookSignature(rawBody, headers = {}) {
+  if (!CONFIG.WAHA_WEBHOOK_SECRET) {
+    return false;
+  }
+
+  const signature = headers['x-webhook-hmac'];
+  if (!signature) {
+    return false;
+  }
+
+  // The algorithm header comes from the caller, so it is never trusted
+  const expected = crypto.createHmac('sha512', CONFIG.WAHA_WEBHOOK_SECRET).update(rawBody).digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Extract an incoming text message from a WAHA webhook event
+ * @param {Object} event - WAHA webhook body
+ * @returns {Object|null} - { id, chatId, sender, text, fromMe } or null for other events
+ */
+export function parseWAHAMessageEvent(event) {
+  if (!event || event.event !== 'message' || !event.payload) {
+    return null;
+  }
+
+  if (event.session && event.session !== CONFIG.WAHA_SESSION_NAME) {
+    return null;
+  }
+
+  const { id, from, participant, author, body, fromMe } = event.payload;
+  if (typeof body !== 'string' || !body.trim()) {
+    return null;
+  }
+
+  return {
+    id,
+    chatId: from,
+    sender: participant || author || from,
+    text: body.trim(),
+    fromMe: Boolean(fromMe)
+  };
+}
+
+/**
+ * Check whether a chat is allowed to send bot commands
+ * (the configured group, or a direct chat with a configured number)
+ * @param {string} chatId - WAHA chat ID
+ * @returns {boolean} - True if the chat is authorized
+ */
+export function isAuthorizedChat(chatId) {
+  const groupId = normalizeGroupId(CONFIG.WHATSAPP_GROUP_ID);
+  if (groupId && chatId === groupId) {
+    return true;
+  }
+
+  return CONFIG.WHATSAPP_PHONE_NUMBERS
+    .map(formatPhoneNumber)
+    .filter(Boolean)
+    .some(number => chatId === `${number}@c.us`);
+}
+
+/**
+ * Send a plain reply to a chat
+ * @param {string} chatId - WAHA chat ID
+ * @param {string} text - Message text
+ */
+export async function sendWhatsAppReply(chatId, text) {
+  try {
+    await sendWAHAMessage(chatId, text);
+    logger.debug(`WhatsApp reply sent to ${chatId}`);
+  } catch (error) {
+    logger.error(`Failed to send WhatsApp reply: ${error.message}`);
+  }
+}
+
 /**
  * Initialize WAHA WhatsApp session
  * @returns {Promise<object|null>} - WAHA session status information
@@ -328,6 +433,85 @@ export async function sendBatchWhatsAppNotification(transactionCount, accountId)
   }
 }
 
+/**
+ * Send a WhatsApp prompt asking to review a low-confidence transaction
+ * @param {Object} item - Review item from the review queue
+ * @param {string} accountId - Gmail account identifier
+ */
+export async function sendReviewWhatsAppNotification(item, accountId) {
+  if (!CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
+    logger.debug('WhatsApp notifications are disabled');
+    return;
+  }
+
+  try {
+    await initializeWhatsApp();
+
+    const message = formatReviewMessage(item, accountId);
+    const targets = buildNotificationTargets();
+
+    if (targets.length === 0) {
+      logger.warning('No valid WhatsApp targets for review prompt');
+      return;
+    }
+
+    for (const target of targets) {
+      try {
+        await sendWAHAMessage(target.chatId, message);
+        logger.success(`Review prompt sent to ${target.displayName} (${target.chatId})`);
+      } catch (error) {
+        logger.error(`Failed to send review prompt to ${target.displayName}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error sending review prompt: ${error.message}`);
+  }
+}
+
+/**
+ * Send a message to the group (or the configured numbers when no group is set)
+ * @param {string} message - Message text
+ * @param {string} label - What is being sent, for logging
+ */
+export async function sendWhatsAppBroadcast(message, label = 'message') {
+  if (!CONFIG.ENABLE_WHATSAPP_NOTIFICATIONS) {
+    logger.debug('WhatsApp notifications are disabled');
+    return;
+  }
+
+  await initializeWhatsApp();
+
+  const targets = buildBatchTargets();
+  if (targets.length === 0) {
+    logger.warning(`No valid recipients for ${label}`);
+    return;
+  }
+
+  for (const target of targets) {
+    try {
+      await sendWAHAMessage(target.chatId, message);
+      logger.success(`WhatsApp ${label} sent to ${target.type} (${target.chatId})`);
+    } catch (error) {
+      logger.error(`Failed to send WhatsApp ${label} to ${target.displayName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Show a foreign original next to its rupiah amount, e.g. " (USD 12,99, kurs 16.204)"
+ * @param {Object} transaction - Transaction or review item
+ * @returns {string} - Suffix for the amount line, empty for rupiah transactions
+ */
+function formatOriginalAmount(transaction) {
+  if (!transaction.originalCurrency || !transaction.originalAmount) return '';
+
+  const original = Number(transaction.originalAmount).toLocaleString('id-ID', { maximumFractionDigits: 2 });
+  const rate = transaction.exchangeRate
+    ? `, kurs ${Number(transaction.exchangeRate).toLocaleString('id-ID', { maximumFractionDigits: 2 })}`
+    : ', kurs belum ada';
+  return ` (${transaction.originalCurrency} ${original}${rate})`;
+}
+
 /**
  * Format a single transaction message
  * @param {Object} transaction - Transaction data
@@ -338,8 +522,27 @@ function formatTransactionMessage(transaction, accountId) {
   const emoji = transaction.amount >= 0 ? '💰' : '💸';
   const type = transaction.amount >= 0 ? 'PEMASUKAN' : 'PENGELUARAN';
   const amount = Math.abs(transaction.amount).toLocaleString('id-ID');
+  const duplicateNote = transaction.possibleDuplicate
+    ? '\n\n⚠️ _Kemungkinan duplikat: ada transaksi dengan jumlah dan bank yang sama dalam waktu berdekatan_'
+    : '';
 
-  return `${emoji} *TRANSAKSI BARU*\n\n📧 *Akun:* ${accountId}\n🏦 *Bank:* ${transaction.bank || 'Tidak diketahui'}\n📊 *Jenis:* ${type}\n💵 *Jumlah:* Rp ${amount}\n🏷️ *Kategori:* ${transaction.category}\n📝 *Deskripsi:* ${transaction.description}\n📅 *Tanggal:* ${transaction.date}\n\n_Diproses otomatis dari email_`;
+  return `${emoji} *TRANSAKSI BARU*\n\n📧 *Akun:* ${accountId}\n🏦 *Bank:* ${transaction.bank || 'Tidak diketahui'}\n📊 *Jenis:* ${type}\n💵 *Jumlah:* Rp ${amount}${formatOriginalAmount(transaction)}\n🏷️ *Kategori:* ${transaction.category}\n📝 *Deskripsi:* ${transaction.description}\n📅 *Tanggal:* ${transaction.date}${duplicateNote}\n\n_Diproses otomatis dari email_`;
+}
+
+/**
+ * Format a review prompt message
+ * @param {Object} item - Review item
+ * @param {string} accountId - Gmail account identifier
+ * @returns {string} - Formatted message
+ */
+function formatReviewMessage(item, accountId) {
+  const amount = Math.abs(item.amount || 0).toLocaleString('id-ID');
+  const type = item.amount >= 0 ? 'PEMASUKAN' : 'PENGELUARAN';
+  const approveHint = CONFIG.ENABLE_WHATSAPP_COMMANDS
+    ? `balas *setuju ${item.reviewId}* atau *tolak ${item.reviewId}*`
+    : `setujui dengan \`npm run review -- approve ${item.reviewId}\``;
+
+  return `🔎 *PERLU DITINJAU* (keyakinan ${item.confidence}%)\n\n🆔 *ID:* ${item.reviewId}\n📧 *Akun:* ${accountId}\n🏦 *Bank:* ${item.bank || 'Tidak diketahui'}\n📊 *Jenis:* ${type}\n💵 *Jumlah:* Rp ${amount}${formatOriginalAmount(item)}\n🏷️ *Kategori:* ${item.category}\n📝 *Deskripsi:* ${item.description}\n📅 *Tanggal:* ${item.date}\n\n📨 ${item.gmailLink}\n\nTransaksi ini belum masuk ke spreadsheet utama. Periksa tab *${CONFIG.REVIEW_SHEET_NAME}* lalu ${approveHint}.`;
 }
 
 /**
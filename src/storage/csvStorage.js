@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { createDataRow, getHeaderRow } from '../services/sheetsService.js';
+import { CONFIG } from '../../config/constants.js';
+
+// Fixed layout so existing files stay readable whatever SHEET_COLUMNS says;
+// new columns only ever go at the end
+const CSV_COLUMNS = [
+  'date', 'amount', 'category', 'description', 'bank', 'timestamp', 'account', 'message_id',
+  'original_amount', 'original_currency', 'exchange_rate'
+];
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe value
+ */
+export function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Create the CSV storage backend (appends; rewrites the file only to update a row)
+ * @param {string} [file] - CSV file (defaults to CONFIG.CSV_FILE)
+ * @returns {Object} - Storage backend
+ */
+export function createCsvStorage(file = CONFIG.CSV_FILE) {
+  // A file written before columns were added gets the full header row
+  function fullHeader(header) {
+    return !header || header.length < CSV_COLUMNS.length ? getHeaderRow(CSV_COLUMNS) : header;
+  }
+
+  function writeRows(rows) {
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, `${rows.map(row => row.map(escapeCsvValue).join(',')).join('\n')}\n`);
+    fs.renameSync(tempFile, file);
+  }
+
+  // Replace (or with null, drop) the rows of a message and rewrite the file atomically
+  function rewriteRows(messageId, change) {
+    if (!messageId || !fs.existsSync(file)) {
+      return 0;
+    }
+
+    const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+    const messageIndex = CSV_COLUMNS.indexOf('message_id');
+    let changed = 0;
+
+    const kept = rows.flatMap(row => {
+      if (row[messageIndex] !== messageId) return [row];
+      changed++;
+      const result = change(row);
+      return result ? [result] : [];
+    });
+
+    if (changed > 0) {
+      writeRows([fullHeader(header), ...kept]);
+    }
+    return changed;
+  }
+
+  return {
+    name: 'csv',
+
+    /**
+     * Append transactions, writing the header when the file is new or older than the columns
+     * @param {Array<Object>} records - { entry, accountId, messageId }
+     * @returns {Promise<number>} - Number of transactions written
+     */
+    async appendTransactions(records) {
+      const lines = records.map(({ entry, accountId, messageId }) =>
+        createDataRow({ ...entry, accountId, messageId }, CSV_COLUMNS).map(escapeCsvValue).join(',')
+      );
+
+      if (!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        lines.unshift(getHeaderRow(CSV_COLUMNS).join(','));
+      } else {
+        const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+        if (fullHeader(header) !== header) {
+          writeRows([fullHeader(header), ...rows]);
+        }
+      }
+
+      fs.appendFileSync(file, `${lines.join('\n')}\n`);
+      return records.length;
+    },
+
+    /**
+     * Change fields of the rows holding a Gmail message, rewriting the file
+     * @param {Object} record - { messageId }
+     * @param {Object} fields - Column key → new value; columns not in the file are skipped
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    async updateTransaction({ messageId }, fields) {
+      return rewriteRows(messageId, row => {
+        for (const [column, value] of Object.entries(fields)) {
+          const index = CSV_COLUMNS.indexOf(column);
+          if (index >= 0) row[index] = value;
+        }
+        return row;
+      });
+    },
+
+    /**
+     * Remove the rows holding a message, rewriting the file
+     * @param {Object} record - { messageId }
+     * @returns {Promise<number>} - Number of rows removed
+     */
+    async deleteTransaction({ messageId }) {
+      return rewriteRows(messageId, () => null);
+    },
+
+    /**
+     * Read every transaction in the file
+     * @returns {Promise<Array<Object>>} - Entries shaped like the sheet's, with their line as rowNumber
+     */
+    async getTransactions() {
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+
+      return parseCsv(fs.readFileSync(file, 'utf8'))
+        .slice(1)
+        .map((row, index) => ({
+          ...Object.fromEntries(CSV_COLUMNS.map((column, columnIndex) => [column, row[columnIndex] || ''])),
+          rowNumber: index + 2
+        }));
+    }
+  };
+}
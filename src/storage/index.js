@@ -0,0 +1,140 @@
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { createSheetsStorage } from './sheetsStorage.js';
+import { createCsvStorage } from './csvStorage.js';
+
+// SQLite is loaded on demand so its native module is only needed when it is used
+const BACKEND_FACTORIES = {
+  sheets: async () => createSheetsStorage(),
+  sqlite: async () => (await import('./sqliteStorage.js')).createSqliteStorage(),
+  csv: async () => createCsvStorage()
+};
+
+let backends = null;
+
+/**
+ * Get the configured storage backends (CONFIG.STORAGE_BACKENDS), primary first
+ * @returns {Promise<Array<Object>>} - Backends with appendTransactions/updateTransaction/deleteTransaction/getTransactions
+ */
+export async function getStorageBackends() {
+  if (!backends) {
+    if (CONFIG.STORAGE_BACKENDS.length === 0) {
+      throw new Error('No storage backend configured (STORAGE_BACKENDS)');
+    }
+
+    backends = [];
+    for (const name of CONFIG.STORAGE_BACKENDS) {
+      const factory = BACKEND_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown storage backend: ${name}`);
+      }
+      backends.push(await factory());
+    }
+
+    logger.debug(`Storage backends: ${backends.map(backend => backend.name).join(', ')}`);
+  }
+
+  return backends;
+}
+
+/**
+ * Check every configured backend can be used (run once at startup)
+ * @returns {Promise<void>}
+ */
+export async function validateStorage() {
+  for (const backend of await getStorageBackends()) {
+    await backend.validate?.();
+    logger.debug(`Storage backend ${backend.name} is ready`);
+  }
+}
+
+/**
+ * Use specific backend instances instead of the configured ones (tests, scripts)
+ * @param {Array<Object>|null} instances - Backends, primary first; null resets to config
+ */
+export function setStorageBackends(instances) {
+  backends = instances;
+}
+
+/**
+ * Write transactions to every configured backend.
+ * The primary backend must succeed (its error is rethrown); failures of the
+ * other backends are logged so one broken copy does not stop processing.
+ * @param {Array<Object>} records - { entry, accountId, messageId }
+ * @returns {Promise<number>} - Number of transactions written to the primary backend
+ */
+export async function appendTransactions(records) {
+  if (records.length === 0) {
+    return 0;
+  }
+
+  const [primary, ...mirrors] = await getStorageBackends();
+  const written = await primary.appendTransactions(records);
+
+  for (const mirror of mirrors) {
+    try {
+      const mirrored = await mirror.appendTransactions(records);
+      logger.debug(`Wrote ${mirrored} transactions to ${mirror.name} storage`);
+    } catch (error) {
+      logger.error(`Could not write ${records.length} transactions to ${mirror.name} storage:`, error.message);
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Change fields of a stored transaction in every backend, like appendTransactions:
+ * the primary backend's error is rethrown, the others' are logged
+ * @param {Object} record - { accountId, messageId, entry } of the stored transaction
+ * @param {Object} fields - Column key → new value (e.g. { category: 'Transfer Internal' });
+ *   backends skip columns they do not have
+ * @returns {Promise<number>} - Number of rows changed in the primary backend
+ */
+export async function updateTransaction(record, fields) {
+  const [primary, ...mirrors] = await getStorageBackends();
+  const updated = await primary.updateTransaction(record, fields);
+
+  for (const mirror of mirrors) {
+    try {
+      await mirror.updateTransaction(record, fields);
+    } catch (error) {
+      logger.error(`Could not update message ${record.messageId} in ${mirror.name} storage:`, error.message);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a stored transaction from every backend, like updateTransaction:
+ * the primary backend's error is rethrown, the others' are logged
+ * @param {Object} record - { accountId, messageId, entry } of the stored transaction
+ * @returns {Promise<number>} - Number of rows removed from the primary backend
+ */
+export async function deleteTransaction(record) {
+  const [primary, ...mirrors] = await getStorageBackends();
+  const deleted = await primary.deleteTransaction(record);
+
+  for (const mirror of mirrors) {
+    try {
+      await mirror.deleteTransaction(record);
+    } catch (error) {
+      logger.error(`Could not delete message ${record.messageId} from ${mirror.name} storage:`, error.message);
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Read transactions from the primary backend
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only dates from here on are needed (YYYY-MM-DD); a hint
+ *   that lets a backend skip work, so older entries may still be returned
+ * @returns {Promise<Array<Object>>} - Entries with date, amount, category, description, bank, timestamp
+ */
+export async function getTransactions(options = {}) {
+  const [primary] = await getStorageBackends();
+  return primary.getTransactions(options);
+}
@@ -0,0 +1,98 @@
+import { authenticateSheets, getSheetsService } from '../auth/sheetsAuth.js';
+import {
+  getAllTransactions,
+  ensureSheetLayout,
+  updateTransactionField,
+  appendTransactionRows,
+  deleteTransactionRow
+} from '../services/sheetsService.js';
+import { CONFIG } from '../../config/constants.js';
+
+/**
+ * Create the Google Sheets storage backend (main transactions tab)
+ * @param {sheets_v4.Sheets} [sheetsService] - Authenticated Sheets service (created on first use if omitted)
+ * @returns {Object} - Storage backend
+ */
+export function createSheetsStorage(sheetsService = null) {
+  let service = sheetsService;
+
+  async function getService() {
+    if (!service) {
+      service = await getSheetsService(await authenticateSheets());
+    }
+    return service;
+  }
+
+  // Rows are found by message ID; rows written without one by their row number and tab
+  async function findRow(service, { messageId, entry, rowNumber, sheetName }) {
+    const rows = await getAllTransactions(service, CONFIG.SPREADSHEET_ID, { since: entry?.date });
+    const row = messageId
+      ? rows.find(candidate => candidate.message_id === messageId)
+      : rows.find(candidate => candidate.rowNumber === rowNumber && candidate.sheetName === sheetName);
+    if (!row) {
+      throw new Error(messageId ? `No row with message ID ${messageId}` : `No row ${rowNumber} in ${sheetName}`);
+    }
+    return row;
+  }
+
+  return {
+    name: 'sheets',
+
+    /**
+     * Check the main tab's header, adding missing columns when auto-repair is on
+     */
+    async validate() {
+      await ensureSheetLayout(await getService(), CONFIG.SPREADSHEET_ID);
+    },
+
+    /**
+     * Append transactions in their tab's column order, adding the header to an empty tab
+     * @param {Array<Object>} records - { entry, accountId, messageId }
+     * @returns {Promise<number>} - Number of transactions written
+     */
+    async appendTransactions(records) {
+      const transactions = records.map(({ entry, accountId, messageId }) => ({ ...entry, accountId, messageId }));
+      await appendTransactionRows(await getService(), CONFIG.SPREADSHEET_ID, transactions);
+      return records.length;
+    },
+
+    /**
+     * Change fields of the row holding a message (needs the message_id column)
+     * @param {Object} record - { messageId, entry }, or { rowNumber, sheetName } for a row without a message ID
+     * @param {Object} fields - Column key → new value; columns the tab lacks are skipped
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    async updateTransaction(record, fields) {
+      const service = await getService();
+      const row = await findRow(service, record);
+
+      for (const [column, value] of Object.entries(fields)) {
+        if (column in row) {
+          await updateTransactionField(service, CONFIG.SPREADSHEET_ID, row.rowNumber, column, value, row.sheetName);
+        }
+      }
+      return 1;
+    },
+
+    /**
+     * Delete the row holding a message (rows below shift up)
+     * @param {Object} record - As for updateTransaction
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    async deleteTransaction(record) {
+      const service = await getService();
+      const row = await findRow(service, record);
+      await deleteTransactionRow(service, CONFIG.SPREADSHEET_ID, row.rowNumber, row.sheetName);
+      return 1;
+    },
+
+    /**
+     * Read every transaction in the main tab and, with monthly tabs, the tabs from `since` on
+     * @param {Object} [options] - { since }
+     * @returns {Promise<Array<Object>>} - Entries with rowNumber and sheetName
+     */
+    async getTransactions(options = {}) {
+      return getAllTransactions(await getService(), CONFIG.SPREADSHEET_ID, options);
+    }
+  };
+}
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { CONFIG } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// Same table as the Cloudflare worker's D1 database (workers/src/services/d1.ts),
+// so the file can be imported there or queried by the dashboard as-is; the
+// foreign-currency columns are nullable additions the worker ignores
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    category TEXT NOT NULL DEFAULT 'Lainnya',
+    description TEXT,
+    bank TEXT DEFAULT 'Tidak Diketahui',
+    type TEXT CHECK(type IN ('income', 'expense')) NOT NULL,
+    chat_id TEXT,
+    message_id TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT,
+    original_amount REAL,
+    original_currency TEXT,
+    exchange_rate REAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions (date);
+  CREATE INDEX IF NOT EXISTS idx_transactions_message ON transactions (chat_id, message_id);
+`;
+
+// Columns added after the first release, with their types, for databases created before them
+const ADDED_COLUMNS = {
+  original_amount: 'REAL',
+  original_currency: 'TEXT',
+  exchange_rate: 'REAL'
+};
+
+/**
+ * Add the columns an older database lacks
+ * @param {Database} database - Open database
+ */
+function migrate(database) {
+  const existing = new Set(database.prepare('PRAGMA table_info(transactions)').all().map(column => column.name));
+  for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+    if (!existing.has(column)) {
+      database.exec(`ALTER TABLE transactions ADD COLUMN ${column} ${type}`);
+      logger.info(`🗄️ Added column ${column} to the SQLite transactions table`);
+    }
+  }
+}
+
+/**
+ * Create the local SQLite storage backend
+ * @param {string} [file] - Database file (defaults to CONFIG.SQLITE_DB_FILE)
+ * @returns {Object} - Storage backend
+ */
+export function createSqliteStorage(file = CONFIG.SQLITE_DB_FILE) {
+  let db = null;
+
+  function open() {
+    if (!db) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+      migrate(db);
+      logger.debug(`Opened SQLite database ${file}`);
+    }
+    return db;
+  }
+
+  return {
+    name: 'sqlite',
+
+    /**
+     * Open the database and create the table if needed
+     */
+    async validate() {
+      open();
+    },
+
+    /**
+     * Insert transactions in one database transaction.
+     * As in the worker, account IDs go in chat_id and Gmail message IDs in message_id;
+     * a message that is already stored is not inserted again.
+     * @param {Array<Object>} records - { entry, accountId, messageId }
+     * @returns {Promise<number>} - Number of rows inserted
+     */
+    async appendTransactions(records) {
+      const database = open();
+      const findMessage = database.prepare('SELECT id FROM transactions WHERE chat_id = ? AND message_id = ? LIMIT 1');
+      const insert = database.prepare(`
+        INSERT INTO transactions (date, amount, category, description, bank, type, chat_id, message_id, original_amount, original_currency, exchange_rate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const insertAll = database.transaction(rows => {
+        let inserted = 0;
+        for (const { entry, accountId, messageId } of rows) {
+          if (messageId && findMessage.get(accountId, messageId)) continue;
+
+          const amount = parseFloat(entry.amount) || 0;
+          insert.run(
+            entry.date,
+            amount,
+            entry.category || 'Lainnya',
+            entry.description || '',
+            entry.bank || 'Tidak Diketahui',
+            amount >= 0 ? 'income' : 'expense',
+            accountId || 'email-processor',
+            messageId || null,
+            parseFloat(entry.originalAmount) || null,
+            entry.originalCurrency || null,
+            parseFloat(entry.exchangeRate) || null
+          );
+          inserted++;
+        }
+        return inserted;
+      });
+
+      return insertAll(records);
+    },
+
+    /**
+     * Change the category of a stored message (the worker schema has no other
+     * columns this app updates)
+     * @param {Object} record - { accountId, messageId }
+     * @param {Object} fields - Column key → new value
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    async updateTransaction({ accountId, messageId }, fields) {
+      if (!fields.category) {
+        return 0;
+      }
+
+      return open()
+        .prepare("UPDATE transactions SET category = ?, updated_at = datetime('now') WHERE chat_id = ? AND message_id = ?")
+        .run(fields.category, accountId || 'email-processor', messageId)
+        .changes;
+    },
+
+    /**
+     * Delete a stored message
+     * @param {Object} record - { accountId, messageId }
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    async deleteTransaction({ accountId, messageId }) {
+      if (!messageId) {
+        return 0;
+      }
+
+      return open()
+        .prepare('DELETE FROM transactions WHERE chat_id = ? AND message_id = ?')
+        .run(accountId || 'email-processor', messageId)
+        .changes;
+    },
+
+    /**
+     * Read every transaction, oldest first
+     * @returns {Promise<Array<Object>>} - Entries shaped like the sheet's
+     */
+    async getTransactions() {
+      return open()
+        .prepare(`
+          SELECT id, date, amount, category, description, bank, created_at AS timestamp, chat_id AS account, message_id,
+            original_amount, original_currency, exchange_rate
+          FROM transactions ORDER BY date, id
+        `)
+        .all();
+    },
+
+    /**
+     * Close the database file
+     */
+    close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-matcher-'));
+const accountsFile = path.join(tempDir, 'bank-accounts.json');
+fs.writeFileSync(accountsFile, JSON.stringify({
+  accounts: [
+    { type: 'Mandiri', owner: 'Wimboro', senders: ['@bankmandiri.co.id'], last4: ['1234'] },
+    { type: 'Mandiri', owner: 'Fara', senders: ['@bankmandiri.co.id'], last4: ['5678'] },
+    { type: 'Jago', owner: 'Fara', senders: ['@jago.com'], last4: ['4321'] },
+    { type: 'Blu', owner: 'Fara', senders: ['@bcadigital.co.id'] },
+    { type: 'Blu', owner: 'Wimboro', senders: ['@bcadigital.co.id'] }
+  ]
+}));
+process.env.BANK_ACCOUNTS_FILE = accountsFile;
+
+const { extractAccountDigits, resolveAccountFromEmail } = await import('../src/parsers/accountMatcher.js');
+
+const MANDIRI = 'Livin by Mandiri <noreply.livin@bankmandiri.co.id>';
+
+test('finds masked, "ending in" and labelled account numbers', () => {
+  assert.deepEqual(extractAccountDigits('Sumber dana ****5678, kartu XXXX-XXXX-XXXX-9999'), ['5678', '9999']);
+  assert.deepEqual(extractAccountDigits('Kartu berakhiran 1234 dan rekening tujuan: 123 456 4321'), ['1234', '4321']);
+  assert.deepEqual(extractAccountDigits('Total Rp 1.234.000 pada 12/10/2026'), []);
+});
+
+test('the account number decides, within the sending bank', () => {
+  // Fara's name and the Jago number are in the text, but Wimboro's Mandiri account was used
+  const result = resolveAccountFromEmail({
+    text: 'Transfer dari rekening ****1234 ke Jago ****4321 a.n. FARA berhasil',
+    from: MANDIRI,
+    transactionType: 'expense',
+    sender: 'FARA'
+  });
+  assert.deepEqual(result, { bank: 'Mandiri Wimboro', method: 'account_number' });
+});
+
+test('the holder name decides when no number matches', () => {
+  assert.deepEqual(
+    resolveAccountFromEmail({ text: 'Dana masuk Rp 500.000', from: MANDIRI, transactionType: 'income', recipient: 'FARA AMALIA' }),
+    { bank: 'Mandiri Fara', method: 'holder_name' }
+  );
+  // Only our side of the transfer counts: the sender of incoming money is someone else
+  assert.equal(
+    resolveAccountFromEmail({ text: 'Dana masuk Rp 500.000', from: MANDIRI, transactionType: 'income', sender: 'FARA AMALIA' }),
+    null
+  );
+});
+
+test('words that merely contain an owner or bank name do not match', () => {
+  assert.equal(
+    resolveAccountFromEmail({ text: 'Pembayaran ke toko Blue Farah', from: 'Blu <notif@bcadigital.co.id>', transactionType: 'expense', sender: 'FARAH' }),
+    null
+  );
+});
+
+test('a sending bank with a single account is enough', () => {
+  assert.deepEqual(
+    resolveAccountFromEmail({ text: 'Kamu membayar Rp 25.000', from: 'Jago <noreply@jago.com>', transactionType: 'expense' }),
+    { bank: 'Jago Fara', method: 'sender' }
+  );
+  assert.equal(resolveAccountFromEmail({ text: 'Promo bulan ini', from: 'promo@example.com' }), null);
+});
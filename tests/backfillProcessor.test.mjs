@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GMAIL_SEARCH_QUERY = 'subject:(Transfer) is:unread newer_than:1d';
+process.env.TIMEZONE = 'Asia/Jakarta';
+
+const { buildBackfillQuery } = await import('../src/processors/backfillProcessor.js');
+
+test('backfill query covers whole local days and ignores read state', () => {
+  assert.equal(
+    buildBackfillQuery('2025-01-01', '2025-06-30'),
+    // 2024-12-31T17:00Z and 2025-06-30T17:00Z, i.e. midnight in Jakarta
+    'subject:(Transfer) after:1735664400 before:1751302800'
+  );
+});
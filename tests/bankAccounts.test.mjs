@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bank-accounts-'));
+const accountsFile = path.join(tempDir, 'bank-accounts.yaml');
+fs.writeFileSync(accountsFile, `
+accounts:
+  - type: Jago
+    owner: Fara
+    senders: ["@jago.com"]
+    last4: ["1234"]
+    aliases: [kantong fara]
+  - type: Jago
+    owner: Wimboro
+    senders: ["@jago.com"]
+  - type: Seabank
+    owner: Fara
+    senders: ["@seabank.co.id"]
+`);
+process.env.BANK_ACCOUNTS_FILE = accountsFile;
+
+const {
+  getBankNames,
+  getBankAccount,
+  resolveBankName,
+  findBankAccountsBySender,
+  findBankAccountsInText,
+  normalizeBankAccounts
+} = await import('../config/bankAccounts.js');
+const { resolveBankAccount } = await import('../src/parsers/templateRegistry.js');
+
+test('accounts are read from the YAML file with default names', () => {
+  assert.deepEqual(getBankNames(), ['Jago Fara', 'Jago Wimboro', 'Seabank Fara']);
+  assert.equal(getBankAccount('Jago Fara').last4[0], '1234');
+  assert.equal(resolveBankName('KANTONG FARA'), 'Jago Fara');
+  assert.equal(resolveBankName('BCA'), null);
+});
+
+test('senders and aliases narrow down the account', () => {
+  assert.deepEqual(findBankAccountsBySender('Jago <noreply@jago.com>').map(account => account.name), ['Jago Fara', 'Jago Wimboro']);
+  assert.deepEqual(findBankAccountsInText('Top up ke Kantong Fara berhasil').map(account => account.name), ['Jago Fara']);
+  assert.deepEqual(findBankAccountsInText('Transfer dari farah'), []);
+  assert.equal(resolveBankAccount('Jago', 'Top up ke kantong fara'), 'Jago Fara');
+  assert.equal(resolveBankAccount('Seabank', 'anything'), 'Seabank Fara');
+});
+
+test('edits are picked up and an invalid edit keeps the previous accounts', () => {
+  const later = new Date(Date.now() + 5000);
+  fs.writeFileSync(accountsFile, JSON.stringify({ accounts: [{ type: 'Blu', owner: 'Fara', name: 'Blu Fara' }] }));
+  fs.utimesSync(accountsFile, later, later);
+  assert.deepEqual(getBankNames(), ['Blu Fara']);
+
+  const evenLater = new Date(Date.now() + 10000);
+  fs.writeFileSync(accountsFile, 'accounts:\n  - type: Blu\n');
+  fs.utimesSync(accountsFile, evenLater, evenLater);
+  assert.deepEqual(getBankNames(), ['Blu Fara']);
+});
+
+test('invalid definitions are rejected', () => {
+  assert.throws(() => normalizeBankAccounts({ accounts: [] }), /non-empty/);
+  assert.throws(() => normalizeBankAccounts([{ type: 'Jago', owner: 'Fara', last4: '12' }]), /invalid last4/);
+  assert.throws(() => normalizeBankAccounts([{ type: 'Jago', owner: 'Fara' }, { name: 'jago fara', type: 'Jago', owner: 'Fara' }]), /unique/);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { parseEmailWithTemplates } from '../src/parsers/bankTemplates.js';
+import { parseAmount, parseDate } from '../src/parsers/normalizers.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'emails');
+const fixtures = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')) }));
+
+for (const fixture of fixtures) {
+  test(`bank template fixture: ${fixture.file}`, () => {
+    const parsed = parseEmailWithTemplates(fixture.body, fixture.headers);
+
+    if (fixture.expected === null) {
+      assert.equal(parsed, null);
+      return;
+    }
+
+    assert.ok(parsed, 'expected a template to match');
+    const { expected } = fixture;
+    assert.equal(parsed.amount, expected.amount);
+    assert.equal(parsed.transaction_type, expected.transaction_type);
+    assert.equal(parsed.date, expected.date);
+    assert.equal(parsed.bank, expected.bank);
+    assert.equal(parsed.additional_info.reference_number, expected.reference_number);
+
+    for (const field of ['recipient', 'sender', 'merchant']) {
+      if (expected[field]) {
+        assert.equal(parsed.additional_info[field], expected[field]);
+      }
+    }
+
+    if (expected.category) {
+      assert.equal(parsed.category, expected.category);
+    }
+  });
+}
+
+test('amount text handles both separator conventions', () => {
+  assert.equal(parseAmount('Rp 1.250.000,50').amount, 1250000.5);
+  assert.equal(parseAmount('IDR 1,250,000.50').amount, 1250000.5);
+  assert.equal(parseAmount('Rp50.000').amount, 50000);
+  assert.equal(parseAmount('12,5').amount, 12.5);
+});
+
+test('date text handles Indonesian month names', () => {
+  assert.equal(parseDate('19 Okt 2026'), '2026-10-19');
+  assert.equal(parseDate('1 Agustus 2026 09:00'), '2026-08-01');
+  assert.equal(parseDate('05/01/2026'), '2026-01-05');
+});
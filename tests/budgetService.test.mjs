@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseBudgetSetting, computeBudgetStatus, formatBudgetAlert } from '../src/services/budgetService.js';
+
+test('parses the BUDGETS setting', () => {
+  assert.deepEqual(
+    parseBudgetSetting('Makanan:3000000, Rumah Tangga:1.500.000,invalid,Hiburan:0'),
+    { Makanan: 3000000, 'Rumah Tangga': 1500000 }
+  );
+});
+
+test('budget amounts are read like amounts in emails', () => {
+  assert.deepEqual(
+    parseBudgetSetting('Makanan:2jt,Transportasi:2.5jt,Hiburan:1500000.50,Pulsa:Rp 100.000,Lainnya:banyak'),
+    { Makanan: 2000000, Transportasi: 2500000, Hiburan: 1500000.5, Pulsa: 100000 }
+  );
+});
+
+test('computes month-to-date spending against budgets', () => {
+  const entries = [
+    { date: '2026-10-02', amount: '-1200000', category: 'Makanan' },
+    { date: '2026-10-15', amount: '-1300000', category: 'Makanan' },
+    { date: '2026-09-30', amount: '-900000', category: 'Makanan' },
+    { date: '2026-10-05', amount: '250000', category: 'Makanan' }
+  ];
+
+  const [status] = computeBudgetStatus(entries, { Makanan: 3000000 }, '2026-10');
+  assert.deepEqual(status, { category: 'Makanan', budget: 3000000, spent: 2500000, percent: 83 });
+  assert.match(formatBudgetAlert(status, 80, '2026-10'), /ANGGARAN MAKANAN 80%/);
+});
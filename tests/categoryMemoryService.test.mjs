@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'category-memory-'));
+process.env.LEDGER_FILE = path.join(tempDir, 'ledger.json');
+process.env.CATEGORY_MEMORY_FILE = path.join(tempDir, 'category-memory.json');
+
+const ledger = await import('../src/services/ledgerService.js');
+const memory = await import('../src/services/categoryMemoryService.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const parking = {
+  date: '2026-10-19',
+  amount: -5000,
+  bank: 'Jago Fara',
+  description: 'Bayar di SECURE PARKING',
+  category: 'Hiburan',
+  merchant: 'SECURE PARKING'
+};
+
+test('a category changed in the sheet is learned once and survives a restart', () => {
+  ledger.recordTransaction({ accountId: 'fara', messageId: 'm1', entry: parking, occurredAt: Date.now() });
+  ledger.saveLedger();
+
+  const rows = [{ ...parking, category: 'Transportasi', account: 'fara', message_id: 'm1' }];
+  assert.deepEqual(memory.detectCategoryCorrections(rows), [
+    { merchant: 'SECURE PARKING', from: 'Hiburan', to: 'Transportasi' }
+  ]);
+  assert.deepEqual(memory.detectCategoryCorrections(rows), []);
+
+  memory.resetCategoryMemory();
+  assert.equal(memory.findLearnedCategory('Secure Parking').category, 'Transportasi');
+  assert.equal(memory.getCategoryExamples()[0].description, 'Bayar di SECURE PARKING');
+});
+
+test('rows paired as internal transfers are not learned', () => {
+  const transfer = { ...parking, merchant: '', recipient: 'Wimboro', category: 'Lainnya' };
+  ledger.recordTransaction({ accountId: 'fara', messageId: 'm2', entry: transfer, occurredAt: Date.now() });
+
+  const rows = [{ ...transfer, category: 'Transfer Internal', account: 'fara', message_id: 'm2' }];
+  assert.deepEqual(memory.detectCategoryCorrections(rows), []);
+  assert.equal(memory.findLearnedCategory('Wimboro'), null);
+});
+
+test('learned merchants are found in email text as whole words', () => {
+  const found = memory.findLearnedMerchantsInText('Pembayaran QRIS ke Secure-Parking Grand Indonesia Rp5.000');
+  assert.deepEqual(found.map(entry => entry.merchant), ['SECURE PARKING']);
+  assert.deepEqual(memory.findLearnedMerchantsInText('Pembayaran ke SECURE PARKINGAN'), []);
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCommand, summarizeTransactions, parseManualMessage } from '../src/processors/commandProcessor.js';
+
+test('parses the WhatsApp command grammar', () => {
+  assert.deepEqual(parseCommand('Saldo'), { name: 'balance', args: [] });
+  assert.deepEqual(parseCommand('  hari   ini '), { name: 'today', args: [] });
+  assert.deepEqual(parseCommand('kategori 42 Rumah Tangga'), { name: 'category', args: [42, 'Rumah Tangga'] });
+  assert.deepEqual(parseCommand('hapus #7'), { name: 'delete', args: [7] });
+  assert.deepEqual(parseCommand('setuju a1b2c3'), { name: 'approve', args: ['A1B2C3'] });
+  assert.equal(parseCommand('makan siang dulu ya'), null);
+  assert.equal(parseCommand('hapus semua'), null);
+});
+
+test('summarizes income, expense and per-bank totals', () => {
+  const summary = summarizeTransactions([
+    { amount: '5000000', bank: 'Mandiri Wimboro' },
+    { amount: '-45000', bank: 'Jago Fara' },
+    { amount: '-5000', bank: 'Jago Fara' },
+    { amount: 'n/a', bank: 'Jago Fara' }
+  ]);
+
+  assert.equal(summary.income, 5000000);
+  assert.equal(summary.expense, 50000);
+  assert.equal(summary.net, 4950000);
+  assert.equal(summary.count, 3);
+  assert.equal(summary.byBank['Jago Fara'], -50000);
+});
+
+test('chat with a small number is not a manual entry and never reaches the LLM', async () => {
+  assert.equal(await parseManualMessage('jam 3 ya'), null);
+  assert.equal(await parseManualMessage('otw 5 menit'), null);
+  assert.equal((await parseManualMessage('makan siang 45rb jago fara')).amount, -45000);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getDigestPeriod, buildDigest, formatDigestMessage } from '../src/processors/digestProcessor.js';
+
+const entries = [
+  { date: '2026-09-25', amount: '-100000', category: 'Makanan', bank: 'Jago Fara' },
+  { date: '2026-10-01', amount: '10000000', category: 'Gaji', bank: 'Mandiri Wimboro' },
+  { date: '2026-10-12', amount: '-150000', category: 'Makanan', bank: 'Jago Fara' },
+  { date: '2026-10-18', amount: '-50000', category: 'Transportasi', bank: 'Blu Wimboro' },
+  { date: '2026-10-19', amount: '-20000', category: 'Makanan', bank: 'Tunai' }
+];
+
+test('periods cover the expected ranges', () => {
+  assert.deepEqual(getDigestPeriod('weekly', '2026-10-19').previous, { start: '2026-10-06', end: '2026-10-12' });
+
+  const monthly = getDigestPeriod('monthly', '2026-11-01');
+  assert.equal(monthly.start, '2026-10-01');
+  assert.equal(monthly.end, '2026-10-31');
+  assert.deepEqual(monthly.previous, { start: '2026-09-01', end: '2026-09-30' });
+});
+
+test('digest aggregates totals and breakdowns with a previous-period comparison', () => {
+  const digest = buildDigest(entries, getDigestPeriod('monthly', '2026-11-01'));
+
+  assert.equal(digest.current.income, 10000000);
+  assert.equal(digest.current.expense, 220000);
+  assert.equal(digest.current.byCategory.Makanan, 170000);
+  assert.deepEqual(digest.current.byOwner.Fara, { income: 0, expense: 150000 });
+  assert.deepEqual(digest.current.byOwner.Lainnya, { income: 0, expense: 20000 });
+  assert.equal(digest.previous.expense, 100000);
+
+  const message = formatDigestMessage(digest);
+  assert.match(message, /RINGKASAN BULANAN/);
+  assert.match(message, /Pengeluaran: Rp 220\.000 \(▲120%\)/);
+  assert.match(message, /1\. Makanan: Rp 170\.000/);
+});
+
+test('digest includes a budget status section when budgets are set', () => {
+  const digest = buildDigest(entries, getDigestPeriod('daily', '2026-10-19'), { Makanan: 200000, Transportasi: 500000 });
+
+  assert.deepEqual(digest.budgets.map(status => [status.category, status.percent]), [['Makanan', 85], ['Transportasi', 10]]);
+  assert.match(formatDigestMessage(digest), /🟠 Makanan: Rp 170\.000 \/ Rp 200\.000 \(85%\)/);
+});
+
+test('internal transfers are left out of income and expenses', () => {
+  const transfer = [
+    { date: '2026-10-20', amount: '-750000', category: 'Transfer Internal', bank: 'Mandiri Wimboro' },
+    { date: '2026-10-20', amount: '750000', category: 'Transfer Internal', bank: 'Jago Fara' }
+  ];
+  const digest = buildDigest([...entries, ...transfer], getDigestPeriod('monthly', '2026-11-01'));
+
+  assert.equal(digest.current.income, 10000000);
+  assert.equal(digest.current.expense, 220000);
+  assert.equal(digest.current.count, 4);
+  assert.deepEqual(digest.current.transfers, { count: 2, amount: 750000 });
+  assert.match(formatDigestMessage(digest), /Transfer internal: Rp 750\.000/);
+});
+
+test('foreign-currency transactions are listed with their rupiah total', () => {
+  const foreign = [
+    { date: '2026-10-05', amount: '-210500', category: 'Hiburan', bank: 'Jago Fara', original_amount: '12.99', original_currency: 'USD' },
+    { date: '2026-10-07', amount: '-81000', category: 'Hiburan', bank: 'Jago Fara', original_amount: '5', original_currency: 'USD' }
+  ];
+  const digest = buildDigest([...entries, ...foreign], getDigestPeriod('monthly', '2026-11-01'));
+
+  assert.equal(digest.current.expense, 511500);
+  assert.deepEqual(digest.current.byCurrency, { USD: { count: 2, original: 17.99, idr: 291500 } });
+  assert.match(formatDigestMessage(digest), /USD 17,99 = Rp 291\.500 \(2 transaksi\)/);
+});
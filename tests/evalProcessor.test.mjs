@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../config/constants.js';
+import { setLlmProviders } from '../src/llm/index.js';
+import { learnCategory, resetCategoryMemory } from '../src/services/categoryMemoryService.js';
+import {
+  parseEml,
+  loadEvalFixtures,
+  compareParse,
+  runEval,
+  formatEvalReport
+} from '../src/processors/evalProcessor.js';
+
+const evalDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'eval');
+
+test('reads headers and the text part of a multipart .eml', () => {
+  const raw = [
+    'From: Fara <fara@example.com>',
+    'Subject: =?UTF-8?B?VHJhbnNmZXIgbWFzdWs=?=',
+    'Content-Type: multipart/alternative; boundary="x"',
+    '',
+    '--x',
+    'Content-Type: text/html',
+    '',
+    '<p>ignored</p>',
+    '--x',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Nominal Rp 10.000 =E2=80=93 berha=',
+    'sil',
+    '--x--'
+  ].join('\r\n');
+
+  const { headers, body } = parseEml(raw);
+  assert.equal(headers.from, 'Fara <fara@example.com>');
+  assert.equal(headers.subject, 'Transfer masuk');
+  assert.equal(body, 'Nominal Rp 10.000 – berhasil');
+});
+
+test('loads .eml and JSON fixtures with their expectations and recordings', () => {
+  const fixtures = loadEvalFixtures(evalDir);
+  assert.deepEqual(fixtures.map(fixture => fixture.name), ['fwd-blu-qris', 'shop-refund-seabank']);
+  assert.equal(fixtures[0].expected.bank, 'Blu Fara');
+  assert.match(fixtures[0].body, /WARUNG MAKAN SEDERHANA/);
+  assert.equal(fixtures[1].recording.responses.length, 1);
+});
+
+test('an unparsed email misses every labelled field', () => {
+  assert.deepEqual(
+    compareParse({ amount: -45000, category: 'Makanan', bank: 'Blu Fara', date: '2026-10-12' }, null),
+    { amount: false, sign: false, category: false, bank: false, date: false }
+  );
+  assert.deepEqual(
+    compareParse({ amount: 100, transaction_type: 'income' }, { amount: -100 }),
+    { amount: true, sign: false }
+  );
+});
+
+test('replays recorded answers offline and reports accuracy and category confusion', async () => {
+  const { summary, results } = await runEval({ dir: evalDir, mode: 'replay' });
+
+  assert.equal(summary.parsed, 2);
+  assert.deepEqual(summary.fields.amount, { correct: 2, total: 2 });
+  assert.deepEqual(summary.fields.category, { correct: 1, total: 2 });
+  assert.deepEqual(summary.confusion, { Makanan: { Makanan: 1 }, Refund: { Kembalian: 1 } });
+  assert.match(formatEvalReport(summary, results), /shop-refund-seabank: category expected "Refund", got "Kembalian"/);
+});
+
+test('replay ignores what the household has learned or configured', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-live-'));
+  const live = { CATEGORY_MEMORY_FILE: CONFIG.CATEGORY_MEMORY_FILE, TRANSACTION_TYPE_RULES_FILE: CONFIG.TRANSACTION_TYPE_RULES_FILE };
+  CONFIG.CATEGORY_MEMORY_FILE = path.join(tempDir, 'category-memory.json');
+  CONFIG.TRANSACTION_TYPE_RULES_FILE = path.join(tempDir, 'rules.yaml');
+  fs.writeFileSync(CONFIG.TRANSACTION_TYPE_RULES_FILE, 'rules:\n  - id: everything-out\n    pattern: "."\n    type: expense\n');
+  resetCategoryMemory();
+  learnCategory({ merchant: 'WARUNG MAKAN SEDERHANA', category: 'Hiburan' });
+
+  try {
+    const { summary } = await runEval({ dir: evalDir, mode: 'replay' });
+    assert.deepEqual(summary.fields.sign, { correct: 2, total: 2 });
+    assert.deepEqual(summary.confusion.Makanan, { Makanan: 1 });
+    assert.equal(CONFIG.CATEGORY_MEMORY_FILE, path.join(tempDir, 'category-memory.json'));
+  } finally {
+    Object.assign(CONFIG, live);
+    resetCategoryMemory();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('record keeps the answers of the provider that parsed the email, so replay reproduces it', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-record-'));
+  fs.copyFileSync(path.join(evalDir, 'shop-refund-seabank.json'), path.join(tempDir, 'shop-refund-seabank.json'));
+  const answer = fs.readFileSync(path.join(evalDir, 'shop-refund-seabank.llm.json'), 'utf8');
+
+  setLlmProviders([
+    { name: 'broken', model: 'b-1', generateJson: async () => 'not json' },
+    { name: 'fake', model: 'f-1', generateJson: async () => JSON.parse(answer).responses[0] }
+  ]);
+
+  try {
+    const recorded = await runEval({ dir: tempDir, mode: 'record', useTemplates: false });
+    const recording = JSON.parse(fs.readFileSync(path.join(tempDir, 'shop-refund-seabank.llm.json'), 'utf8'));
+    assert.deepEqual([recording.provider, recording.model, recording.responses.length], ['fake', 'f-1', 1]);
+
+    const replayed = await runEval({ dir: tempDir, mode: 'replay', useTemplates: false });
+    assert.deepEqual(replayed.results[0].actual, recorded.results[0].actual);
+  } finally {
+    setLlmProviders(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
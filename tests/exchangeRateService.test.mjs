@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rates-'));
+process.env.EXCHANGE_RATES = 'USD:16000, SGD:12100, XX:5, EUR:-1';
+process.env.EXCHANGE_RATES_FILE = path.join(tempDir, 'rates.yaml');
+fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, 'rates:\n  USD: 16204\n  MYR: 3450\n');
+
+const rates = await import('../src/services/exchangeRateService.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('the setting is parsed and invalid items are skipped', () => {
+  assert.deepEqual(rates.parseExchangeRateSetting('usd:16000, S$:12100, XX:5, EUR:-1'), { USD: 16000, SGD: 12100 });
+  assert.throws(() => rates.normalizeExchangeRates({ rates: { USD: 'abc' } }), /USD must be a positive number/);
+});
+
+test('the rates file overrides the setting', () => {
+  assert.deepEqual(rates.getExchangeRates(), { USD: 16204, SGD: 12100, MYR: 3450, IDR: 1 });
+});
+
+test('a foreign amount is converted and the original kept', () => {
+  const parsed = rates.convertParsedAmount({ amount: -12.99, currency: 'USD', confidence: 90, additional_info: { merchant: 'NETFLIX' } });
+
+  assert.equal(parsed.amount, -210490);
+  assert.equal(parsed.currency, 'IDR');
+  assert.deepEqual(parsed.additional_info, { merchant: 'NETFLIX', original_amount: 12.99, original_currency: 'USD', exchange_rate: 16204 });
+});
+
+test('without a rate the transaction goes to review instead of being stored as rupiah', () => {
+  const parsed = rates.convertParsedAmount({ amount: -5000, currency: 'JPY', confidence: 95 });
+
+  assert.deepEqual([parsed.amount, parsed.confidence], [0, 0]);
+  assert.deepEqual(parsed.additional_info, { original_amount: 5000, original_currency: 'JPY', exchange_rate: null });
+  assert.equal(rates.isMissingExchangeRate(parsed), true);
+  assert.equal(rates.isMissingExchangeRate(rates.convertParsedAmount({ amount: -12.99, currency: 'USD' })), false);
+});
+
+test('a rupiah charge for a foreign amount records the rate the bank used', () => {
+  const parsed = rates.convertParsedAmount({ amount: -210500, additional_info: { original_amount: 12.99, original_currency: 'USD' } });
+
+  assert.equal(parsed.amount, -210500);
+  assert.equal(parsed.additional_info.exchange_rate, 16204.77);
+});
+
+test('the LLM answer takes the currency of a foreign amount in the email', async () => {
+  const { parseEmailWithEnhancedGemini } = await import('../src/services/enhancedGeminiService.js');
+  const provider = {
+    name: 'fake',
+    model: 'fake-1',
+    async generateJson() {
+      return JSON.stringify({
+        amount: -12.99,
+        category: 'Hiburan',
+        description: 'Bayar di NETFLIX',
+        transaction_type: 'expense',
+        date: '2026-10-17',
+        bank: null,
+        confidence: 90,
+        additional_info: { recipient: null, sender: null, reference_number: null, merchant: 'NETFLIX', location: null }
+      });
+    }
+  };
+
+  const parsed = await parseEmailWithEnhancedGemini(
+    'Transaksi kartu debit\nMerchant: NETFLIX.COM\nNominal: USD 12.99\nTanggal: 17 Okt 2026',
+    { from: 'noreply@example.com', subject: 'Transaksi kartu debit' },
+    provider
+  );
+  assert.deepEqual([parsed.amount, parsed.currency], [-12.99, 'USD']);
+
+  rates.convertParsedAmount(parsed);
+  assert.equal(parsed.amount, -210490);
+});
+
+test('a foreign amount parsed with the basic prompt is converted too', async () => {
+  const { setLlmProviders } = await import('../src/llm/index.js');
+  const { parseTransactionEmail } = await import('../src/parsers/emailPipeline.js');
+  setLlmProviders([{
+    name: 'fake',
+    model: 'fake-1',
+    async generateJson(messages, schema) {
+      // The detailed prompt (the schema with confidence) gets nothing usable
+      if (schema.properties.confidence) return 'not json';
+      return JSON.stringify({ amount: -12.99, category: 'Hiburan', description: 'NETFLIX', transaction_type: 'expense', date: '2026-10-17', bank: null });
+    }
+  }]);
+
+  try {
+    const parsed = await parseTransactionEmail(
+      'Transaksi kartu debit\nMerchant: NETFLIX.COM\nNominal: USD 12.99\nTanggal: 17 Okt 2026',
+      { from: 'noreply@example.com', subject: 'Transaksi kartu debit' },
+      { useCache: false, useTemplates: false }
+    );
+    assert.equal(parsed.amount, -210490);
+    assert.deepEqual([parsed.additional_info.original_amount, parsed.additional_info.original_currency], [12.99, 'USD']);
+  } finally {
+    setLlmProviders(null);
+  }
+});
+
+test('the example rates file is valid', () => {
+  const file = new URL('../config/exchange-rates.example.yaml', import.meta.url);
+  assert.equal(rates.normalizeExchangeRates(YAML.parse(fs.readFileSync(file, 'utf8'))).USD, 16250);
+});
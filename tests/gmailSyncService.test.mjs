@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmail-sync-test-'));
+process.env.GMAIL_SYNC_STATE_FILE = path.join(tempDir, 'gmail-sync.json');
+process.env.GMAIL_SEARCH_QUERY = 'from:bank.co.id is:unread newer_than:1d';
+process.env.GMAIL_PUSH_TOKEN = 'secret';
+
+const sync = await import('../src/services/gmailSyncService.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Minimal stand-in for the Gmail API with a fixed mailbox
+ */
+function createMailbox({ historyId, history = [], matching = [], expired = false, failing = {} }) {
+  const calls = [];
+  return {
+    calls,
+    users: {
+      getProfile: async () => ({ data: { emailAddress: 'fara@example.com', historyId } }),
+      history: {
+        list: async params => {
+          calls.push(['history', params.startHistoryId]);
+          if (expired) throw Object.assign(new Error('Requested entity was not found.'), { code: 404 });
+          return { data: { historyId, history } };
+        }
+      },
+      messages: {
+        list: async params => {
+          calls.push(['list', params.q]);
+          return { data: { messages: matching.map(id => ({ id })) } };
+        },
+        get: async params => {
+          if (failing[params.id]) throw Object.assign(new Error('Request failed'), { code: failing[params.id] });
+          return { data: { id: params.id } };
+        }
+      }
+    }
+  };
+}
+
+test('history filter query drops read-state and age filters', () => {
+  assert.equal(sync.getHistoryFilterQuery('subject:(Transfer) is:unread newer_than:1d'), 'subject:(Transfer)');
+});
+
+test('first sync searches by query, later syncs follow history', async () => {
+  const first = createMailbox({ historyId: '100', matching: ['a'] });
+  const initial = await sync.fetchNewEmails(first, 'fara');
+  assert.deepEqual(initial.emails.map(email => email.id), ['a']);
+  assert.deepEqual(first.calls, [['list', 'from:bank.co.id is:unread newer_than:1d']]);
+  sync.commitSync('fara', initial.cursor);
+
+  const later = createMailbox({
+    historyId: '150',
+    history: [
+      { messagesAdded: [{ message: { id: 'b', labelIds: ['INBOX'] } }] },
+      { messagesAdded: [{ message: { id: 'c', labelIds: ['INBOX'] } }, { message: { id: 'd', labelIds: ['SENT'] } }] }
+    ],
+    matching: ['b', 'x']
+  });
+  const next = await sync.fetchNewEmails(later, 'fara');
+  assert.deepEqual(next.emails.map(email => email.id), ['b']);
+  assert.equal(later.calls[0][1], '100');
+  assert.match(later.calls[1][1], /^from:bank\.co\.id after:\d+$/);
+  assert.equal(next.cursor.historyId, '150');
+
+  sync.commitSync('fara', next.cursor, ['b']);
+  assert.deepEqual(sync.getAccountSyncState('fara').pendingMessageIds, ['b']);
+});
+
+test('failed messages are retried and expired history falls back to the query', async () => {
+  const mailbox = createMailbox({ historyId: '300', matching: ['e'], expired: true });
+  const { emails, cursor } = await sync.fetchNewEmails(mailbox, 'fara');
+
+  assert.deepEqual(emails.map(email => email.id), ['b', 'e']);
+  assert.equal(cursor.historyId, '300');
+});
+
+test('messages that fail to fetch stay pending while the history ID moves on', async () => {
+  sync.commitSync('fara', { historyId: '300' });
+  const mailbox = createMailbox({
+    historyId: '350',
+    history: [{ messagesAdded: ['f', 'g', 'h'].map(id => ({ message: { id, labelIds: ['INBOX'] } })) }],
+    matching: ['f', 'g', 'h'],
+    failing: { g: 429, h: 404 }
+  });
+
+  const { emails, failedMessageIds, cursor } = await sync.fetchNewEmails(mailbox, 'fara');
+  assert.deepEqual(emails.map(email => email.id), ['f']);
+  assert.deepEqual(failedMessageIds, ['g']);
+
+  sync.commitSync('fara', cursor, failedMessageIds);
+  assert.equal(sync.getAccountSyncState('fara').historyId, '350');
+  assert.deepEqual(sync.getAccountSyncState('fara').pendingMessageIds, ['g']);
+});
+
+test('push notifications are decoded and token checked', async () => {
+  const data = Buffer.from(JSON.stringify({ emailAddress: 'fara@example.com', historyId: 4321 })).toString('base64');
+  const received = [];
+  const handler = sync.createGmailPushHandler(notification => received.push(notification));
+
+  assert.equal((await handler({ body: { message: { data } }, query: { token: 'wrong' } })).status, 401);
+  await handler({ body: { message: { data } }, query: { token: 'secret' } });
+  assert.deepEqual(received, [{ emailAddress: 'fara@example.com', historyId: '4321' }]);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+process.env.LEDGER_FILE = path.join(tempDir, 'ledger.json');
+
+const ledger = await import('../src/services/ledgerService.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const coffee = { date: '2026-10-19', amount: -25000, bank: 'Jago Fara', description: 'Bayar di KOPI' };
+const noon = Date.parse('2026-10-19T12:00:00Z');
+
+test('message ID and reference number survive a restart', () => {
+  ledger.recordTransaction({ accountId: 'fara', messageId: 'm1', entry: coffee, referenceNumber: 'REF-1', occurredAt: noon });
+  ledger.saveLedger();
+  ledger.discardLedgerChanges();
+
+  assert.equal(ledger.findDuplicate({ accountId: 'fara', messageId: 'm1' }).reason, 'message_id');
+  assert.equal(
+    ledger.findDuplicate({ accountId: 'wimboro', messageId: 'other', bank: 'Jago Fara', referenceNumber: 'ref-1' }).reason,
+    'reference_number'
+  );
+});
+
+test('identical transactions with different messages are not exact duplicates', () => {
+  assert.equal(ledger.findDuplicate({ accountId: 'fara', messageId: 'm2', bank: 'Jago Fara', referenceNumber: 'REF-2' }), null);
+});
+
+test('same amount and bank within the window is reported as similar', () => {
+  const similar = ledger.findSimilarTransaction({ amount: -25000, bank: 'Jago Fara', occurredAt: noon + 5 * 60 * 1000 }, 10);
+  assert.equal(similar.messageId, 'm1');
+
+  assert.equal(ledger.findSimilarTransaction({ amount: -25000, bank: 'Jago Fara', occurredAt: noon + 30 * 60 * 1000 }, 10), null);
+  assert.equal(ledger.findSimilarTransaction({ amount: -26000, bank: 'Jago Fara', occurredAt: noon }, 10), null);
+});
+
+test('discarded changes are not persisted', () => {
+  ledger.recordTransaction({ accountId: 'fara', messageId: 'm3', entry: coffee, occurredAt: noon });
+  ledger.discardLedgerChanges();
+  assert.equal(ledger.findDuplicate({ accountId: 'fara', messageId: 'm3' }), null);
+});
+
+test('the two halves of a transfer between our own accounts are paired', () => {
+  const sent = ledger.recordTransaction({
+    accountId: 'wimboro',
+    messageId: 't1',
+    entry: { date: '2026-10-19', amount: -750000, bank: 'Mandiri Wimboro', recipient: 'FARA AMALIA' },
+    occurredAt: noon
+  });
+
+  const incoming = { amount: 750000, bank: 'Jago Fara', occurredAt: noon + 3 * 60 * 1000, counterpartName: 'WIMBORO' };
+  assert.equal(ledger.findInternalTransfer(incoming, 60).messageId, 't1');
+
+  // Wrong amount, too late, same account, or someone else on both emails
+  assert.equal(ledger.findInternalTransfer({ ...incoming, amount: 700000 }, 60), null);
+  assert.equal(ledger.findInternalTransfer({ ...incoming, occurredAt: noon + 2 * 60 * 60 * 1000 }, 60), null);
+  assert.equal(ledger.findInternalTransfer({ ...incoming, bank: 'Mandiri Wimboro' }, 60), null);
+  sent.recipient = 'BUDI';
+  assert.equal(ledger.findInternalTransfer({ ...incoming, counterpartName: 'BUDI' }, 60), null);
+
+  // Fara's email names the sender, which is enough on its own
+  const received = ledger.recordTransaction({ accountId: 'fara', messageId: 't2', entry: { date: '2026-10-19', amount: 750000, bank: 'Jago Fara' }, occurredAt: incoming.occurredAt });
+  ledger.linkTransfer(sent, received);
+  assert.equal(received.transferWith, 't1');
+  assert.equal(ledger.findInternalTransfer({ ...incoming, counterpartName: 'WIMBORO' }, 60), null);
+
+  // Forgetting one half frees the other to pair again
+  ledger.forgetTransaction('fara', 't2');
+  assert.equal(sent.transferWith, null);
+  assert.equal(ledger.findInternalTransfer({ ...incoming, counterpartName: 'WIMBORO' }, 60).messageId, 't1');
+});
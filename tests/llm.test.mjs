@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toGeminiSchema } from '../src/llm/geminiProvider.js';
+import { buildTransactionResponseSchema } from '../src/parsers/transactionSchema.js';
+import { runWithFallback, setLlmProviders } from '../src/llm/index.js';
+
+test('converts JSON Schema to Gemini schema with nullable fields', () => {
+  const schema = toGeminiSchema({
+    type: 'object',
+    properties: {
+      amount: { type: 'number', description: 'Amount' },
+      bank: { type: ['string', 'null'], enum: ['Jago Fara', null] }
+    },
+    required: ['amount']
+  });
+
+  assert.deepEqual(schema, {
+    type: 'OBJECT',
+    required: ['amount'],
+    properties: {
+      amount: { type: 'NUMBER', description: 'Amount' },
+      bank: { type: 'STRING', nullable: true, enum: ['Jago Fara'] }
+    },
+    propertyOrdering: ['amount', 'bank']
+  });
+});
+
+test('the transaction schema sent to Gemini has no JSON Schema null types', () => {
+  const visit = (schema, check) => {
+    check(schema);
+    Object.values(schema.properties || {}).forEach(property => visit(property, check));
+    if (schema.items) visit(schema.items, check);
+  };
+
+  for (const details of [false, true]) {
+    visit(toGeminiSchema(buildTransactionResponseSchema({ details })), schema => {
+      assert.equal(typeof schema.type, 'string');
+      assert.notEqual(schema.type, 'NULL');
+      assert.ok(!(schema.enum || []).includes(null));
+    });
+  }
+});
+
+test('falls back to the next provider when one fails or returns nothing', async () => {
+  const calls = [];
+  setLlmProviders([{ name: 'gemini' }, { name: 'local' }, { name: 'openai' }]);
+
+  try {
+    const result = await runWithFallback(async provider => {
+      calls.push(provider.name);
+      if (provider.name === 'gemini') throw new Error('quota exceeded');
+      return provider.name === 'openai' ? { amount: 1 } : null;
+    });
+
+    assert.deepEqual(result, { amount: 1 });
+    assert.deepEqual(calls, ['gemini', 'local', 'openai']);
+    assert.equal(await runWithFallback(async () => null), null);
+  } finally {
+    setLlmProviders(null);
+  }
+});
@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+process.env.LLM_CACHE_FILE = path.join(tempDir, 'llm-cache.json');
+
+const { CONFIG } = await import('../config/constants.js');
+const cacheService = await import('../src/services/llmCacheService.js');
+const { setLlmProviders } = await import('../src/llm/index.js');
+const { parseEmailWithLlm } = await import('../src/llm/emailParser.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const PARSED = {
+  amount: -25000,
+  category: 'Makanan',
+  description: 'Bayar di KOPI',
+  transaction_type: 'expense',
+  date: '2026-10-19',
+  bank: 'Jago Fara',
+  confidence: 95
+};
+
+test('the key depends on the body and the sender only', () => {
+  const key = cacheService.emailCacheKey('body', { from: 'a@jago.com', subject: 'one' });
+  assert.equal(key, cacheService.emailCacheKey('body', { from: 'a@jago.com', subject: 'two' }));
+  assert.notEqual(key, cacheService.emailCacheKey('body', { from: 'b@jago.com' }));
+  assert.notEqual(key, cacheService.emailCacheKey('other body', { from: 'a@jago.com' }));
+});
+
+test('a parsed email is answered from the cache after a restart', async () => {
+  let calls = 0;
+  setLlmProviders([{
+    name: 'fake',
+    model: 'fake-1',
+    async generateJson() {
+      calls++;
+      return JSON.stringify(PARSED);
+    }
+  }]);
+
+  try {
+    const first = await parseEmailWithLlm('Bayar di KOPI Rp25.000', { from: 'noreply@jago.com' });
+    first.bank = 'changed by the caller';
+    cacheService.resetLlmCache();
+
+    const second = await parseEmailWithLlm('Bayar di KOPI Rp25.000', { from: 'noreply@jago.com' });
+    assert.equal(calls, 1);
+    assert.equal(second.bank, 'Jago Fara');
+
+    const [entry] = cacheService.listCachedParses();
+    assert.equal(entry.provider, 'fake');
+    assert.equal(entry.model, 'fake-1');
+    assert.equal(entry.prompt, 'detailed');
+    assert.equal(entry.promptVersion, cacheService.PROMPT_VERSION);
+  } finally {
+    setLlmProviders(null);
+  }
+});
+
+test('a cached answer is checked again with the current settings', async () => {
+  let calls = 0;
+  setLlmProviders([{
+    name: 'fake',
+    model: 'fake-1',
+    async generateJson() {
+      calls++;
+      return JSON.stringify({ ...PARSED, amount: 99000 });
+    }
+  }]);
+
+  try {
+    // The email's own amount wins over the model's, on the first parse and on a hit
+    const first = await parseEmailWithLlm('Bayar di WARUNG Rp30.000', { from: 'noreply@jago.com' });
+    const second = await parseEmailWithLlm('Bayar di WARUNG Rp30.000', { from: 'noreply@jago.com' });
+    assert.equal(calls, 1);
+    assert.deepEqual([first.amount, second.amount], [-30000, -30000]);
+
+    const key = cacheService.emailCacheKey('Bayar di WARUNG Rp30.000', { from: 'noreply@jago.com' });
+    assert.equal(cacheService.loadLlmCache().entries[key].result.amount, 99000);
+  } finally {
+    setLlmProviders(null);
+  }
+});
+
+test('answers from a model that is no longer configured are not used', async () => {
+  let calls = 0;
+  const provider = model => ({
+    name: 'fake',
+    model,
+    async generateJson() {
+      calls++;
+      return JSON.stringify(PARSED);
+    }
+  });
+
+  try {
+    setLlmProviders([provider('fake-1')]);
+    await parseEmailWithLlm('Bayar di TOKO Rp25.000', { from: 'noreply@jago.com' });
+    setLlmProviders([provider('fake-2')]);
+    await parseEmailWithLlm('Bayar di TOKO Rp25.000', { from: 'noreply@jago.com' });
+    assert.equal(calls, 2);
+
+    const key = cacheService.emailCacheKey('Bayar di TOKO Rp25.000', { from: 'noreply@jago.com' });
+    assert.equal(cacheService.loadLlmCache().entries[key].model, 'fake-2');
+  } finally {
+    setLlmProviders(null);
+  }
+});
+
+test('expired and outdated entries are not used and can be cleared', () => {
+  const source = { provider: 'fake', model: 'fake-1' };
+  const key = cacheService.emailCacheKey('old email');
+  cacheService.setCachedParse(key, PARSED, { ...source, prompt: 'basic' });
+  const entries = cacheService.loadLlmCache().entries;
+  assert.deepEqual(cacheService.getCachedParse(key, [source]), { prompt: 'basic', result: PARSED });
+
+  entries[key].createdAt = new Date(Date.now() - (CONFIG.LLM_CACHE_TTL_DAYS + 1) * 86400000).toISOString();
+  assert.equal(cacheService.getCachedParse(key, [source]), null);
+
+  entries[key].createdAt = new Date().toISOString();
+  entries[key].promptVersion = cacheService.PROMPT_VERSION - 1;
+  assert.equal(cacheService.getCachedParse(key, [source]), null);
+
+  assert.equal(cacheService.clearLlmCache({ expiredOnly: true }), 1);
+  assert.equal(cacheService.listCachedParses().length, 3);
+  assert.equal(cacheService.clearLlmCache(), 3);
+  assert.equal(cacheService.listCachedParses().length, 0);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseManualEntry, CASH_BANK } from '../src/parsers/manualEntryParser.js';
+import { getLocalDate, addDays } from '../utils/dateUtils.js';
+
+test('parses amount shorthand, bank and category from a typed note', () => {
+  const entry = parseManualEntry('makan siang 45rb jago fara');
+  assert.equal(entry.amount, -45000);
+  assert.equal(entry.bank, 'Jago Fara');
+  assert.equal(entry.category, 'Makanan');
+  assert.equal(entry.description, 'Makan siang');
+  assert.equal(entry.needsCategory, false);
+});
+
+test('understands juta with a decimal comma and income words', () => {
+  const entry = parseManualEntry('terima jual motor 1,2jt mandiri wimboro');
+  assert.equal(entry.amount, 1200000);
+  assert.equal(entry.transaction_type, 'income');
+  assert.equal(entry.bank, 'Mandiri Wimboro');
+});
+
+test('defaults to cash and flags unknown categories', () => {
+  const entry = parseManualEntry('titip beli sesuatu 25.000');
+  assert.equal(entry.amount, -25000);
+  assert.equal(entry.bank, CASH_BANK);
+  assert.equal(entry.needsCategory, true);
+});
+
+test('ignores messages without an amount', () => {
+  assert.equal(parseManualEntry('nanti makan di rumah ya'), null);
+  assert.equal(parseManualEntry('beli 2 porsi'), null);
+});
+
+test('reads relative dates and keeps them out of the description', () => {
+  const entry = parseManualEntry('bensin 2 hari lalu 50rb');
+  assert.equal(entry.amount, -50000);
+  assert.equal(entry.description, 'Bensin');
+  assert.equal(entry.date, addDays(getLocalDate(), -2));
+});
+
+test('keeps the currency of a foreign amount', () => {
+  const entry = parseManualEntry('kopi bandara 4.50 sgd');
+  assert.deepEqual([entry.amount, entry.currency], [-4.5, 'SGD']);
+  assert.equal(parseManualEntry('makan siang 45rb').currency, 'IDR');
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-entry-'));
+process.env.LEDGER_FILE = path.join(tempDir, 'ledger.json');
+process.env.MANUAL_ENTRIES_FILE = path.join(tempDir, 'manual-entries.json');
+
+const { createCsvStorage } = await import('../src/storage/csvStorage.js');
+const { createSqliteStorage } = await import('../src/storage/sqliteStorage.js');
+const { setStorageBackends } = await import('../src/storage/index.js');
+const { getRecordedTransaction } = await import('../src/services/ledgerService.js');
+const { appendManualEntry, undoManualEntry } = await import('../src/services/manualEntryService.js');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('manual entries reach every backend and the ledger, and undo removes them everywhere', async () => {
+  const sqlite = createSqliteStorage(path.join(tempDir, 'transactions.db'));
+  const csv = createCsvStorage(path.join(tempDir, 'transactions.csv'));
+  setStorageBackends([sqlite, csv]);
+
+  const entry = { date: '2026-10-19', amount: -45000, category: 'Makanan', description: 'Makan siang', bank: 'Tunai' };
+  const handle = await appendManualEntry(entry, '628123456789@c.us');
+
+  const [stored] = await sqlite.getTransactions();
+  assert.equal(stored.account, '628123456789@c.us');
+  assert.match(stored.message_id, /^manual-/);
+  assert.equal((await csv.getTransactions())[0].message_id, stored.message_id);
+  assert.equal(getRecordedTransaction(stored.account, stored.message_id).amount, -45000);
+
+  assert.equal((await undoManualEntry(handle)).description, 'Makan siang');
+  assert.deepEqual(await sqlite.getTransactions(), []);
+  assert.deepEqual(await csv.getTransactions(), []);
+  assert.equal(getRecordedTransaction(stored.account, stored.message_id), null);
+  await assert.rejects(undoManualEntry(handle), /tidak ditemukan/);
+
+  sqlite.close();
+  setStorageBackends(null);
+});
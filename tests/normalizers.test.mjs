@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findAmounts, parseAmount, findDates, parseDate, normalizeCurrency } from '../src/parsers/normalizers.js';
+
+const today = '2026-10-19';
+
+test('rupiah amounts in either separator convention and in shorthand', () => {
+  const cases = [
+    ['Rp1.250.000,50', 1250000.5],
+    ['IDR 1,250,000.50', 1250000.5],
+    ['Rp 50.000,-', 50000],
+    ['Rp 1.250', 1250],
+    ['Rp 12,50', 12.5],
+    ['45rb', 45000],
+    ['45 ribu', 45000],
+    ['1,2jt', 1200000],
+    ['1.5 juta', 1500000],
+    ['150k', 150000],
+    ['-Rp 25.000', -25000]
+  ];
+  for (const [text, amount] of cases) {
+    assert.deepEqual([parseAmount(text)?.amount, parseAmount(text)?.currency], [amount, 'IDR'], text);
+  }
+});
+
+test('foreign currencies keep their amount and code', () => {
+  assert.deepEqual(findAmounts('Charged USD 12.99 (Rp 210.500)').map(({ amount, currency }) => [amount, currency]), [
+    [12.99, 'USD'],
+    [210500, 'IDR']
+  ]);
+  assert.equal(parseAmount('S$ 8.50').currency, 'SGD');
+  assert.equal(parseAmount('1,250.00 EUR').currency, 'EUR');
+  assert.equal(normalizeCurrency('Rp.'), 'IDR');
+  assert.equal(normalizeCurrency('ZZZ'), null);
+});
+
+test('emails only yield amounts with a currency or shorthand', () => {
+  const text = 'Nominal: Rp 50.000\nBiaya: Rp 2.500\nNo. Ref 123456789 pada 19/10/2026 pukul 10:15';
+  assert.deepEqual(findAmounts(text).map(({ amount }) => amount), [50000, 2500]);
+});
+
+test('dates in Indonesian and English, numeric and relative', () => {
+  const cases = [
+    ['19 Okt 2026', '2026-10-19'],
+    ['1 Agustus 2026 09:00', '2026-08-01'],
+    ['19-Oct-26', '2026-10-19'],
+    ['Oct 19, 2026', '2026-10-19'],
+    ['October 5th 2026', '2026-10-05'],
+    ['19/10/2026', '2026-10-19'],
+    ['10/19/2026', '2026-10-19'],
+    ['2026-10-19T10:15:00+07:00', '2026-10-19'],
+    ['hari ini', '2026-10-19'],
+    ['kemarin', '2026-10-18'],
+    ['kemarin lusa', '2026-10-17'],
+    ['3 hari yang lalu', '2026-10-16'],
+    ['2 days ago', '2026-10-17'],
+    ['17 Okt', '2026-10-17'],
+    ['25 Des', '2025-12-25']
+  ];
+  for (const [text, date] of cases) {
+    assert.equal(parseDate(text, { today }), date, text);
+  }
+});
+
+test('impossible dates and amounts are not dates', () => {
+  assert.equal(parseDate('31/02/2026', { today }), null);
+  assert.equal(parseDate('Rp 1.250.000', { today }), null);
+  assert.equal(parseDate('beli 2 porsi', { today }), null);
+  assert.deepEqual(findDates('Transfer 19 Okt 2026 09:00, dicatat kemarin', { today }).map(({ date }) => date), [
+    '2026-10-19',
+    '2026-10-18'
+  ]);
+});
+
+test('only month names count as months, so other words do not take the day', () => {
+  assert.deepEqual(findDates('Berlaku 30 hari 05 Okt 2025', { today }).map(({ date }) => date), ['2025-10-05']);
+  assert.deepEqual(findDates('2 items 19 Oct 2025', { today }).map(({ date }) => date), ['2025-10-19']);
+});
+
+test('the LLM answer is checked against the amount and date in the email', async () => {
+  const { parseEmailWithEnhancedGemini } = await import('../src/services/enhancedGeminiService.js');
+  const provider = {
+    name: 'fake',
+    model: 'fake-1',
+    async generateJson() {
+      return JSON.stringify({
+        amount: 125000050,
+        category: 'Makanan',
+        description: 'Bayar di KOPI',
+        transaction_type: 'expense',
+        date: '2099-01-01',
+        bank: null,
+        confidence: 90,
+        additional_info: { recipient: null, sender: null, reference_number: null, merchant: 'KOPI', location: null }
+      });
+    }
+  };
+
+  const parsed = await parseEmailWithEnhancedGemini(
+    'Pembayaran QRIS berhasil\nMerchant: KOPI\nNominal: Rp1.250.000,50\nTanggal: 17 Okt 2026',
+    { from: 'noreply@example.com', subject: 'Pembayaran QRIS' },
+    provider
+  );
+  assert.equal(parsed.amount, -1250000.5);
+  assert.equal(parsed.date, '2026-10-17');
+});
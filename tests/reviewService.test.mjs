@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-test-'));
+process.env.LEDGER_FILE = path.join(tempDir, 'ledger.json');
+process.env.REVIEW_SHEET_NAME = 'Review';
+process.env.EXCHANGE_RATES = 'USD:16000';
+
+const { createReviewItem, appendToReviewQueue, approveReview, rejectReview } = await import('../src/services/reviewService.js');
+const { setStorageBackends } = await import('../src/storage/index.js');
+const ledger = await import('../src/services/ledgerService.js');
+
+/**
+ * Minimal stand-in for the Sheets API holding one tab in memory
+ */
+function createSpreadsheet() {
+  const tabs = {};
+  const tabOf = range => range.split('!')[0].replace(/^'|'$/g, '');
+  return {
+    tabs,
+    spreadsheets: {
+      get: async () => ({ data: { sheets: Object.keys(tabs).map(title => ({ properties: { title } })) } }),
+      batchUpdate: async ({ requestBody }) => {
+        for (const { addSheet } of requestBody.requests) tabs[addSheet.properties.title] = [];
+      },
+      values: {
+        get: async ({ range }) => ({ data: { values: tabs[tabOf(range)] } }),
+        append: async ({ range, requestBody }) => {
+          tabs[tabOf(range)].push(...requestBody.values);
+          return { data: { updates: { updatedRows: requestBody.values.length } } };
+        },
+        update: async ({ range, requestBody }) => {
+          const [, cell] = range.split('!');
+          const row = parseInt(cell.replace(/^[A-Z]+/, '')) - 1;
+          const column = cell.charCodeAt(0) - 65;
+          const rows = tabs[tabOf(range)];
+          requestBody.values[0].forEach((value, offset) => {
+            rows[row] = rows[row] || [];
+            rows[row][column + offset] = value;
+          });
+        }
+      }
+    }
+  };
+}
+
+test('approved reviews keep everything the parser found', async () => {
+  const stored = [];
+  setStorageBackends([{ name: 'memory', appendTransactions: async records => stored.push(...records) }]);
+  const sheets = createSpreadsheet();
+
+  const entry = {
+    date: '2026-10-19', amount: -45000, category: 'Makanan', description: 'Bayar di KOPI', bank: 'Jago Fara',
+    type: 'expense', confidence: 55, recipient: 'KOPI KENANGAN', sender: '', referenceNumber: 'REF123',
+    merchant: 'KOPI KENANGAN', location: 'Jakarta'
+  };
+  const item = createReviewItem({ entry, confidence: 55, accountId: 'fara', messageId: 'm1', snippet: 'Pembayaran QRIS' });
+  await appendToReviewQueue(sheets, 'sheet-id', [item]);
+
+  const approved = await approveReview(sheets, 'sheet-id', item.reviewId, { category: 'Minuman' });
+  assert.equal(approved.category, 'Minuman');
+  assert.deepEqual(
+    [approved.type, approved.confidence, approved.recipient, approved.referenceNumber, approved.merchant, approved.location],
+    ['expense', 55, 'KOPI KENANGAN', 'REF123', 'KOPI KENANGAN', 'Jakarta']
+  );
+  assert.deepEqual([stored[0].accountId, stored[0].messageId], ['fara', 'm1']);
+  assert.equal(sheets.tabs.Review[1][11], 'edited');
+
+  setStorageBackends(null);
+});
+
+test('a foreign item queued without a rate is never approved as Rp 0', async () => {
+  const stored = [];
+  setStorageBackends([{ name: 'memory', appendTransactions: async records => stored.push(...records) }]);
+  const sheets = createSpreadsheet();
+
+  const foreign = (currency, messageId) => createReviewItem({
+    entry: {
+      date: '2026-10-19', amount: 0, category: 'Hiburan', description: 'STEAM', bank: 'Jago Fara', type: 'expense',
+      originalAmount: 10, originalCurrency: currency, exchangeRate: null
+    },
+    confidence: 0,
+    accountId: 'fara',
+    messageId,
+    snippet: `${currency} 10.00`
+  });
+  const [dollars, yen] = [foreign('USD', 'm2'), foreign('JPY', 'm3')];
+  await appendToReviewQueue(sheets, 'sheet-id', [dollars, yen]);
+
+  // The rate configured since then is used
+  const approved = await approveReview(sheets, 'sheet-id', dollars.reviewId);
+  assert.deepEqual([approved.amount, approved.exchangeRate], [-160000, 16000]);
+
+  await assert.rejects(approveReview(sheets, 'sheet-id', yen.reviewId), /no exchange rate for JPY/);
+  const typedIn = await approveReview(sheets, 'sheet-id', yen.reviewId, { amount: -1050 });
+  assert.deepEqual([typedIn.amount, typedIn.exchangeRate], [-1050, 105]);
+  assert.equal(stored.length, 2);
+
+  setStorageBackends(null);
+});
+
+test('a review tab from before the newer columns gets their headers', async () => {
+  setStorageBackends([{ name: 'memory', appendTransactions: async () => {} }]);
+  const sheets = createSpreadsheet();
+  sheets.tabs.Review = [[
+    'Review ID', 'Date', 'Amount', 'Category', 'Description', 'Bank',
+    'Confidence', 'Account', 'Message ID', 'Gmail Link', 'Snippet', 'Status', 'Queued At'
+  ]];
+
+  const item = createReviewItem({ entry: { date: '2026-10-19', amount: -5000, type: 'expense', merchant: 'PARKIR' }, confidence: 40, accountId: 'fara', messageId: 'm4' });
+  await appendToReviewQueue(sheets, 'sheet-id', [item]);
+
+  assert.equal(sheets.tabs.Review[0].length, 23);
+  assert.deepEqual(sheets.tabs.Review[0].slice(13, 16), ['Original Amount', 'Original Currency', 'Exchange Rate']);
+  assert.equal(sheets.tabs.Review[0][20], 'Merchant');
+  assert.equal(sheets.tabs.Review[1][20], 'PARKIR');
+
+  setStorageBackends(null);
+});
+
+test('a transfer half in the review tab keeps its link, and rejecting it unpairs the stored half', async () => {
+  const stored = [];
+  const updates = [];
+  setStorageBackends([{
+    name: 'memory',
+    appendTransactions: async records => stored.push(...records),
+    updateTransaction: async (record, fields) => updates.push({ record, fields })
+  }]);
+  const sheets = createSpreadsheet();
+
+  const sent = ledger.recordTransaction({ accountId: 'wimboro', messageId: 't1', entry: { date: '2026-10-19', amount: -750000, bank: 'BCA Wimboro', category: 'Transfer' } });
+  const entry = { date: '2026-10-19', amount: 750000, category: 'Transfer Internal', description: 'Dari WIMBORO', bank: 'Jago Fara', type: 'income', transferLink: 't1' };
+  const received = ledger.recordTransaction({ accountId: 'fara', messageId: 't2', entry });
+  ledger.linkTransfer(sent, received);
+
+  const approvedItem = createReviewItem({ entry, confidence: 50, accountId: 'fara', messageId: 't2' });
+  const rejectedItem = createReviewItem({ entry, confidence: 50, accountId: 'fara', messageId: 't2' });
+  await appendToReviewQueue(sheets, 'sheet-id', [approvedItem, rejectedItem]);
+
+  const approved = await approveReview(sheets, 'sheet-id', approvedItem.reviewId);
+  assert.deepEqual([approved.category, approved.transferLink], ['Transfer Internal', 't1']);
+
+  await rejectReview(sheets, 'sheet-id', rejectedItem.reviewId);
+  assert.deepEqual(updates.map(({ record, fields }) => [record.messageId, fields]), [['t1', { category: 'Transfer', transfer_link: '' }]]);
+  assert.deepEqual([sent.transferWith, received.transferWith], [null, null]);
+  assert.equal(sheets.tabs.Review[2][11], 'rejected');
+
+  setStorageBackends(null);
+});
+
+test('approving an item that a later email paired with marks it as a transfer', async () => {
+  const stored = [];
+  setStorageBackends([{ name: 'memory', appendTransactions: async records => stored.push(...records) }]);
+  const sheets = createSpreadsheet();
+
+  const entry = { date: '2026-10-19', amount: -300000, category: 'Transfer', description: 'Ke FARA', bank: 'BCA Wimboro', type: 'expense' };
+  const item = createReviewItem({ entry, confidence: 50, accountId: 'wimboro', messageId: 't3' });
+  await appendToReviewQueue(sheets, 'sheet-id', [item]);
+
+  const sent = ledger.recordTransaction({ accountId: 'wimboro', messageId: 't3', entry });
+  const received = ledger.recordTransaction({ accountId: 'fara', messageId: 't4', entry: { date: '2026-10-19', amount: 300000, bank: 'Jago Fara' } });
+  ledger.linkTransfer(sent, received);
+
+  const approved = await approveReview(sheets, 'sheet-id', item.reviewId);
+  assert.deepEqual([approved.category, approved.transferLink], ['Transfer Internal', 't4']);
+
+  setStorageBackends(null);
+});
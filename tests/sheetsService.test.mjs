@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, SHEET_COLUMN_NAMES } from '../config/constants.js';
+import {
+  createDataRow,
+  getHeaderRow,
+  columnLetter,
+  ensureSheetLayout,
+  getExistingData,
+  appendTransactionRows,
+  getAllTransactions
+} from '../src/services/sheetsService.js';
+
+/**
+ * Sheets API stand-in that holds a grid of values and records updates
+ */
+function createSheet(values) {
+  const updates = [];
+  return {
+    updates,
+    spreadsheets: {
+      values: {
+        get: async ({ range }) => ({ data: { values: range.endsWith('!1:1') ? values.slice(0, 1) : values } }),
+        update: async request => updates.push(request)
+      }
+    }
+  };
+}
+
+test('rows carry the enriched fields in header order', () => {
+  const row = createDataRow({
+    date: '2026-10-19',
+    amount: -45000,
+    category: 'Makanan',
+    description: 'QRIS KOPI',
+    bank: 'Seabank Fara',
+    type: 'expense',
+    confidence: 92,
+    merchant: 'KOPI',
+    referenceNumber: 'REF-9',
+    accountId: 'fara@example.com',
+    messageId: 'm1'
+  });
+  const byHeader = Object.fromEntries(getHeaderRow().map((header, index) => [header, row[index]]));
+
+  assert.equal(byHeader.Type, 'expense');
+  assert.equal(byHeader.Confidence, 92);
+  assert.equal(byHeader['Reference Number'], 'REF-9');
+  assert.equal(byHeader['Message ID'], 'm1');
+  assert.equal(byHeader.Location, '');
+  assert.deepEqual([columnLetter(0), columnLetter(25), columnLetter(26)], ['A', 'Z', 'AA']);
+});
+
+test('a header missing configured columns is repaired at the end', async () => {
+  const legacy = createSheet([['Date', 'Amount', 'Category', 'Description', 'Bank', 'Timestamp']]);
+  const { columns } = await ensureSheetLayout(legacy, 'sheet-id');
+
+  assert.deepEqual(columns, SHEET_COLUMN_NAMES);
+  assert.equal(legacy.updates[0].range, 'Sheet1!G1');
+  assert.deepEqual(legacy.updates[0].requestBody.values[0], getHeaderRow().slice(6));
+
+  const current = createSheet([getHeaderRow()]);
+  await ensureSheetLayout(current, 'sheet-id');
+  assert.equal(current.updates.length, 0);
+});
+
+test('columns are read by header name, including aliases and reordering', async () => {
+  const sheet = createSheet([
+    ['Catatan', 'Tanggal', 'Bank', 'Jumlah', 'Kategori', 'Keterangan', 'Timestamp'],
+    ['pribadi', '2026-10-19', 'Jago Fara', '-45000', 'Makanan', 'Makan siang', '2026-10-19 05:00:00']
+  ]);
+
+  const [entry] = await getExistingData(sheet, 'sheet-id', 'Sheet1');
+  assert.equal(entry.date, '2026-10-19');
+  assert.equal(entry.amount, '-45000');
+  assert.equal(entry.description, 'Makan siang');
+  assert.equal(entry.rowNumber, 2);
+
+  const { columns } = await ensureSheetLayout(sheet, 'sheet-id');
+  assert.equal(createDataRow({ date: '2026-10-20', amount: 1000, bank: 'Blu' }, columns)[3], 1000);
+});
+
+test('a sheet without the required columns fails loudly', async () => {
+  const sheet = createSheet([['Tanggal', 'Jumlah', 'Jumlah'], ['2026-10-19', '1', '2']]);
+  await assert.rejects(getExistingData(sheet, 'sheet-id', 'Sheet1'), /more than one column for: amount/);
+  await assert.rejects(ensureSheetLayout(createSheet([['Tanggal', 'Jumlah']]), 'sheet-id'), /missing required columns: category/);
+});
+
+test('monthly mode writes each month to its own tab, created on demand', async () => {
+  const tabs = { Sheet1: [], '2026-09': [getHeaderRow(), ['2026-09-30', '-1', 'Lainnya', 'old', 'Blu', '']] };
+  const requests = [];
+  const sheet = {
+    spreadsheets: {
+      get: async () => ({ data: { sheets: Object.keys(tabs).map((title, sheetId) => ({ properties: { sheetId, title } })) } }),
+      batchUpdate: async ({ requestBody }) => {
+        requests.push(requestBody.requests[0]);
+        tabs[requestBody.requests[0].addSheet.properties.title] = [];
+      },
+      values: {
+        get: async ({ range }) => {
+          const values = tabs[range.split('!')[0].replace(/'/g, '')];
+          return { data: { values: range.endsWith('!1:1') ? values.slice(0, 1) : values } };
+        },
+        append: async ({ range, requestBody }) => {
+          tabs[range.split('!')[0].replace(/'/g, '')].push(...requestBody.values);
+          return { data: { updates: { updatedRows: requestBody.values.length } } };
+        }
+      }
+    }
+  };
+
+  CONFIG.SHEET_TAB_MODE = 'monthly';
+  try {
+    await appendTransactionRows(sheet, 'sheet-id', [
+      { date: '2026-10-01', amount: -5000, description: 'Parkir' },
+      { date: '2026-09-30', amount: -7000, description: 'Bensin' }
+    ]);
+
+    assert.deepEqual(requests, [{ addSheet: { properties: { title: '2026-10' } } }]);
+    assert.deepEqual(tabs['2026-10'][0], getHeaderRow());
+    assert.equal(tabs['2026-10'][1][3], 'Parkir');
+    assert.equal(tabs['2026-09'].length, 3);
+
+    const entries = await getAllTransactions(sheet, 'sheet-id', { since: '2026-10-01' });
+    assert.deepEqual(entries.map(entry => [entry.sheetName, entry.description]), [['2026-10', 'Parkir']]);
+  } finally {
+    CONFIG.SHEET_TAB_MODE = 'single';
+  }
+});
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+import { createCsvStorage, parseCsv } from '../src/storage/csvStorage.js';
+import { createSqliteStorage } from '../src/storage/sqliteStorage.js';
+import { appendTransactions, getTransactions, setStorageBackends } from '../src/storage/index.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const lunch = { date: '2026-10-19', amount: -45000, category: 'Makanan', description: 'Makan siang, "Warteg"', bank: 'Jago Fara' };
+const salary = { date: '2026-10-01', amount: 10000000, category: 'Gaji', description: 'Gaji Oktober', bank: 'Mandiri Wimboro' };
+
+test('CSV storage round-trips quoted values', async () => {
+  const csv = createCsvStorage(path.join(tempDir, 'transactions.csv'));
+  await csv.appendTransactions([{ entry: lunch, accountId: 'fara', messageId: 'm1' }]);
+  await csv.appendTransactions([{ entry: salary, accountId: 'wimboro', messageId: 'm2' }]);
+
+  const rows = await csv.getTransactions();
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].description, 'Makan siang, "Warteg"');
+  assert.equal(rows[1].message_id, 'm2');
+  assert.deepEqual(parseCsv('a,"b\nc"\r\nd,e'), [['a', 'b\nc'], ['d', 'e']]);
+
+  assert.equal(await csv.updateTransaction({ messageId: 'm1' }, { category: 'Transfer Internal', transfer_link: 'm9' }), 1);
+  const updated = await csv.getTransactions();
+  assert.equal(updated[0].category, 'Transfer Internal');
+  assert.equal(updated[0].description, 'Makan siang, "Warteg"');
+  assert.equal(updated[1].category, 'Gaji');
+
+  assert.equal(await csv.deleteTransaction({ messageId: 'm1' }), 1);
+  const remaining = await csv.getTransactions();
+  assert.deepEqual(remaining.map(row => [row.message_id, row.rowNumber]), [['m2', 2]]);
+});
+
+test('CSV files from before the foreign amount columns get the full header', async () => {
+  const file = path.join(tempDir, 'older.csv');
+  fs.writeFileSync(file, 'Date,Amount,Category,Description,Bank,Timestamp,Account,Message ID\n2026-10-01,10000000,Gaji,Gaji Oktober,Mandiri Wimboro,,wimboro,m1\n');
+  const csv = createCsvStorage(file);
+
+  await csv.appendTransactions([{ entry: { ...lunch, originalAmount: 3, originalCurrency: 'USD', exchangeRate: 15000 }, accountId: 'fara', messageId: 'm2' }]);
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(header.slice(7), ['Message ID', 'Original Amount', 'Original Currency', 'Exchange Rate']);
+  assert.deepEqual(rows.map(row => row[7]), ['m1', 'm2']);
+  assert.equal((await csv.getTransactions())[1].original_currency, 'USD');
+
+  fs.writeFileSync(file, 'Date,Amount,Category,Description,Bank,Timestamp,Account,Message ID\n2026-10-01,10000000,Gaji,Gaji Oktober,Mandiri Wimboro,,wimboro,m1\n');
+  assert.equal(await csv.updateTransaction({ messageId: 'm1' }, { category: 'Bonus' }), 1);
+  assert.equal(parseCsv(fs.readFileSync(file, 'utf8'))[0].length, 11);
+});
+
+test('SQLite storage uses the worker schema and skips stored messages', async () => {
+  const sqlite = createSqliteStorage(path.join(tempDir, 'transactions.db'));
+  assert.equal(await sqlite.appendTransactions([{ entry: lunch, accountId: 'fara', messageId: 'm1' }]), 1);
+  assert.equal(await sqlite.appendTransactions([{ entry: lunch, accountId: 'fara', messageId: 'm1' }]), 0);
+
+  const [row] = await sqlite.getTransactions();
+  assert.equal(row.amount, -45000);
+  assert.equal(row.bank, 'Jago Fara');
+
+  assert.equal(await sqlite.updateTransaction({ accountId: 'fara', messageId: 'm1' }, { category: 'Transfer Internal' }), 1);
+  assert.equal((await sqlite.getTransactions())[0].category, 'Transfer Internal');
+
+  assert.equal(await sqlite.deleteTransaction({ accountId: 'fara', messageId: 'm1' }), 1);
+  assert.deepEqual(await sqlite.getTransactions(), []);
+  sqlite.close();
+});
+
+test('SQLite storage keeps foreign amounts and adds their columns to an older database', async () => {
+  const file = path.join(tempDir, 'old.db');
+  const old = new Database(file);
+  old.exec(`CREATE TABLE transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, date TEXT NOT NULL, amount REAL NOT NULL, category TEXT NOT NULL DEFAULT 'Lainnya',
+    description TEXT, bank TEXT, type TEXT NOT NULL, chat_id TEXT, message_id TEXT, created_at TEXT, updated_at TEXT
+  )`);
+  old.prepare("INSERT INTO transactions (date, amount, description, type, chat_id, message_id) VALUES ('2026-10-01', -1000, 'Parkir', 'expense', 'fara', 'm0')").run();
+  old.close();
+
+  const sqlite = createSqliteStorage(file);
+  const netflix = { ...lunch, amount: -210490, description: 'NETFLIX', originalAmount: 12.99, originalCurrency: 'USD', exchangeRate: 16204 };
+  assert.equal(await sqlite.appendTransactions([{ entry: netflix, accountId: 'fara', messageId: 'm1' }]), 1);
+
+  const rows = await sqlite.getTransactions();
+  assert.deepEqual(rows.map(row => [row.message_id, row.original_amount, row.original_currency, row.exchange_rate]), [
+    ['m0', null, null, null],
+    ['m1', 12.99, 'USD', 16204]
+  ]);
+  sqlite.close();
+});
+
+test('writes go to every backend and a broken mirror does not fail the write', async () => {
+  const written = [];
+  const memory = {
+    name: 'memory',
+    appendTransactions: async records => {
+      written.push(...records);
+      return records.length;
+    },
+    getTransactions: async () => written.map(record => record.entry)
+  };
+  const broken = {
+    name: 'broken',
+    appendTransactions: async () => { throw new Error('disk full'); },
+    getTransactions: async () => []
+  };
+
+  setStorageBackends([memory, broken]);
+  assert.equal(await appendTransactions([{ entry: salary, accountId: 'wimboro', messageId: 'm3' }]), 1);
+  assert.deepEqual(await getTransactions(), [salary]);
+  setStorageBackends(null);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../config/constants.js';
+import { setStorageBackends } from '../src/storage/index.js';
+import { buildSummaryRows, scheduleSummaryRefresh, flushSummaryRefresh } from '../src/services/summaryService.js';
+
+test('summary has category × month totals and per-owner totals', () => {
+  const rows = buildSummaryRows([
+    { date: '2026-09-28', amount: '-100000', category: 'Makanan', bank: 'Jago Fara' },
+    { date: '2026-10-02', amount: '-40000', category: 'Makanan', bank: 'Blu Wimboro' },
+    { date: '2026-10-05', amount: '-250000', category: 'Transportasi', bank: 'Jago Fara' },
+    { date: '2026-10-25', amount: '5000000', category: 'Gaji', bank: 'Mandiri Wimboro' },
+    { date: '2026-10-26', amount: 'abc', category: 'Makanan', bank: 'Jago Fara' }
+  ], '2026-10-26 08:00:00');
+
+  assert.deepEqual(rows[0], ['Category', '2026-09', '2026-10', 'Total']);
+  assert.deepEqual(rows[1], ['Gaji', 0, 5000000, 5000000]);
+  assert.deepEqual(rows[2], ['Transportasi', 0, -250000, -250000]);
+  assert.deepEqual(rows[3], ['Makanan', -100000, -40000, -140000]);
+  assert.deepEqual(rows[4], ['Total', -100000, 4710000, 4610000]);
+
+  const ownerHeader = rows.findIndex(row => row[0] === 'Owner');
+  assert.deepEqual(rows[ownerHeader + 1], ['Fara', 0, -350000, -350000]);
+  assert.deepEqual(rows[ownerHeader + 2], ['Wimboro', 5000000, -40000, 4960000]);
+  assert.deepEqual(rows.at(-1), ['Updated', '2026-10-26 08:00:00']);
+});
+
+test('summary lists foreign-currency totals per currency', () => {
+  const rows = buildSummaryRows([
+    { date: '2026-10-05', amount: '-210500', category: 'Hiburan', bank: 'Jago Fara', original_amount: '12.99', original_currency: 'USD' },
+    { date: '2026-10-06', amount: '-50000', category: 'Makanan', bank: 'Jago Fara' }
+  ], '2026-10-26 08:00:00');
+
+  const currencyHeader = rows.findIndex(row => row[0] === 'Currency');
+  assert.deepEqual(rows[currencyHeader + 1], ['USD', -12.99, -210500, 1]);
+});
+
+test('changes close together share one rebuild', async () => {
+  let reads = 0;
+  setStorageBackends([{ name: 'memory', getTransactions: async () => { reads++; return []; } }]);
+  const writes = [];
+  const sheets = {
+    spreadsheets: {
+      get: async () => ({ data: { sheets: [{ properties: { title: 'Summary' } }] } }),
+      values: { clear: async () => {}, update: async ({ requestBody }) => writes.push(requestBody.values) }
+    }
+  };
+  CONFIG.SUMMARY_SHEET_NAME = 'Summary';
+
+  try {
+    assert.equal(scheduleSummaryRefresh(sheets, 'sheet-id'), true);
+    scheduleSummaryRefresh(sheets, 'sheet-id');
+    assert.equal(reads, 0);
+
+    assert.equal(await flushSummaryRefresh(), true);
+    assert.deepEqual([reads, writes.length], [1, 1]);
+    assert.equal(await flushSummaryRefresh(), false);
+  } finally {
+    CONFIG.SUMMARY_SHEET_NAME = '';
+    setStorageBackends(null);
+  }
+});
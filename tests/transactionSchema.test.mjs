@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTransactionResponseSchema,
+  validateTransactionData,
+  generateTransactionJson
+} from '../src/parsers/transactionSchema.js';
+
+const VALID = {
+  amount: -45000,
+  category: 'Makanan',
+  description: 'Makan siang',
+  transaction_type: 'expense',
+  date: '2026-10-18',
+  bank: 'Jago Fara'
+};
+
+function fakeProvider(answers) {
+  const requests = [];
+  return {
+    name: 'fake',
+    requests,
+    async generateJson(messages, schema) {
+      requests.push({ messages: structuredClone(messages), schema });
+      return answers[requests.length - 1];
+    }
+  };
+}
+
+test('the response schema limits categories and banks to configured values', () => {
+  const schema = buildTransactionResponseSchema({ details: true });
+  assert.ok(schema.properties.category.enum.includes('Makanan'));
+  assert.ok(schema.properties.bank.enum.includes('Jago Fara'));
+  assert.deepEqual(schema.properties.bank.type, ['string', 'null']);
+  assert.ok(schema.required.includes('confidence'));
+  assert.ok(!schema.required.includes('additional_info'));
+});
+
+test('accepts a valid transaction, with or without a bank', () => {
+  assert.deepEqual(validateTransactionData(VALID), []);
+  assert.deepEqual(validateTransactionData({ ...VALID, bank: null }), []);
+});
+
+test('reports each invalid field', () => {
+  const errors = validateTransactionData({
+    amount: 'Rp 45.000',
+    category: 'Jajan',
+    description: 'Makan siang',
+    transaction_type: 'debit',
+    date: '2026-02-30',
+    bank: 'BCA'
+  });
+  assert.equal(errors.length, 5);
+  assert.match(errors.join('\n'), /amount must be a number/);
+  assert.match(errors.join('\n'), /date must be a real date/);
+  assert.deepEqual(validateTransactionData([VALID]), ['the response must be a single JSON object']);
+});
+
+test('asks for JSON matching the schema and returns the validated object', async () => {
+  const provider = fakeProvider([JSON.stringify(VALID)]);
+  assert.deepEqual(await generateTransactionJson(provider, 'prompt'), VALID);
+  assert.equal(provider.requests.length, 1);
+  assert.deepEqual(provider.requests[0].messages, [{ role: 'user', content: 'prompt' }]);
+  assert.equal(provider.requests[0].schema.type, 'object');
+});
+
+test('retries once with the validation errors fed back', async () => {
+  const provider = fakeProvider([
+    JSON.stringify({ ...VALID, date: '18/10/2026' }),
+    JSON.stringify(VALID)
+  ]);
+  assert.deepEqual(await generateTransactionJson(provider, 'prompt'), VALID);
+
+  const retry = provider.requests[1].messages;
+  assert.equal(retry.length, 3);
+  assert.equal(retry[1].role, 'assistant');
+  assert.match(retry[2].content, /date must be a real date as YYYY-MM-DD, got "18\/10\/2026"/);
+});
+
+test('gives up when the retry is still invalid', async () => {
+  const provider = fakeProvider(['not json', '{"amount": null}']);
+  await assert.rejects(generateTransactionJson(provider, 'prompt'), /fake response is still invalid after a retry/);
+  assert.equal(provider.requests.length, 2);
+  assert.match(provider.requests[1].messages[2].content, /not valid JSON/);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import YAML from 'yaml';
+import {
+  classifyTransactionType,
+  normalizeTransactionTypeRules,
+  getTransactionTypeRules
+} from '../src/parsers/transactionTypeRules.js';
+
+const CASES = [
+  ['Pembayaran Kartu Kredit BNI', 'expense', 'credit-card-payment'],
+  ['Bayar tagihan kartu kredit Mandiri', 'expense', 'credit-card-payment'],
+  ['Refund pesanan Tokopedia', 'income', 'refund'],
+  ['Pengembalian dana transaksi QRIS', 'income', 'refund'],
+  ['Pembayaran QRIS dibatalkan, dana dikembalikan', 'income', 'refund'],
+  ['Cashback GoPay Coins', 'income', 'cashback'],
+  ['Pembayaran diterima dari PT Shopee', 'income', 'payment-received'],
+  ['Dana Masuk dari WIMBORO', 'income', 'money-in'],
+  ['Kamu menerima Rp150.000 dari Fara', 'income', 'money-in'],
+  ['Dana Keluar ke FARA ANINDYA', 'expense', 'money-out'],
+  ['Transfer Keluar BI-FAST ke BCA', 'expense', 'money-out'],
+  ['TRF BIFAST CR 1234 WIMBORO', 'income', 'credit-marker'],
+  ['TRSF E-BANKING DB 1910/FTSCY/WS95031', 'expense', 'debit-marker'],
+  ['Rekening Anda telah didebet', 'expense', 'debited']
+];
+
+test('real notification phrasing gets the right direction', () => {
+  for (const [text, type, rule] of CASES) {
+    const decision = classifyTransactionType({ bank: 'Jago Fara', text });
+    assert.deepEqual([decision?.type, decision?.rule], [type, rule], text);
+  }
+});
+
+test('generic payment and salary words do not overrule the model', async () => {
+  const { parseEmailWithEnhancedGemini } = await import('../src/services/enhancedGeminiService.js');
+  for (const text of ['Bayar cicilan Kredit Pintar', 'Pembayaran QRIS ke KOPI KENANGAN', 'Tarik Tunai ATM Alfamart', 'Gaji Oktober 2026']) {
+    assert.equal(classifyTransactionType({ bank: 'Jago Fara', text }), null, text);
+  }
+
+  for (const text of ['Pembayaran Gaji Oktober', 'Terima pembayaran dari Tokopedia', 'Top up GoPay diterima']) {
+    assert.equal(classifyTransactionType({ bank: 'Jago Fara', text }), null, text);
+
+    const provider = {
+      name: 'fake',
+      model: 'fake-1',
+      async generateJson() {
+        return JSON.stringify({
+          amount: 150000,
+          category: 'Lainnya',
+          description: text,
+          transaction_type: 'income',
+          date: '2026-10-17',
+          bank: 'Jago Fara',
+          confidence: 90,
+          additional_info: { recipient: null, sender: null, reference_number: null, merchant: null, location: null }
+        });
+      }
+    };
+    const parsed = await parseEmailWithEnhancedGemini(`${text}\nNominal: Rp 150.000`, { subject: text }, provider);
+    assert.deepEqual([parsed.transaction_type, parsed.amount], ['income', 150000], text);
+  }
+});
+
+test('words inside other words and lower-case codes are not markers', () => {
+  assert.equal(classifyTransactionType({ text: 'Transaksi di Crepes & DBlend' }), null);
+  assert.equal(classifyTransactionType({ text: 'notifikasi transaksi' }), null);
+  assert.equal(classifyTransactionType({ text: 'kode cr 12' }), null);
+});
+
+test('bank rules only apply to that bank type or account name', () => {
+  const rules = normalizeTransactionTypeRules({
+    rules: [
+      { id: 'seabank-interest', bank: 'Seabank', pattern: 'bunga harian', type: 'income' },
+      { id: 'fara-debit-code', bank: 'Jago Fara', pattern: '\\bD\\b', caseSensitive: true, type: 'expense' }
+    ]
+  });
+
+  assert.equal(classifyTransactionType({ bank: 'Seabank Fara', text: 'Bunga Harian' }, rules)?.rule, 'seabank-interest');
+  assert.equal(classifyTransactionType({ bank: 'Jago Fara', text: 'Bunga Harian' }, rules), null);
+  assert.equal(classifyTransactionType({ bank: 'Jago Fara', text: 'MUTASI D 50.000' }, rules)?.rule, 'fara-debit-code');
+  assert.equal(classifyTransactionType({ bank: 'Jago Wimboro', text: 'MUTASI D 50.000' }, rules), null);
+  assert.equal(classifyTransactionType({ bank: 'Jago Fara', text: 'mutasi d 50.000' }, rules), null);
+});
+
+test('invalid rules are rejected with the rule id', () => {
+  assert.throws(() => normalizeTransactionTypeRules({ rules: [{ id: 'x', pattern: 'a', type: 'debit' }] }), /rule x needs "type"/);
+  assert.throws(() => normalizeTransactionTypeRules({ rules: [{ id: 'y', pattern: '(', type: 'income' }] }), /rule y has an invalid pattern/);
+  assert.throws(() => normalizeTransactionTypeRules({}), /"rules" list/);
+});
+
+test('the example rules file is valid', () => {
+  const file = new URL('../config/transaction-type-rules.example.yaml', import.meta.url);
+  const rules = normalizeTransactionTypeRules(YAML.parse(fs.readFileSync(file, 'utf8')));
+  assert.ok(rules.every(rule => rule.bank && rule.pattern instanceof RegExp));
+  assert.equal(getTransactionTypeRules().at(-1).id, 'debited');
+});
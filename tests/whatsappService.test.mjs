@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.WAHA_WEBHOOK_SECRET = 'test-secret';
+const { verifyWAHAWebhookSignature } = await import('../src/services/whatsappService.js');
+
+const body = JSON.stringify({ event: 'message', payload: { body: 'hapus 12' } });
+const sign = algorithm => crypto.createHmac(algorithm, 'test-secret').update(body).digest('hex');
+
+test('webhook requests need an HMAC-SHA512 signature', () => {
+  assert.equal(verifyWAHAWebhookSignature(body, { 'x-webhook-hmac': sign('sha512') }), true);
+  assert.equal(verifyWAHAWebhookSignature(body, {}), false);
+  assert.equal(verifyWAHAWebhookSignature(`${body} `, { 'x-webhook-hmac': sign('sha512') }), false);
+});
+
+test('the algorithm header cannot downgrade the check', () => {
+  const headers = { 'x-webhook-hmac': sign('md5'), 'x-webhook-hmac-algorithm': 'md5' };
+  assert.equal(verifyWAHAWebhookSignature(body, headers), false);
+});
@@ -0,0 +1,97 @@
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Format a date as YYYY-MM-DD in the configured timezone
+ * @param {Date} [date] - Date to format (defaults to now)
+ * @param {string} [timeZone] - IANA timezone (defaults to CONFIG.TIMEZONE)
+ * @returns {string} - Local date string
+ */
+export function getLocalDate(date = new Date(), timeZone = CONFIG.TIMEZONE) {
+  // en-CA formats as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Get the YYYY-MM month prefix of a date in the configured timezone
+ * @param {Date} [date] - Date to format (defaults to now)
+ * @returns {string} - Local month string
+ */
+export function getLocalMonth(date = new Date()) {
+  return getLocalDate(date).substring(0, 7);
+}
+
+/**
+ * Get local date, HH:MM time and weekday (0 = Sunday) in the configured timezone
+ * @param {Date} [date] - Moment to describe (defaults to now)
+ * @returns {Object} - { date, time, weekday, day }
+ */
+export function getLocalTimeParts(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: CONFIG.TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const localDate = getLocalDate(date);
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    date: localDate,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: weekdays.indexOf(parts.weekday),
+    day: parseInt(localDate.substring(8, 10))
+  };
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} - Shifted date in YYYY-MM-DD format
+ */
+export function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM month string by a number of months
+ * @param {string} monthString - Month in YYYY-MM format
+ * @param {number} months - Months to add (negative to subtract)
+ * @returns {string} - Shifted month in YYYY-MM format
+ */
+export function addMonths(monthString, months) {
+  const date = new Date(`${monthString}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().substring(0, 7);
+}
+
+/**
+ * Get the moment a local date starts in the configured timezone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} [timeZone] - IANA timezone (defaults to CONFIG.TIMEZONE)
+ * @returns {number} - Milliseconds since epoch of local midnight
+ */
+export function getLocalMidnight(dateString, timeZone = CONFIG.TIMEZONE) {
+  const utcMidnight = Date.parse(`${dateString}T00:00:00Z`);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(utcMidnight)).map(part => [part.type, parseInt(part.value)])
+  );
+
+  // How far the timezone is ahead of UTC at that moment
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - utcMidnight;
+  return utcMidnight - offset;
+}